@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import { processArtistFiles, validateArtistFiles, resolveSettings } from './src/build.js';
+import { serve } from './src/serve.js';
+import { findConfigFiles, findFeedFile, addArtist, addArtists, removeArtist } from './src/config-files.js';
+import { validateConfigFiles, printProblems } from './src/validate.js';
+import { loadProviders } from './src/providers.js';
+import { createHttpScheduler } from './src/http.js';
+import { parseImportList, resolveImportedArtists } from './src/opml.js';
+import { FAIL_ON_LEVELS, REPORT_EXIT_CODE } from './src/report.js';
+import { THEMES } from './src/templates.js';
+import { log, setLogLevel, setLogToStderr } from './src/log.js';
+
+const HELP = `Usage: bandcamp-rss <command> [options]
+
+Commands:
+  build                    Scrape the feeds and write the site (default)
+  validate                 Check the artist config files
+  list                     List feeds and their artists
+  preview                  Print one feed to stdout without writing anything
+  add-artist               Add an artist to a feed (creates the feed if needed)
+  remove-artist            Remove an artist from a feed
+  import-opml <file>       Add the pages in an OPML file or a list of URLs to a feed
+  serve                    Serve the site over HTTP and rebuild it on a schedule
+
+Options:
+  -c, --config-dir <dir>   Artist config directory (default: artists/)
+  -o, --output-dir <dir>   Output directory (default: dist/)
+      --providers <dir>    Extra source provider modules (default: providers/)
+      --templates <dir>    Page templates replacing the default theme's (default: templates/)
+      --theme <theme>      Page colors: dark, light or auto (default: $THEME or dark)
+      --site-config <file> Site settings: base URL, title, author, language (default: site.json)
+      --base-url <url>     Address the site is published at (default: $SITE_URL, or the
+                           GitHub Pages address of $GITHUB_REPOSITORY)
+  -f, --feed <name>        Only this feed, e.g. "labels" for artists/labels.json
+  -a, --artist <name|url>  Only this artist (remove-artist: the artist to remove)
+  -n, --dry-run            Scrape and show what would be written, without writing
+      --aggregate          Also write an "all" feed with every release once
+      --fail-on <level>    Exit with ${REPORT_EXIT_CODE} on failed scrapes: never, feed, artist or warning
+                           (default: $FAIL_ON or never)
+      --format <format>    Preview format: rss, atom or json (default: rss)
+      --name <name>        Artist name (add-artist)
+      --url <url>          Artist page URL (add-artist)
+      --max-releases <n>   Releases to check on each run (add-artist, import-opml)
+      --concurrency <n>    Requests in flight at once across all sites (default: 6)
+      --user-agent <ua>    User-Agent header sent with every request
+  -p, --port <port>        Port to serve on (serve, default: $PORT or 8080)
+      --host <address>     Address to serve on, 0.0.0.0 for all interfaces
+                           (serve, default: $HOST or 127.0.0.1)
+      --schedule <cron>    When to rebuild, in UTC (serve, default: "0 0 * * *")
+  -v, --verbose            Show per-album details
+  -q, --quiet              Only show errors
+  -h, --help               Show this help
+
+Examples:
+  bandcamp-rss build --feed labels
+  bandcamp-rss build --feed labels --artist "Warp Records" --dry-run
+  bandcamp-rss preview --feed solo-acts --format json
+  bandcamp-rss add-artist --feed labels --name "Hyperdub" --url https://hyperdub.bandcamp.com/music
+  bandcamp-rss import-opml subscriptions.opml --feed imported --dry-run
+  bandcamp-rss serve --port 8080 --schedule "0 */6 * * *"
+`;
+
+const OPTIONS = {
+  'config-dir': { type: 'string', short: 'c' },
+  'output-dir': { type: 'string', short: 'o' },
+  providers: { type: 'string' },
+  templates: { type: 'string' },
+  theme: { type: 'string' },
+  'site-config': { type: 'string' },
+  'base-url': { type: 'string' },
+  feed: { type: 'string', short: 'f' },
+  artist: { type: 'string', short: 'a' },
+  'dry-run': { type: 'boolean', short: 'n' },
+  aggregate: { type: 'boolean' },
+  'fail-on': { type: 'string' },
+  format: { type: 'string' },
+  name: { type: 'string' },
+  url: { type: 'string' },
+  'max-releases': { type: 'string' },
+  concurrency: { type: 'string' },
+  'user-agent': { type: 'string' },
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string' },
+  schedule: { type: 'string' },
+  verbose: { type: 'boolean', short: 'v' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error for bad command-line usage, reported with the help hint and exit code 2
+ */
+class UsageError extends Error {}
+
+/**
+ * Print every feed with its artists
+ * @param {Object} runOptions - Options shared by all commands
+ * @returns {Promise<void>}
+ */
+async function listFeeds(runOptions) {
+  const { artistsDir } = resolveSettings(runOptions);
+  let jsonFiles = findConfigFiles(artistsDir);
+
+  if (runOptions.feed) {
+    const feedFile = findFeedFile(jsonFiles, runOptions.feed);
+    if (!feedFile) {
+      throw new UsageError(`No feed named "${runOptions.feed}" in ${artistsDir}`);
+    }
+    jsonFiles = [feedFile];
+  }
+
+  for (const jsonFile of jsonFiles) {
+    try {
+      const artistsData = await fs.readJson(path.join(artistsDir, jsonFile));
+      const artists = artistsData.artists || [];
+      console.log(`${jsonFile.replace(/\.json$/, '')} - ${artistsData.title || 'Untitled'} (${artists.length} artist(s))`);
+
+      for (const artist of artists) {
+        const maxReleases = artist.maxReleases ? `, ${artist.maxReleases} release(s)` : '';
+        console.log(`  ${artist.name} <${artist.url}>${maxReleases}`);
+      }
+    } catch (error) {
+      log.error(`${jsonFile}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * Add an artist from the --name/--url options and check the result
+ * @param {Object} values - Parsed command-line options
+ * @param {Object} runOptions - Options shared by all commands
+ * @returns {Promise<void>}
+ */
+async function addArtistCommand(values, runOptions) {
+  if (!values.feed || !values.name || !values.url) {
+    throw new UsageError('add-artist needs --feed, --name and --url');
+  }
+
+  const artist = { name: values.name, url: values.url };
+
+  if (values['max-releases'] !== undefined) {
+    const maxReleases = Number(values['max-releases']);
+    if (!Number.isInteger(maxReleases) || maxReleases < 1) {
+      throw new UsageError('--max-releases must be a whole number of at least 1');
+    }
+    artist.maxReleases = maxReleases;
+  }
+
+  const { artistsDir } = resolveSettings(runOptions);
+  const jsonFile = findFeedFile(findConfigFiles(artistsDir), values.feed) ||
+                   `${values.feed.replace(/\.json$/, '')}.json`;
+
+  const fullPath = path.join(artistsDir, jsonFile);
+  const previousText = (await fs.pathExists(fullPath)) ? await fs.readFile(fullPath, 'utf8') : null;
+
+  await addArtist(artistsDir, jsonFile, artist);
+
+  if (!(await checkEditedFeed(artistsDir, jsonFile, previousText))) {
+    log.error(`${artist.name} was not added to ${fullPath}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Check a feed config straight after editing it, and undo the edit if it broke anything (e.g. an album URL)
+ * @param {string} artistsDir - Artist config directory
+ * @param {string} jsonFile - Config file path relative to artistsDir
+ * @param {string|null} previousText - File contents before the edit, null if the edit created it
+ * @returns {Promise<boolean>} - True if the edit was kept
+ */
+async function checkEditedFeed(artistsDir, jsonFile, previousText) {
+  const problems = await validateConfigFiles(artistsDir, findConfigFiles(artistsDir));
+  const fileProblems = problems.filter(problem => problem.file === jsonFile);
+  if (fileProblems.length > 0) {
+    printProblems(fileProblems, artistsDir);
+  }
+
+  if (!fileProblems.some(problem => problem.severity === 'error')) {
+    return true;
+  }
+
+  const fullPath = path.join(artistsDir, jsonFile);
+  if (previousText === null) {
+    await fs.remove(fullPath);
+  } else {
+    await fs.writeFile(fullPath, previousText);
+  }
+  return false;
+}
+
+/**
+ * Import the pages listed in an OPML file (or a plain list of URLs) into a feed
+ * @param {string} file - OPML or list file
+ * @param {Object} values - Parsed command-line options
+ * @param {Object} runOptions - Options shared by all commands
+ * @returns {Promise<void>}
+ */
+async function importOpmlCommand(file, values, runOptions) {
+  if (!file || !values.feed) {
+    throw new UsageError('import-opml needs a file and --feed');
+  }
+  if (!(await fs.pathExists(file))) {
+    throw new UsageError(`No such file: ${file}`);
+  }
+
+  let maxReleases;
+  if (values['max-releases'] !== undefined) {
+    maxReleases = Number(values['max-releases']);
+    if (!Number.isInteger(maxReleases) || maxReleases < 1) {
+      throw new UsageError('--max-releases must be a whole number of at least 1');
+    }
+  }
+
+  const { title, entries } = parseImportList(await fs.readFile(file, 'utf8'));
+  log.info(`Read ${entries.length} page(s) from ${file}`);
+
+  const { artists, unsupported } = await resolveImportedArtists(entries, createHttpScheduler(runOptions.http));
+  for (const entry of unsupported) {
+    log.warn(`Unsupported: ${entry.name ? `${entry.name} ` : ''}<${entry.url}>, ${entry.reason}`);
+  }
+  if (maxReleases) {
+    artists.forEach(artist => { artist.maxReleases = maxReleases; });
+  }
+
+  if (artists.length === 0) {
+    log.error(`Nothing in ${file} has a supported source, no feed was written`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (runOptions.dryRun) {
+    for (const artist of artists) {
+      log.info(`[dry run] ${artist.name} <${artist.url}>${artist.source ? ` (source: ${artist.source})` : ''}`);
+    }
+    log.info(`[dry run] Would import ${artists.length} artist(s), ${unsupported.length} unsupported`);
+    return;
+  }
+
+  const { artistsDir } = resolveSettings(runOptions);
+  const jsonFile = findFeedFile(findConfigFiles(artistsDir), values.feed) ||
+                   `${values.feed.replace(/\.json$/, '')}.json`;
+  const fullPath = path.join(artistsDir, jsonFile);
+  const previousText = (await fs.pathExists(fullPath)) ? await fs.readFile(fullPath, 'utf8') : null;
+
+  const { added, skipped } = await addArtists(artistsDir, jsonFile, artists, title);
+
+  if (!(await checkEditedFeed(artistsDir, jsonFile, previousText))) {
+    log.error(`Nothing was imported into ${fullPath}`);
+    process.exitCode = 1;
+    return;
+  }
+  log.info(`Imported ${added.length} artist(s) into ${fullPath}, ${skipped.length} already there, ${unsupported.length} unsupported`);
+}
+
+/**
+ * Remove the artist given with --artist from a feed
+ * @param {Object} values - Parsed command-line options
+ * @param {Object} runOptions - Options shared by all commands
+ * @returns {Promise<void>}
+ */
+async function removeArtistCommand(values, runOptions) {
+  if (!values.feed || !values.artist) {
+    throw new UsageError('remove-artist needs --feed and --artist');
+  }
+
+  const { artistsDir } = resolveSettings(runOptions);
+  const jsonFile = findFeedFile(findConfigFiles(artistsDir), values.feed);
+  if (!jsonFile) {
+    throw new UsageError(`No feed named "${values.feed}" in ${artistsDir}`);
+  }
+
+  await removeArtist(artistsDir, jsonFile, values.artist);
+}
+
+/**
+ * Start the HTTP server and keep running until interrupted
+ * @param {Object} values - Parsed command-line options
+ * @param {Object} runOptions - Options shared by all commands
+ * @returns {Promise<void>}
+ */
+async function serveCommand(values, runOptions) {
+  let port;
+  if (values.port !== undefined) {
+    port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new UsageError('--port must be a port number');
+    }
+  }
+
+  let server;
+  try {
+    server = await serve({ ...runOptions, port, host: values.host, schedule: values.schedule });
+  } catch (error) {
+    // Bad cron expressions are a usage problem, not a crash
+    throw /cron expression/i.test(error.message) ? new UsageError(error.message) : error;
+  }
+
+  const shutdown = async signal => {
+    log.info(`Received ${signal}, shutting down`);
+    await server.close();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Parse the command line and run the requested command
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  if (values.help) {
+    console.log(HELP);
+    return;
+  }
+
+  if (values.verbose && values.quiet) {
+    throw new UsageError('--verbose and --quiet can\'t be used together');
+  }
+  setLogLevel(values.quiet ? 'quiet' : values.verbose ? 'verbose' : 'normal');
+
+  // import-opml is the only command that takes an argument, the file to import
+  const [command = 'build', ...extra] = positionals;
+  const argumentCount = command === 'import-opml' ? 1 : 0;
+  if (extra.length > argumentCount) {
+    throw new UsageError(`Unexpected argument: ${extra[argumentCount]}`);
+  }
+
+  let concurrency;
+  if (values.concurrency !== undefined) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new UsageError('--concurrency must be a whole number of at least 1');
+    }
+  }
+
+  if (values['fail-on'] !== undefined && !FAIL_ON_LEVELS.includes(values['fail-on'])) {
+    throw new UsageError(`--fail-on must be one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  if (values.theme !== undefined && !THEMES.includes(values.theme)) {
+    throw new UsageError(`--theme must be one of: ${THEMES.join(', ')}`);
+  }
+
+  const runOptions = {
+    artistsDir: values['config-dir'],
+    outputDir: values['output-dir'],
+    providersDir: values.providers,
+    templatesDir: values.templates,
+    theme: values.theme,
+    siteConfig: values['site-config'],
+    baseUrl: values['base-url'],
+    feed: values.feed,
+    artist: values.artist,
+    dryRun: values['dry-run'],
+    aggregate: values.aggregate,
+    failOn: values['fail-on'],
+    http: { concurrency, userAgent: values['user-agent'] }
+  };
+
+  // Before any command, so add-artist's validation knows about custom sources too
+  await loadProviders(resolveSettings(runOptions).providersDir);
+
+  switch (command) {
+    case 'build':
+      return processArtistFiles(runOptions);
+
+    case 'validate':
+      return validateArtistFiles(runOptions);
+
+    case 'list':
+      return listFeeds(runOptions);
+
+    case 'preview': {
+      if (!values.feed) {
+        throw new UsageError('preview needs --feed');
+      }
+      const format = values.format || 'rss';
+      if (!['rss', 'atom', 'json'].includes(format)) {
+        throw new UsageError(`Unknown preview format: ${format}`);
+      }
+      // Keep stdout for the feed itself
+      setLogToStderr(true);
+      return processArtistFiles({ ...runOptions, previewFormat: format });
+    }
+
+    case 'add-artist':
+      return addArtistCommand(values, runOptions);
+
+    case 'remove-artist':
+      return removeArtistCommand(values, runOptions);
+
+    case 'import-opml':
+      return importOpmlCommand(extra[0], values, runOptions);
+
+    case 'serve':
+      return serveCommand(values, runOptions);
+
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+    log.error(`${error.message}\nRun "bandcamp-rss --help" for usage.`);
+    process.exitCode = 2;
+    return;
+  }
+
+  log.error('Error:', error.message);
+  process.exitCode = 1;
+});
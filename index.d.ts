@@ -0,0 +1,487 @@
+import type { Feed } from 'feed';
+
+/** Output formats a feed can be rendered in */
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+/** How announced and pre-order releases are handled */
+export type UpcomingMode = 'separate' | 'flag' | boolean;
+
+/** How releases without a readable date are handled: dated when first seen, skipped, or dated when first seen and flagged */
+export type UndatedMode = 'first-seen' | 'skip' | 'flag';
+
+/** Release types the filters know about */
+export type ReleaseType = 'album' | 'ep' | 'single' | 'track' | 'compilation' | 'playlist';
+
+/** Which releases make it into a feed, on a feed or a single artist */
+export interface ReleaseFilters {
+  /** Title must match one of these case-insensitive regexes */
+  includeTitle?: string | string[];
+  /** Title must not match any of these */
+  excludeTitle?: string | string[];
+  types?: ReleaseType[];
+  excludeTypes?: ReleaseType[];
+  /** Release must have at least one of these tags */
+  tags?: string[];
+  excludeTags?: string[];
+  minTracks?: number;
+  /** Minutes */
+  minRuntime?: number;
+  maxAgeDays?: number;
+  /** Drop reissues, remasters and represses, or the releases with these title keywords */
+  excludeReissues?: boolean | string[];
+}
+
+/** One artist or label page in a feed config */
+export interface ArtistConfig {
+  name: string;
+  url: string;
+  /** Number of releases to check on each run, defaults to 2 */
+  maxReleases?: number;
+  upcoming?: UpcomingMode;
+  undated?: UndatedMode;
+  /** Provider to scrape the page with, detected from the URL (or the page) when not set */
+  source?: string;
+  /** Read releases from any web page with CSS selectors, each optionally ending in @attribute */
+  selectors?: {
+    item: string;
+    title: string;
+    link?: string;
+    date?: string;
+    image?: string;
+    description?: string;
+  };
+  /** Format of the date text for selectors, e.g. "DD.MM.YYYY" */
+  dateFormat?: string;
+  /** SoundCloud only: which uploads to follow, defaults to tracks and albums */
+  include?: Array<'tracks' | 'albums' | 'playlists'>;
+  /** Spotify only: only list releases available in this country (ISO 3166-1 alpha-2), defaults to SPOTIFY_MARKET */
+  market?: string;
+  /** Bandcamp tag and Discover pages only: which releases to list, overrides the filters in the URL */
+  query?: {
+    genre?: string;
+    subgenre?: string;
+    /** Tags a release must all have */
+    tags?: string[];
+    format?: 'all' | 'digital' | 'vinyl' | 'cd' | 'cassette';
+    /** Defaults to "new" (new arrivals) */
+    sort?: 'new' | 'top' | 'rec' | 'pop' | 'surprise';
+    /** GeoNames id of the place artists must be from */
+    location?: number;
+  };
+  /** Replace the feed's filters for this artist, setting by setting */
+  filters?: ReleaseFilters;
+}
+
+/** A feed config, the same shape as an artists/*.json file */
+export interface FeedConfig {
+  title?: string;
+  description?: string;
+  formats?: FeedFormat[];
+  retention?: {
+    maxItems?: number;
+    maxAgeDays?: number;
+  };
+  upcoming?: UpcomingMode;
+  undated?: UndatedMode;
+  filters?: ReleaseFilters;
+  artists: ArtistConfig[];
+}
+
+export interface Track {
+  number: number | null;
+  title: string;
+  /** Duration in seconds */
+  duration: number | null;
+}
+
+/** Extra details read from a Bandcamp album page or the SoundCloud/Spotify APIs */
+export interface ReleaseMetadata {
+  type: 'album' | 'ep' | 'single' | 'track' | 'compilation' | 'playlist' | null;
+  artist: string | null;
+  tracks: Track[];
+  /** Total runtime in seconds */
+  runtime: number | null;
+  tags: string[];
+  label: string | null;
+  catalogNumber: string | null;
+  price: number | null;
+  currency: string | null;
+  nameYourPrice: boolean;
+  credits: string | null;
+}
+
+/** A scraped release */
+export interface Release {
+  title: string;
+  url: string;
+  /** Null when the source has no readable date, see UndatedMode */
+  date: Date | null;
+  /** How much of the date is known, Spotify only has the year or month for some releases */
+  datePrecision?: 'year' | 'month' | 'day';
+  /** Where the date was read from, e.g. "bandcamp:ld+json", "rss:pubDate" or "spotify:release_date" */
+  dateSource?: string;
+  image?: string;
+  description?: string;
+  metadata?: ReleaseMetadata | null;
+  /** Set for announced and pre-order releases */
+  upcoming?: boolean;
+  /** Stable id at the source, e.g. "bandcamp:album-123", used with the URL to recognise the same release elsewhere */
+  sourceId?: string;
+  /** Config entries whose pages list the release, more than one when e.g. the artist and their label both do */
+  listedBy?: Array<{ name: string; url: string }>;
+  /** The release's own artist, for releases found through a fan or a tag rather than on the artist's page */
+  artist?: string | null;
+  /** Fans whose collection or wishlist the release came from */
+  curators?: Curator[];
+  artistName?: string;
+  artistUrl?: string;
+}
+
+/** A Bandcamp fan that collected or wishlisted a release */
+export interface Curator {
+  name: string;
+  /** The fan page the release was found on */
+  url: string;
+  list: 'collection' | 'wishlist';
+}
+
+/** A release from the stored history, as used to fill a feed */
+export interface StoredRelease extends Release {
+  date: Date;
+  artistName: string;
+  artistUrl: string;
+  /** Feed item id, set the first time the release is stored and kept from then on */
+  guid: string;
+  /** Whether the release was ever seen before its release date */
+  announced: boolean;
+  /** "first-seen" for releases without a date of their own */
+  dateSource?: string;
+  /** Set for undated releases when the undated mode is "flag" */
+  dateUnknown?: boolean;
+  firstSeen: Date;
+  lastSeen: Date;
+}
+
+/** Release history kept between runs, see loadState() */
+export interface State {
+  version: number;
+  updated: string | null;
+  feeds: Record<string, unknown>;
+}
+
+/** How an artist's last scrape went, kept in the state between runs */
+export interface ArtistScrape {
+  status: 'ok' | 'warning' | 'error';
+  lastScraped: Date | null;
+  /** Last scrape that didn't fail, null if none has */
+  lastSuccess: Date | null;
+  /** First error or warning of the last scrape */
+  message: string | null;
+}
+
+/** Album page details kept between runs, see loadAlbumCache() */
+export interface AlbumCache {
+  version: number;
+  maxAgeDays: number;
+  forceRefresh: boolean;
+  albums: Record<string, unknown>;
+  /** Albums looked up during this run */
+  used: Set<string>;
+  stats: { hits: number; revalidated: number; fetched: number };
+}
+
+export interface HttpOptions {
+  /** Requests in flight across all sites (default 6) */
+  concurrency?: number;
+  /** Requests in flight per site (default 2) */
+  hostConcurrency?: number;
+  /** Sustained request rate per site (default 2) */
+  requestsPerSecond?: number;
+  /** Requests a site may get back to back after a quiet spell (default 2) */
+  burst?: number;
+  /** Give up on a request after this long (default 20000) */
+  timeoutMs?: number;
+  /** Retries after a timeout, network error, 429 or 5xx (default 3) */
+  retries?: number;
+  retryDelayMs?: number;
+  maxRetryDelayMs?: number;
+  userAgent?: string;
+  /** Does the actual request, defaults to axios.request */
+  request?: (config: Record<string, unknown>) => Promise<HttpResponse>;
+}
+
+export interface HttpResponse {
+  status: number;
+  headers: Record<string, string>;
+  data: any;
+}
+
+/** Request scheduler shared by the scrapers, see createHttpScheduler() */
+export interface HttpScheduler {
+  get(url: string, config?: Record<string, unknown>): Promise<HttpResponse>;
+  post(url: string, data: unknown, config?: Record<string, unknown>): Promise<HttpResponse>;
+  stats: { requests: number; retries: number; failures: number; started: number };
+  options: HttpOptions;
+}
+
+/** Something that went wrong while scraping an artist */
+export interface ScrapeProblem {
+  /** http: error status, network: no answer, parse: page without what we looked for, source: no provider, config: run not set up for the source */
+  type: 'http' | 'network' | 'parse' | 'source' | 'config';
+  message: string;
+  url?: string;
+  /** HTTP status, for http problems */
+  status?: number;
+}
+
+/** What a scraper found: releases, and the problems that kept it from finding more */
+export interface ScrapeResult {
+  releases: Release[];
+  /** Problems that stopped the scrape, the artist counts as failed */
+  errors: ScrapeProblem[];
+  /** Problems the scrape got past, e.g. an album page that couldn't be read */
+  warnings: ScrapeProblem[];
+  /** Name of the provider that scraped the artist */
+  source?: string;
+}
+
+/** How scraping one artist went, in BuiltFeed.report and report.json */
+export interface ArtistReport {
+  name: string;
+  url: string;
+  source: string | null;
+  status: 'ok' | 'warning' | 'error';
+  /** Releases the scraper returned */
+  found: number;
+  /** Releases that made it into the history */
+  kept: number;
+  /** Releases left out, counted by reason */
+  dropped: Record<string, number>;
+  errors: ScrapeProblem[];
+  warnings: ScrapeProblem[];
+  durationMs: number;
+}
+
+/** How building one feed went */
+export interface FeedReport {
+  id: string;
+  title: string;
+  /** skipped: built from the stored history only. error: every scraped artist failed, or the feed couldn't be built */
+  status: 'ok' | 'warning' | 'error' | 'skipped';
+  scraped: boolean;
+  items: number;
+  upcomingItems: number;
+  artists: ArtistReport[];
+  /** Why the feed was built from the stored history instead */
+  error?: string;
+  /** false when the feed couldn't be built at all and is missing from the site */
+  built?: boolean;
+  aggregateOf?: string[];
+  durationMs: number;
+}
+
+/** Options for scrapeArtist(), plus any artist settings from a feed config */
+export interface ScrapeOptions extends Omit<ArtistConfig, 'name' | 'url'> {
+  /** Artist name, attached to the releases as artistName */
+  name?: string;
+  /** Number of releases to check (default 2) */
+  maxReleases?: number;
+  /** Return announced/pre-order releases flagged as upcoming */
+  includeUpcoming?: boolean;
+  albumCache?: AlbumCache;
+  /** A scheduler to share, or options for a new one */
+  http?: HttpScheduler | HttpOptions;
+}
+
+/** What a provider's scrape() gets besides the artist config */
+export interface ScrapeContext {
+  maxReleases: number;
+  includeUpcoming: boolean;
+  albumCache: AlbumCache | null;
+  /** Scheduler to send requests through, shared by the whole run */
+  http: HttpScheduler;
+}
+
+/** A fetched page, for Provider.detect() */
+export interface ProbedPage {
+  url: string;
+  /** Page body if it was text, otherwise an empty string */
+  html: string;
+  /** Page body as returned by the request, e.g. an object for JSON */
+  data: unknown;
+  /** Cheerio instance loaded with the page */
+  $: import('cheerio').CheerioAPI;
+}
+
+/** A source of releases, see registerProvider() */
+export interface Provider {
+  /** Name used in the artist "source" setting, lowercase letters, digits and dashes */
+  name: string;
+  /** Display name for logs, defaults to the name */
+  label?: string;
+  /** Whether an artist belongs to this source, going by the config alone */
+  matches(url: string, artist: ArtistConfig): boolean;
+  /** Whether a fetched page belongs to this source, for URLs no provider matches (e.g. custom domains) */
+  detect?(page: ProbedPage): boolean | Promise<boolean>;
+  /** Release arrays are still accepted, they count as a result without problems */
+  scrape(artist: ArtistConfig, context: ScrapeContext): Promise<ScrapeResult | Release[]>;
+}
+
+/** Site settings, see loadSiteConfig() */
+export interface SiteConfig {
+  /** Address the site is published at, with a trailing slash. null if unknown, feeds then link to the project */
+  baseUrl: string | null;
+  /** Default "Artist RSS Feed Generator" */
+  title: string;
+  author: string | null;
+  /** Default "en" */
+  language: string;
+  theme: Theme | null;
+}
+
+export interface BuildFeedOptions {
+  /** Feed path such as "labels" or "sub/folder/feed", names the output files (default "feed") */
+  id?: string;
+  /** Release history to merge into, a fresh one is used if omitted */
+  state?: State;
+  albumCache?: AlbumCache;
+  /** A scheduler to share, or options for a new one */
+  http?: HttpScheduler | HttpOptions;
+  /** Only scrape artists matching this name or URL */
+  artist?: string;
+  /** Set to false to build the feed from the stored history only */
+  scrape?: boolean;
+  /** For the feed links, default from SITE_URL or GITHUB_REPOSITORY */
+  site?: SiteConfig;
+}
+
+export interface BuiltFeed {
+  /** Feed path, e.g. "labels" or "sub/folder/feed" */
+  id: string;
+  /** Last part of the feed path, e.g. "feed" */
+  name: string;
+  /** Directory part of the feed path, "." for top-level feeds */
+  directory: string;
+  title: string;
+  description: string;
+  formats: FeedFormat[];
+  config: FeedConfig;
+  feed: Feed;
+  /** Feed of announced releases, when an artist uses the "separate" upcoming mode */
+  upcomingFeed: Feed | null;
+  /** Stored releases for this feed, newest first */
+  releases: StoredRelease[];
+  /** Last scrape of each artist in the feed, by artist URL */
+  artistScrapes: Record<string, ArtistScrape>;
+  /** For an aggregate feed, the ids of the feeds it combines */
+  aggregateOf?: string[];
+  report: FeedReport;
+}
+
+export interface AggregateFeedOptions {
+  /** Feed path, names the output files (default "all") */
+  id?: string;
+  /** Default "All Feeds" */
+  title?: string;
+  description?: string;
+  /** Default every format any of the feeds uses */
+  formats?: FeedFormat[];
+  site?: SiteConfig;
+}
+
+/** Color scheme of the default stylesheet, auto follows the reader's system setting */
+export type Theme = 'dark' | 'light' | 'auto';
+
+/** Compiled page templates and stylesheet, see loadTemplates() */
+export interface TemplateSet {
+  /** Directory the templates were loaded from */
+  dir: string;
+  /** Compiled layout.html, index.html and feed.html */
+  templates: Record<string, unknown[]>;
+  /** Contents of style.css */
+  stylesheet: string;
+}
+
+export interface RenderSiteOptions {
+  /** Time shown as "Last updated" (default now) */
+  generatedAt?: Date;
+  /** Only render the feed documents of these feeds, pages are rendered for all */
+  feedIds?: string[];
+  /** Page templates, the default theme if not set */
+  templates?: TemplateSet;
+  /** Default the site's theme, or dark */
+  theme?: Theme;
+  /** For the site title and page links, default from SITE_URL or GITHUB_REPOSITORY */
+  site?: SiteConfig;
+}
+
+export interface SiteFile {
+  /** Path relative to the output directory, with forward slashes */
+  path: string;
+  content: string;
+  /** What the file is, for logging */
+  label: string;
+  type: 'feed' | 'page' | 'asset';
+  feedId: string | null;
+}
+
+export interface FeedFormatInfo {
+  label: string;
+  linkText: string;
+  extension: string;
+  mimeType: string;
+  render(feed: Feed): string;
+}
+
+/** Scrape the latest releases from a single artist page */
+export function scrapeArtist(url: string, options?: ScrapeOptions): Promise<ScrapeResult>;
+
+/** Build a feed from a feed config, without writing anything */
+export function buildFeed(config: FeedConfig, options?: BuildFeedOptions): Promise<BuiltFeed>;
+
+/** Build one feed with the releases of several feeds, each release listed once */
+export function buildAggregateFeed(builtFeeds: BuiltFeed[], options?: AggregateFeedOptions): BuiltFeed;
+
+/**
+ * Render a built feed in one of its formats, or 'upcoming' for the upcoming releases feed.
+ * Throws if the document doesn't pass validateFeedDocument()
+ */
+export function renderFeed(builtFeed: BuiltFeed, format: FeedFormat | 'upcoming'): string;
+
+/** Render the feed documents and HTML pages for a set of built feeds */
+export function renderSite(builtFeeds: BuiltFeed[], options?: RenderSiteOptions): SiteFile[];
+
+export const FEED_FORMATS: Record<FeedFormat, FeedFormatInfo>;
+
+/** Check a feed document against the RSS 2.0, Atom 1.0 or JSON Feed 1.1 spec, returns the problems found */
+export function validateFeedDocument(document: string, format: FeedFormat): string[];
+
+export function loadState(stateFile: string): Promise<State>;
+export function saveState(stateFile: string, state: State): Promise<void>;
+
+export function loadAlbumCache(cacheFile: string, options?: { maxAgeDays?: number; forceRefresh?: boolean }): Promise<AlbumCache>;
+/** Saving with the release state drops albums that are no longer in its history */
+export function saveAlbumCache(cacheFile: string, cache: AlbumCache, state?: State): Promise<void>;
+
+export function createHttpScheduler(options?: HttpOptions): HttpScheduler;
+
+/** Add a source provider, replacing any existing one with the same name */
+export function registerProvider(provider: Provider): Provider;
+
+/** The registered providers, in the order they are tried */
+export function getProviders(): Provider[];
+
+/** Import the .js/.mjs modules in a directory and register their default exports */
+export function loadProviders(providersDir: string): Promise<Provider[]>;
+
+/** Set how much is logged: 'quiet' (errors only), 'normal' or 'verbose' */
+export function setLogLevel(level: 'quiet' | 'normal' | 'verbose'): void;
+
+/** Load a templates directory (any of layout.html, index.html, feed.html, style.css) on top of the default theme */
+export function loadTemplates(templatesDir?: string): Promise<TemplateSet>;
+
+/**
+ * Load site settings from a JSON file (missing is fine). The base URL comes from options.baseUrl,
+ * the file, SITE_URL or the GitHub Pages address of GITHUB_REPOSITORY, in that order
+ */
+export function loadSiteConfig(siteConfigFile?: string, options?: { baseUrl?: string; env?: Record<string, string | undefined> }): Promise<SiteConfig>;
@@ -1,704 +1,362 @@
-import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { Feed } from 'feed';
-import axios from 'axios';
-import * as cheerio from 'cheerio';
-import { glob } from 'glob';
+import { createEmptyState, getRetention, mergeReleases, getFeedReleases, recordArtistScrapes, getArtistScrapes } from './src/state.js';
+import { combineReleases, getReleaseGuid } from './src/dedupe.js';
+import { resolveFilters, compileFilters, applyFilters, describeDropped } from './src/filters.js';
+import { UNDATED_MODES } from './src/dates.js';
+import { formatDuration } from './src/bandcamp-metadata.js';
+import { matchesArtist } from './src/config-files.js';
+import { log } from './src/log.js';
+import { createHttpScheduler } from './src/http.js';
+import { resolveProvider, getProviders } from './src/providers.js';
+import { createScrapeResult, describeError, toScrapeResult, getStatus, getFeedStatus } from './src/report.js';
+import { escapeHtml, getDefaultTemplates, renderPage } from './src/templates.js';
+import { renderRssFeed, renderAtomFeed, renderJsonFeed } from './src/feed-render.js';
+import { validateFeedDocument } from './src/feed-validate.js';
+import { PROJECT_URL, resolveSiteConfig, getSiteUrl } from './src/site.js';
+import { renderOpml } from './src/opml.js';
 
-// Get the directory name
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Path to the output directory (where GitHub Pages will serve from)
-const outputDir = path.join(__dirname, 'dist');
-
-// Path to the artists directory
-const artistsDir = path.join(__dirname, 'artists');
-
-// Ensure the output directory exists
-fs.ensureDirSync(outputDir);
-
-// Ensure the artists directory exists
-fs.ensureDirSync(artistsDir);
+// Output formats a feed config can opt into, keyed by the name used in "formats"
+const FEED_FORMATS = {
+  rss: { label: 'RSS 2.0', linkText: 'Direct XML Link', extension: 'xml', mimeType: 'application/rss+xml', render: renderRssFeed },
+  atom: { label: 'Atom 1.0', linkText: 'Atom Link', extension: 'atom', mimeType: 'application/atom+xml', render: renderAtomFeed },
+  json: { label: 'JSON Feed 1.1', linkText: 'JSON Feed Link', extension: 'json', mimeType: 'application/feed+json', render: renderJsonFeed }
+};
 
 /**
  * Scrape releases from an artist page
- * @param {Object} artist - Artist object with name, url, and optionally maxReleases
- * @returns {Promise<Array>} - Array of release objects
+ * The source is picked by the provider registry, see src/providers.js.
+ * @param {Object} artist - Artist object with name, url, and optionally maxReleases, source and source-specific settings
+ * @param {Object} albumCache - Album detail cache shared across the run (optional)
+ * @param {Object} options - Scrape options
+ * @param {boolean} [options.includeUpcoming] - Return announced/pre-order releases flagged as upcoming
+ * @param {Object} options.http - Request scheduler shared by the run, see createHttpScheduler()
+ * @returns {Promise<Object>} - Scrape result: { releases, errors, warnings, source }, see src/report.js
  */
-async function scrapeArtistReleases(artist) {
+async function scrapeArtistReleases(artist, albumCache, options = {}) {
   const { url } = artist;
   // Get the maximum number of releases to scrape from artist object or use default
   const maxReleases = artist.maxReleases || 2; // Default to 2 if not specified
   
-  // Determine which scraper to use based on the URL
-  if (url.includes('bandcamp.com')) {
-    return scrapeBandcamp(url, maxReleases);
-  } else if (url.includes('soundcloud.com')) {
-    return scrapeSoundcloud(url, maxReleases);
-  } else if (url.includes('spotify.com')) {
-    return scrapeSpotify(url, maxReleases);
-  } else {
-    // For demo purposes, return a sample release
-    return [{
-      title: "Sample Release",
-      url: "https://example.com/sample-release",
-      date: new Date(),
-      image: "",
-      description: `Demo release for ${artist.name}`
-    }];
+  let provider;
+  try {
+    provider = await resolveProvider(artist, options.http);
+  } catch (error) {
+    log.error(`Couldn't work out the source of ${url}: ${error.message}`);
+    const result = createScrapeResult();
+    result.errors.push(describeError(error, url));
+    return result;
+  }
+  
+  if (!provider) {
+    const message = `No source recognises ${url}, set "source" on ${artist.name} to one of: ${getProviders().map(p => p.name).join(', ')}`;
+    log.error(message);
+    const result = createScrapeResult();
+    result.errors.push({ type: 'source', message, url });
+    return result;
   }
+  
+  log.debug(`Scraping ${url} with the ${provider.label} provider`);
+  let result;
+  try {
+    // Providers from providers/ may still return a plain array of releases
+    result = toScrapeResult(await provider.scrape(artist, {
+      maxReleases,
+      includeUpcoming: !!options.includeUpcoming,
+      albumCache,
+      http: options.http
+    }));
+  } catch (error) {
+    log.error(`Error scraping ${url} with the ${provider.label} provider: ${error.message}`);
+    result = createScrapeResult();
+    result.errors.push(describeError(error, url));
+  }
+  
+  return { ...result, source: provider.name };
 }
 
 /**
- * Scrape releases from a Bandcamp artist page
- * @param {string} url - Bandcamp artist URL
- * @param {number} maxReleases - Maximum number of releases to scrape (from artist config)
- * @returns {Promise<Array>} - Array of release objects
+ * Format a date as YYYY/MM/DD HH:MM:SS for display on the generated pages
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted timestamp
  */
-async function scrapeBandcamp(url, maxReleases = 2) {
-  try {
-    // First fetch the artist page to get all album links
-    const { data } = await axios.get(url);
-    const $ = cheerio.load(data);
-    const releases = [];
+function formatTimestamp(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  const seconds = String(date.getSeconds()).padStart(2, '0');
+  return `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
+}
 
-    // Get album/track items from the page
-    const albumItems = $('.music-grid-item');
-    
-    console.log(`Found ${albumItems.length} potential releases, targeting ${maxReleases} valid releases`);
-    
-    // Process albums until we reach maxReleases valid (non-future) releases
-    // or until we've gone through all available albums
-    let validReleasesCount = 0;
-    let i = 0;
-    
-    while (validReleasesCount < maxReleases && i < albumItems.length) {
-      const el = albumItems[i];
-      i++; // Increment the counter before any continues
-      
-      const albumUrl = $(el).find('a').attr('href');
-      const title = $(el).find('.title').text().trim();
-      const imageUrl = $(el).find('img').attr('src') || '';
-      const artistOverride = $(el).find('.artist-override').text().trim();
-      
-      // Make sure the URL is absolute
-      const fullAlbumUrl = albumUrl.startsWith('http') ? albumUrl : 
-                         (albumUrl.startsWith('/') ? new URL(albumUrl, url).toString() : `${url}${albumUrl}`);
-      
-      try {
-        // Fetch the album page to get detailed info
-        console.log(`Fetching album details from: ${fullAlbumUrl}`);
-        const { data: albumData } = await axios.get(fullAlbumUrl);
-        const albumPage = cheerio.load(albumData);
-        
-        // Look for the release date in the album metadata
-        let releaseDate;
-        
-        // Try to find the release date in the tralbum data (embedded JSON)
-        const scriptTags = albumPage('script[type="application/ld+json"]');
-        let foundDate = false;
-        
-        scriptTags.each((_, script) => {
-          if (foundDate) return;
-          
-          try {
-            const jsonData = JSON.parse(albumPage(script).html());
-            if (jsonData && jsonData.datePublished) {
-              releaseDate = new Date(jsonData.datePublished);
-              foundDate = true;
-            }
-          } catch (e) {
-            // Continue if this script tag doesn't contain valid JSON
-          }
-        });
-        
-        // If we couldn't find date in JSON, look for it in the page content
-        if (!foundDate) {
-          // Look for the release date in the album credits section
-          const creditsElement = albumPage('.tralbumData.tralbum-credits');
-          if (creditsElement.length) {
-            const creditsText = creditsElement.text();
-            console.log(`Credits text found: "${creditsText}"`);
-            
-            // Look specifically for "released Month Day, Year" format
-            const releaseDateMatch = creditsText.match(/released\s+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/i);
-            
-            if (releaseDateMatch && releaseDateMatch[1]) {
-              console.log(`Release date match found: "${releaseDateMatch[1]}"`);
-              releaseDate = new Date(releaseDateMatch[1]);
-              console.log(`Parsed date: ${releaseDate.toISOString()}`);
-              foundDate = true;
-            }
-          }
-          
-          // If still not found, try other selectors
-          if (!foundDate) {
-            // Try another common format
-            const altDateElement = albumPage('.tralbumData.tralbum-about-release-date');
-            if (altDateElement.length) {
-              const altDateMatch = altDateElement.text().trim();
-              if (altDateMatch) {
-                releaseDate = new Date(altDateMatch);
-                foundDate = true;
-              }
-            }
-          }
-        }
-        
-        // If still no date found, try another selector specific to Bandcamp
-        if (!foundDate || !releaseDate || isNaN(releaseDate.getTime())) {
-          // Try meta tag
-          const dateElement = albumPage('meta[itemprop="datePublished"]');
-          if (dateElement.length) {
-            const dateContent = dateElement.attr('content');
-            if (dateContent) {
-              console.log(`Found date in meta tag: ${dateContent}`);
-              releaseDate = new Date(dateContent);
-              foundDate = true;
-            }
-          }
-          
-          // As a last resort, try to find any text containing "released" followed by a date-like string
-          if (!foundDate) {
-            // Look through the entire page for any text containing "released" pattern
-            const pageText = albumPage('body').text();
-            const allReleasedMatches = pageText.match(/released\s+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi);
-            
-            if (allReleasedMatches && allReleasedMatches.length > 0) {
-              // Use the first match
-              const dateText = allReleasedMatches[0].replace(/released\s+/i, '');
-              console.log(`Found release date in page text: ${dateText}`);
-              releaseDate = new Date(dateText);
-              foundDate = true;
-            }
-          }
-        }
+/**
+ * Get the key a feed is stored under in the release state
+ * @param {string} jsonFile - Feed path or config file path relative to the artists directory
+ * @returns {string} - Feed key, e.g. "labels" or "sub/folder/feed"
+ */
+function getFeedKey(jsonFile) {
+  return jsonFile.replace(/\\/g, '/').replace(/\.json$/, '');
+}
 
-        // Check for "Album will be released on..." text patterns indicating future releases
-        const preOrderText = albumPage('body').text().match(/will be released on|releases on|available on|releases \w+ \d{1,2},? \d{4}/i);
-        const isPreOrder = !!preOrderText;
-        if (isPreOrder) {
-          console.log(`Found pre-order indication: "${preOrderText[0]}"`);
-        }
-        
-        // Set description (might include album notes if available)
-        let description = `New release by ${artistOverride || 'artist'}`;
-        const albumNotes = albumPage('.tralbum-about').text().trim();
-        if (albumNotes) {
-          description = albumNotes.length > 300 ? 
-                      albumNotes.substring(0, 297) + '...' : 
-                      albumNotes;
-        }
-        
-        // If we still don't have a date, use current date as fallback
-        if (!releaseDate || isNaN(releaseDate.getTime())) {
-          console.log(`Couldn't find release date for: ${title}. Using current date.`);
-          releaseDate = new Date();
-        }
-        
-        // Check if the release date is in the future
-        const now = new Date();
-        const isFutureRelease = releaseDate > now;
-        
-        if (isFutureRelease) {
-          console.log(`Skipping future release: ${title} (Release date: ${releaseDate.toISOString()})`);
-          continue; // Skip this release and move to the next one without incrementing validReleasesCount
-        }
-        
-        // If we got here, it's not a future release, so add it
-        releases.push({
-          title,
-          url: fullAlbumUrl,
-          date: releaseDate,
-          image: imageUrl,
-          description
-        });
-        
-        // Increment the count of valid releases we've added
-        validReleasesCount++;
-        
-      } catch (albumError) {
-        console.error(`Error fetching album details for ${title}: ${albumError.message}`);
-        // Add with basic info and current date if album page fetch fails
-        releases.push({
-          title,
-          url: fullAlbumUrl,
-          date: new Date(),
-          image: imageUrl,
-          description: `New release by ${artistOverride || 'artist'}`
-        });
-        
-        // We still count this as a valid release even though it had an error
-        validReleasesCount++;
-      }
-      
-      // Add a small delay to avoid overloading the server
-      await new Promise(resolve => setTimeout(resolve, 700));
+/**
+ * Get the output formats a feed config asks for
+ * Unknown formats are ignored with a warning; RSS is used when nothing valid is listed.
+ * @param {Object} artistsData - Parsed feed config (contents of an artists/*.json file)
+ * @returns {Array<string>} - Format names, e.g. ['rss', 'json']
+ */
+function getFeedFormats(artistsData) {
+  const requested = Array.isArray(artistsData.formats) ? artistsData.formats : ['rss'];
+  const formats = [];
+  
+  for (const format of requested) {
+    const name = String(format).toLowerCase();
+    if (!FEED_FORMATS[name]) {
+      log.warn(`Ignoring unknown feed format: ${format}`);
+    } else if (!formats.includes(name)) {
+      formats.push(name);
     }
-    
-    console.log(`Finished processing. Got ${releases.length} valid releases out of ${i} checked albums.`);
-
-    // Sort the releases by date, newest first
-    releases.sort((a, b) => b.date - a.date);
-
-    return releases.length > 0 ? releases : [{
-      title: "Sample Bandcamp Release",
-      url: url,
-      date: new Date(),
-      image: "",
-      description: "Demo release (no actual releases found)"
-    }];
-  } catch (error) {
-    console.error(`Error scraping Bandcamp: ${error.message}`);
-    return [{
-      title: "Error Reading Bandcamp",
-      url: url,
-      date: new Date(),
-      description: "Could not retrieve releases"
-    }];
   }
+  
+  return formats.length > 0 ? formats : ['rss'];
 }
 
 /**
- * Scrape releases from a SoundCloud artist page
- * @param {string} url - SoundCloud artist URL
- * @param {number} maxReleases - Maximum number of releases to scrape
- * @returns {Promise<Array>} - Array of release objects
+ * Get the relative path from a feed's info page back to the site root
+ * @param {Object} builtFeed - Feed from buildFeed()
+ * @returns {string} - "" for top-level feeds, otherwise "../" per directory level
  */
-async function scrapeSoundcloud(url, maxReleases = 2) {
-  try {
-    const { data } = await axios.get(url);
-    const $ = cheerio.load(data);
-    const releases = [];
+function getRootPath(builtFeed) {
+  return builtFeed.directory === '.' ? '' : '../'.repeat(builtFeed.directory.split('/').length);
+}
 
-    // SoundCloud-specific selectors for releases
-    const soundItems = $('.soundList__item');
-    console.log(`Found ${soundItems.length} SoundCloud items, processing up to ${maxReleases}`);
-    
-    let count = 0;
-    soundItems.each((i, el) => {
-      // Stop if we've reached the maximum
-      if (count >= maxReleases) return false;
-      
-      const title = $(el).find('.soundTitle__title').text().trim();
-      const releaseUrl = $(el).find('.soundTitle__title').attr('href');
-      const imageUrl = $(el).find('.image__full').attr('src') || '';
-      const dateText = $(el).find('.soundTitle__uploadTime').text().trim();
-      
-      // Parse date or use current date if not found
-      let date;
-      try {
-        if (dateText) {
-          date = new Date(dateText);
-        } else {
-          date = new Date();
-        }
-      } catch (e) {
-        date = new Date();
-      }
+// How an artist's last scrape is shown on the feed page
+const ARTIST_STATUS_LABELS = {
+  ok: 'OK',
+  warning: 'Warnings',
+  error: 'Failed',
+  unknown: 'Not scraped yet'
+};
 
-      if (title && releaseUrl) {
-        releases.push({
-          title,
-          url: releaseUrl.startsWith('http') ? releaseUrl : `https://soundcloud.com${releaseUrl}`,
-          date,
-          image: imageUrl,
-          description: `New track on SoundCloud`
-        });
-        count++;
-      }
-    });
+/**
+ * Format a release date as far as it is known, e.g. "2024-03-05", "2024-03" or "2024"
+ * @param {Date} date - Release date (UTC)
+ * @param {string} [precision] - 'day' (default), 'month' or 'year'
+ * @returns {string} - Formatted date
+ */
+function formatReleaseDate(date, precision) {
+  const isoDate = date.toISOString();
+  return precision === 'year' ? isoDate.slice(0, 4) :
+         precision === 'month' ? isoDate.slice(0, 7) :
+         isoDate.slice(0, 10);
+}
 
-    return releases.length > 0 ? releases : [{
-      title: "Sample SoundCloud Release",
-      url: url,
-      date: new Date(),
-      image: "",
-      description: "Demo release (no actual releases found)"
-    }];
-  } catch (error) {
-    console.error(`Error scraping SoundCloud: ${error.message}`);
-    return [{
-      title: "Error Reading SoundCloud",
-      url: url,
-      date: new Date(),
-      description: "Could not retrieve releases"
-    }];
+/**
+ * Describe a release for the release grid of a feed page
+ * @param {Object} release - Release record from the state
+ * @param {Date} now - Current time, for upcoming releases
+ * @returns {Object} - { title, artist, via, url, image, date, dateTime, dateUnknown, upcoming, curators, source }
+ */
+function getReleaseView(release, now) {
+  const credit = getReleaseCredit(release);
+  const dateUnknown = release.dateSource === 'first-seen';
+  let source = '';
+  try {
+    source = new URL(release.url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    // Not every provider links to a web page
   }
+  
+  return {
+    title: release.title,
+    artist: credit.artist,
+    via: credit.via.join(' & '),
+    url: release.url,
+    image: release.image ? processImageUrl(release.image, release.artistUrl) : '',
+    date: formatReleaseDate(release.date, dateUnknown ? 'day' : release.datePrecision),
+    dateTime: release.date.toISOString(),
+    dateUnknown,
+    upcoming: isUpcomingRelease(release, now),
+    curators: describeCurators(release.curators),
+    source
+  };
 }
 
 /**
- * Scrape releases from a Spotify artist page
- * @param {string} url - Spotify artist URL
- * @param {number} maxReleases - Maximum number of releases to scrape
- * @returns {Promise<Array>} - Array of release objects
+ * Get the values every page template gets
+ * @param {Object} site - Page settings, see renderSite()
+ * @param {string} pagePath - Page path relative to the site root
+ * @param {string} root - Relative path from the page to the site root
+ * @returns {Object} - { site, root, theme, generatedAt, canonicalUrl }
  */
-async function scrapeSpotify(url, maxReleases = 2) {
-  console.log(`Spotify scraping requested with maxReleases: ${maxReleases}`);
-  // For demo purposes, return a sample release
-  return [{
-    title: "Sample Spotify Release",
-    url: url,
-    date: new Date(),
-    image: "",
-    description: "Demo release (Spotify requires authentication)"
-  }];
+function getPageData(site, pagePath, root) {
+  return {
+    site: { title: site.title, author: site.author, language: site.language, baseUrl: site.baseUrl },
+    root,
+    theme: site.theme,
+    generatedAt: formatTimestamp(site.generatedAt),
+    canonicalUrl: getSiteUrl(site, pagePath)
+  };
 }
 
 /**
- * Processes all artist JSON files in the artists directory
- * @returns {Promise<void>}
+ * Get the feed documents a page should announce for feed reader autodiscovery
+ * @param {Object} builtFeed - Feed from buildFeed()
+ * @param {string} prefix - Path from the page to the feed's directory
+ * @returns {Array<Object>} - { href, type, title }
  */
-async function processArtistFiles() {
-  try {
-    // Find all .json files in the artists directory and its subdirectories
-    const jsonFiles = glob.sync('**/*.json', { cwd: artistsDir });
-    
-    if (jsonFiles.length === 0) {
-      console.log('No artist JSON files found. Creating a default one...');
-      
-      // Create a default file if none exist
-      const defaultArtistsFile = path.join(artistsDir, 'default.json');
-      const defaultArtists = {
-        title: "Default Artist Feed",
-        description: "Default feed for artists",
-        artists: [
-          {
-            name: "Example Artist",
-            url: "https://example.com/artist/page"
-          }
-        ]
-      };
-      
-      await fs.writeJson(defaultArtistsFile, defaultArtists, { spaces: 2 });
-      console.log(`Created default artists file at: ${defaultArtistsFile}`);
-      jsonFiles.push('default.json');
-    }
-    
-    console.log(`Found ${jsonFiles.length} artist JSON file(s) to process`);
-    
-    // Process each JSON file and generate a feed for it
-    for (const jsonFile of jsonFiles) {
-      const fullPath = path.join(artistsDir, jsonFile);
-      console.log(`Processing artist file: ${fullPath}`);
-      
-      try {
-        await generateFeedForFile(jsonFile, fullPath);
-      } catch (error) {
-        console.error(`Error processing ${jsonFile}: ${error.message}`);
-      }
-    }
-    
-    // Create an index page that links to all feeds
-    await createIndexPage(jsonFiles);
-    
-  } catch (error) {
-    console.error('Error processing artist files:', error);
+function getFeedAlternates(builtFeed, prefix) {
+  return builtFeed.formats.map(format => ({
+    href: `${prefix}${builtFeed.name}-feed.${FEED_FORMATS[format].extension}`,
+    type: FEED_FORMATS[format].mimeType,
+    title: builtFeed.formats.length > 1 ? `${builtFeed.title} (${FEED_FORMATS[format].label})` : builtFeed.title
+  }));
+}
+
+/**
+ * Create the HTML page for a specific feed
+ * Lists the releases in the feed with their covers, and for regular feeds the artists
+ * with how their last scrape went.
+ * @param {Object} builtFeed - Feed from buildFeed()
+ * @param {Object} site - Page settings, see renderSite()
+ * @returns {string} - HTML page
+ */
+function createFeedInfoPage(builtFeed, site) {
+  const { name: feedId, title: feedTitle, formats, releases: feedReleases } = builtFeed;
+  
+  // One subscribe link per output format, shown as the full address when the site has one
+  const links = formats.map(format => {
+    const fileName = `${feedId}-feed.${FEED_FORMATS[format].extension}`;
+    return {
+      label: FEED_FORMATS[format].label,
+      href: `./${fileName}`,
+      text: getSiteUrl(site, `${builtFeed.id}-feed.${FEED_FORMATS[format].extension}`) || fileName
+    };
+  });
+  
+  if (builtFeed.upcomingFeed) {
+    links.push({
+      label: 'Upcoming releases',
+      href: `./${feedId}-upcoming.xml`,
+      text: getSiteUrl(site, `${builtFeed.id}-upcoming.xml`) || `${feedId}-upcoming.xml`
+    });
   }
+  
+  // Work out first-seen dates from the stored history
+  const firstSeenTimes = feedReleases.map(release => release.firstSeen.getTime());
+  
+  // The aggregate's releases were already narrowed down by their own feeds
+  const now = new Date();
+  const listed = builtFeed.aggregateOf ?
+                 feedReleases :
+                 feedReleases.filter(release => isReleaseListed(release, builtFeed.config, now));
+  
+  const artists = (builtFeed.config.artists || []).map(artist => {
+    const scrape = (builtFeed.artistScrapes || {})[artist.url];
+    const status = scrape ? scrape.status : 'unknown';
+    return {
+      name: artist.name,
+      url: artist.url,
+      releaseCount: listed.filter(release => release.artistUrl === artist.url ||
+                                             (release.listedBy || []).some(entry => entry.url === artist.url)).length,
+      status,
+      statusLabel: ARTIST_STATUS_LABELS[status],
+      message: scrape && scrape.status !== 'ok' ? scrape.message : null,
+      lastScraped: scrape && scrape.lastScraped ? formatTimestamp(scrape.lastScraped) : null,
+      lastSuccess: scrape && scrape.lastSuccess ? formatTimestamp(scrape.lastSuccess) : null
+    };
+  });
+  
+  const root = getRootPath(builtFeed);
+  return renderPage(site.templates, 'feed.html', {
+    ...getPageData(site, `${builtFeed.id}.html`, root),
+    pageTitle: `${feedTitle} - ${site.title}`,
+    alternates: getFeedAlternates(builtFeed, './'),
+    backLink: `${root}index.html`,
+    feed: {
+      id: builtFeed.id,
+      name: feedId,
+      title: feedTitle,
+      description: builtFeed.description,
+      aggregate: !!builtFeed.aggregateOf,
+      configFile: `${builtFeed.id}.json`,
+      links,
+      releaseCount: builtFeed.feed.items.length,
+      trackingSince: firstSeenTimes.length > 0 ? formatTimestamp(new Date(Math.min(...firstSeenTimes))) : null,
+      newestFirstSeen: firstSeenTimes.length > 0 ? formatTimestamp(new Date(Math.max(...firstSeenTimes))) : null
+    },
+    releases: listed.map(release => getReleaseView(release, now)),
+    artists
+  });
 }
 
 /**
- * Create an HTML page for a specific feed
+ * Create the main index page that links to all available feeds
+ * @param {Array<Object>} builtFeeds - Feeds from buildFeed()
+ * @param {Object} site - Page settings, see renderSite()
+ * @returns {string} - HTML page
  */
-async function createFeedInfoPage(jsonFile, feedId, feedTitle, feedDirectory, releaseCount) {
-  // Ensure the output directory exists
-  const outputFeedDir = path.join(outputDir, feedDirectory);
-  fs.ensureDirSync(outputFeedDir);
-  
-  const htmlPath = path.join(outputFeedDir, `${feedId}.html`);
-  
-  // Link directly to the bandcamp-rss repository
-  let backLink = "/bandcamp-rss/";
-  
-  // Create a simple HTML page for this feed
-  const feedHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${feedTitle} - RSS Feed</title>
-  <style>
-    :root {
-      --bg-color: #121212;
-      --text-color: #e4e4e4;
-      --link-color: #90caf9;
-      --secondary-bg: #1e1e1e;
-      --accent-color: #bb86fc;
-      --border-color: #333333;
-    }
+function createIndexPage(builtFeeds, site) {
+  const feeds = builtFeeds.map(builtFeed => {
+    // Feed ids already use forward slashes, so they work as web paths on GitHub Pages
+    const relativePath = builtFeed.id;
     
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-      line-height: 1.6;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 20px;
-      background-color: var(--bg-color);
-      color: var(--text-color);
-    }
-    .container {
-      margin-top: 40px;
-    }
-    h1, h2, h3 {
-      color: var(--accent-color);
-    }
-    .feed-link {
-      background-color: var(--secondary-bg);
-      padding: 15px;
-      border-radius: 5px;
-      font-family: monospace;
-      word-break: break-all;
-      border: 1px solid var(--border-color);
-    }
-    .feed-link a {
-      color: var(--link-color);
-      text-decoration: none;
-    }
-    .feed-link a:hover {
-      text-decoration: underline;
-    }
-    pre {
-      background-color: var(--secondary-bg);
-      border-radius: 6px;
-      padding: 16px;
-      overflow: auto;
-      border: 1px solid var(--border-color);
-    }
-    .back-link {
-      margin-bottom: 20px;
-    }
-    .back-link a {
-      color: var(--link-color);
-      text-decoration: none;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="back-link">
-      <a href="${backLink}">← Back to All Feeds</a>
-    </div>
-    
-    <h1>${feedTitle}</h1>
-    <p>This feed contains releases from the artists configured in <code>${jsonFile}</code>.</p>
+    const links = builtFeed.formats.map(format => ({
+      href: `${relativePath}-feed.${FEED_FORMATS[format].extension}`,
+      text: FEED_FORMATS[format].linkText
+    }));
     
-    <h2>Subscribe to this RSS Feed</h2>
-    <div class="feed-link">
-      <a href="./${feedId}-feed.xml">${feedId}-feed.xml</a>
-    </div>
-    
-    <h3>Details</h3>
-    <p>Feed ID: ${feedId}</p>
-    <p>Number of releases: ${releaseCount}</p>
-    <p>Last updated: ${
-      (() => {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        return `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
-      })()
-    }</p>
+    if (builtFeed.upcomingFeed) {
+      links.push({ href: `${relativePath}-upcoming.xml`, text: 'Upcoming Link' });
+    }
     
-    <footer>
-      <p>Generated by <a href="https://github.com/blstrManx/bandcamp-rss">Bandcamp RSS Feed Generator</a></p>
-    </footer>
-  </div>
-</body>
-</html>`;
-  
-  await fs.writeFile(htmlPath, feedHtml);
-  console.log(`Feed info page written to ${htmlPath}`);
+    return {
+      id: builtFeed.id,
+      name: builtFeed.name,
+      title: builtFeed.title,
+      description: builtFeed.description,
+      page: `${relativePath}.html`,
+      releaseCount: builtFeed.feed.items.length,
+      links
+    };
+  });
+  
+  return renderPage(site.templates, 'index.html', {
+    ...getPageData(site, '', ''),
+    pageTitle: site.title,
+    alternates: builtFeeds.flatMap(builtFeed => getFeedAlternates(builtFeed, builtFeed.directory === '.' ? '' : `${builtFeed.directory}/`)),
+    feeds
+  });
 }
 
 /**
- * Create the main index page that links to all available feeds
+ * Create the OPML list of every feed on the site, for subscribing to all of them at once
+ * Feeds in subdirectories are grouped into one folder per directory. Readers need
+ * absolute URLs to subscribe, so the paths are only relative without a base URL.
+ * @param {Array<Object>} builtFeeds - Feeds from buildFeed()
+ * @param {Object} site - Site settings and render options, see renderSite()
+ * @returns {string} - OPML document
  */
-async function createIndexPage(jsonFiles) {
-  // Prepare feed list
-  let feedListHtml = '';
+function createOpml(builtFeeds, site) {
+  const getUrl = filePath => getSiteUrl(site, filePath) || filePath;
   
-  for (const jsonFile of jsonFiles) {
-    const feedId = path.basename(jsonFile, '.json');
-    const feedDirectory = path.dirname(jsonFile);
-    
-    // Build proper paths for GitHub Pages
-    // This is a key fix - we need to ensure web paths use forward slashes
-    const relativePath = feedDirectory === '.' ? 
-                       feedId : 
-                       `${feedDirectory.replace(/\\/g, '/')}/${feedId}`;
+  const outlines = builtFeeds.flatMap(builtFeed => {
+    // One subscription per feed, in the first format readers support best
+    const format = Object.keys(FEED_FORMATS).find(name => builtFeed.formats.includes(name));
+    const outline = {
+      group: builtFeed.directory === '.' ? '' : builtFeed.directory,
+      text: builtFeed.title,
+      description: builtFeed.description,
+      xmlUrl: getUrl(`${builtFeed.id}-feed.${FEED_FORMATS[format].extension}`),
+      htmlUrl: getUrl(`${builtFeed.id}.html`)
+    };
     
-    // Try to read the JSON to get the title
-    try {
-      const fullPath = path.join(artistsDir, jsonFile);
-      const artistsData = await fs.readJson(fullPath);
-      const feedTitle = artistsData.title || `${feedId} RSS Feed`;
-      
-      // Count releases by checking the corresponding feed XML
-      let releaseCount = 0;
-      const feedXmlPath = path.join(outputDir, feedDirectory, `${feedId}-feed.xml`);
-      
-      if (await fs.pathExists(feedXmlPath)) {
-        const feedContent = await fs.readFile(feedXmlPath, 'utf8');
-        releaseCount = (feedContent.match(/<item>/g) || []).length;
-      }
-      
-      // Create individual feed HTML page
-      await createFeedInfoPage(jsonFile, feedId, feedTitle, feedDirectory, releaseCount);
-      
-      feedListHtml += `
-      <li class="feed-item">
-        <a href="${relativePath}.html">${feedTitle}</a>
-        <div class="feed-details">
-          <span class="feed-id">${feedId}</span>
-          <a href="${relativePath}-feed.xml" class="direct-link">Direct XML Link</a>
-        </div>
-      </li>`;
-    } catch (error) {
-      console.error(`Error reading feed info for ${jsonFile}:`, error);
-      feedListHtml += `
-      <li class="feed-item">
-        <a href="${relativePath}.html">${feedId}</a>
-        <div class="feed-details">
-          <span class="feed-id">${feedId}</span>
-          <a href="${relativePath}-feed.xml" class="direct-link">Direct XML Link</a>
-        </div>
-      </li>`;
-    }
-  }
+    return builtFeed.upcomingFeed ?
+           [outline, { ...outline, text: `${builtFeed.title} (upcoming)`, xmlUrl: getUrl(`${builtFeed.id}-upcoming.xml`) }] :
+           [outline];
+  });
   
-  // Create the index HTML
-  const indexHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Artist RSS Feed Generator</title>
-  <style>
-    :root {
-      --bg-color: #121212;
-      --text-color: #e4e4e4;
-      --link-color: #90caf9;
-      --secondary-bg: #1e1e1e;
-      --accent-color: #bb86fc;
-      --border-color: #333333;
-    }
-    
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-      line-height: 1.6;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 20px;
-      background-color: var(--bg-color);
-      color: var(--text-color);
-    }
-    .container {
-      margin-top: 40px;
-    }
-    h1, h2, h3 {
-      color: var(--accent-color);
-    }
-    a {
-      color: var(--link-color);
-      text-decoration: none;
-    }
-    a:hover {
-      text-decoration: underline;
-    }
-    .feed-list {
-      list-style: none;
-      padding: 0;
-    }
-    .feed-item {
-      background-color: var(--secondary-bg);
-      margin-bottom: 15px;
-      padding: 15px;
-      border-radius: 5px;
-      border: 1px solid var(--border-color);
-    }
-    .feed-item a {
-      font-size: 1.2em;
-      font-weight: bold;
-    }
-    .feed-details {
-      margin-top: 8px;
-      font-size: 0.9em;
-      color: #aaa;
-      display: flex;
-      justify-content: space-between;
-    }
-    .direct-link {
-      font-family: monospace;
-    }
-    pre {
-      background-color: var(--secondary-bg);
-      border-radius: 6px;
-      padding: 16px;
-      overflow: auto;
-      border: 1px solid var(--border-color);
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Artist RSS Feed Generator</h1>
-    <p>This page hosts automatically generated RSS feeds for the latest releases from your favorite artists.</p>
-    
-    <h2>Available Feeds</h2>
-    <ul class="feed-list">
-      ${feedListHtml}
-    </ul>
-    
-    <h3>How to Use</h3>
-    <p>Click on a feed to view details, or copy the direct XML link to add it to your favorite RSS reader.</p>
-    
-    <h3>Creating Custom Feeds</h3>
-    <p>To create a new feed, add a JSON file to the 'artists' directory with the following format:</p>
-    <pre>{
-  "title": "Your Feed Title",
-  "description": "Description of your feed",
-  "artists": [
-    {
-      "name": "Artist Name",
-      "url": "https://artist-bandcamp-url.com",
-      "maxReleases": 5
-    },
-    {
-      "name": "Another Artist",
-      "url": "https://another-artist.bandcamp.com",
-      "maxReleases": 3
-    }
-  ]
-}</pre>
-    
-    <p>Last updated: ${
-      (() => {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        return `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
-      })()
-    }</p>
-    
-    <footer>
-      <p>Generated by <a href="https://github.com/blstrManx/bandcamp-rss">Bandcamp RSS Feed Generator</a></p>
-    </footer>
-  </div>
-</body>
-</html>`;
-  
-  await fs.writeFile(path.join(outputDir, 'index.html'), indexHtml);
-  console.log(`Main index page written to ${path.join(outputDir, 'index.html')}`);
+  return renderOpml(outlines, { title: site.title, generatedAt: site.generatedAt, ownerName: site.author });
 }
 
 /**
@@ -727,314 +385,799 @@ function processImageUrl(imageUrl, baseUrl) {
       return imageUrl;
     }
   } catch (error) {
-    console.error(`Error processing image URL ${imageUrl}: ${error.message}`);
+    log.error(`Error processing image URL ${imageUrl}: ${error.message}`);
     return ''; // Return empty string if URL is invalid
   }
 }
 
 /**
- * Generates a feed for a specific artist JSON file - with URL validation fix
- * @param {string} jsonFile - Relative path to the JSON file within the artists directory
- * @param {string} fullPath - Full path to the JSON file
- * @returns {Promise<void>}
+ * Render the structured release metadata as HTML for feed item descriptions
+ * @param {Object} metadata - Release metadata from extractReleaseMetadata()
+ * @returns {string} - HTML with a details list, track list and credits (empty if no metadata)
  */
-async function generateFeedForFile(jsonFile, fullPath) {
-  try {
-    // Determine the output file name based on the JSON file path
-    const feedId = path.basename(jsonFile, '.json');
-    const feedDirectory = path.dirname(jsonFile);
-    const outputFeedDir = path.join(outputDir, feedDirectory);
-    
-    // Ensure the output directory structure exists
-    fs.ensureDirSync(outputFeedDir);
-    
-    // Load the artist file
-    const artistsData = await fs.readJson(fullPath);
+function renderReleaseDetailsHtml(metadata) {
+  if (!metadata) {
+    return '';
+  }
+  
+  const details = [];
+  const typeNames = { album: 'Album', ep: 'EP', single: 'Single', track: 'Track', compilation: 'Compilation', playlist: 'Playlist' };
+  
+  if (metadata.type) {
+    details.push(['Type', typeNames[metadata.type] || metadata.type]);
+  }
+  if (metadata.label) {
+    details.push(['Label', metadata.label]);
+  }
+  if (metadata.catalogNumber) {
+    details.push(['Catalog number', metadata.catalogNumber]);
+  }
+  if (metadata.nameYourPrice) {
+    details.push(['Price', 'Name your price']);
+  } else if (metadata.price !== null && metadata.price !== undefined) {
+    details.push(['Price', `${metadata.price} ${metadata.currency || ''}`.trim()]);
+  }
+  if (metadata.runtime) {
+    details.push(['Runtime', formatDuration(metadata.runtime)]);
+  }
+  if (metadata.tags && metadata.tags.length > 0) {
+    details.push(['Tags', metadata.tags.join(', ')]);
+  }
+  
+  let html = '';
+  
+  if (details.length > 0) {
+    html += `<ul>${details.map(([name, value]) => `<li><strong>${escapeHtml(name)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`;
+  }
+  
+  // Skip the track list for single-track releases, it would just repeat the title
+  if (metadata.tracks && metadata.tracks.length > 1) {
+    const trackItems = metadata.tracks.map(track => {
+      const duration = formatDuration(track.duration);
+      return `<li>${escapeHtml(track.title)}${duration ? ` (${duration})` : ''}</li>`;
+    });
+    html += `<p><strong>Tracks</strong></p><ol>${trackItems.join('')}</ol>`;
+  }
+  
+  if (metadata.credits) {
+    html += `<p><strong>Credits:</strong> ${escapeHtml(metadata.credits)}</p>`;
+  }
+  
+  return html;
+}
+
+/**
+ * Work out who to credit a release to
+ * Usually that's the config entry it came from. Releases found through a fan's
+ * collection or a tag carry their own artist instead, and a release listed by several
+ * entries (the artist and their label, or two labels) is credited as "Artist via Label".
+ * @param {Object} release - Release record from the state
+ * @returns {Object} - { artist, via (names of the other entries that listed it) }
+ */
+function getReleaseCredit(release) {
+  const listedBy = (release.listedBy || []).map(entry => entry.name);
+  if (!release.artist && listedBy.length < 2) {
+    return { artist: release.artistName, via: [] };
+  }
+  
+  const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  const albumArtist = release.metadata && release.metadata.artist;
+  const artist = release.artist ||
+                 listedBy.find(name => same(name, albumArtist)) ||
+                 albumArtist ||
+                 listedBy[0];
+  
+  return { artist, via: listedBy.filter(name => !same(name, artist)) };
+}
+
+/**
+ * Describe who collected or wishlisted a release, e.g. "Collected by A and B, wishlisted by C"
+ * @param {Array<Object>} curators - Curators of the release ({ name, url, list })
+ * @returns {string} - Description, or an empty string if there are none
+ */
+function describeCurators(curators) {
+  const joinNames = names => names.length > 1 ?
+                             `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` :
+                             names[0];
+  const parts = [];
+  
+  for (const [list, verb] of [['collection', 'collected'], ['wishlist', 'wishlisted']]) {
+    const names = (curators || []).filter(curator => curator.list === list).map(curator => curator.name);
+    if (names.length > 0) {
+      parts.push(`${verb} by ${joinNames(names)}`);
+    }
+  }
+  
+  const text = parts.join(', ');
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+/**
+ * Build a feed item for a stored release
+ * @param {Object} release - Release record from the state (with artistName and artistUrl)
+ * @param {string|null} upcomingStyle - 'flag' or 'separate' for announced releases that aren't out yet, null otherwise
+ * @returns {Object} - Item to pass to feed.addItem()
+ */
+function createFeedItem(release, upcomingStyle = null) {
+  // Process and validate the image URL
+  let processedImageUrl = '';
+  if (release.image) {
+    processedImageUrl = processImageUrl(release.image, release.artistUrl);
+    if (!processedImageUrl) {
+      log.debug(`Skipping invalid image URL for ${release.title}: ${release.image}`);
+    }
+  }
+  
+  const credit = getReleaseCredit(release);
+  const artistName = credit.via.length > 0 ? `${credit.artist} via ${credit.via.join(' & ')}` : credit.artist;
+  
+  const title = `${artistName} - ${release.title}`;
+  // src/feed-render.js escapes every value for the document it writes, the only markup
+  // built here is the HTML of the description, so only that is escaped
+  const description = escapeHtml(release.description || `New release by ${artistName}`);
+  
+  // Say which fans picked up releases from collection and wishlist feeds
+  const curatorsLine = describeCurators(release.curators);
+  
+  // Only include the image in the description if we have a valid image URL
+  const enhancedDescription = (curatorsLine ? `<p><em>${escapeHtml(curatorsLine)}</em></p>` : '') +
+    (processedImageUrl
+    ? `<p><img src="${escapeHtml(processedImageUrl)}" alt="${escapeHtml(title)}" style="max-width:100%;"></p>
+       <p>${description}</p>`
+    : description) + renderReleaseDetailsHtml(release.metadata);
+  
+  // Prepare feed item with or without image based on URL validity
+  const feedItem = {
+    title,
+    // Stable across runs and links, see getReleaseGuid()
+    id: getReleaseGuid(release) || release.url,
+    link: release.url,
+    description: enhancedDescription,
+    author: [
+      {
+        name: artistName,
+        // For releases with their own artist the entry's URL is a fan or tag page, not the artist's
+        link: release.artist ? undefined : release.artistUrl
+      }
+    ],
+    date: release.date || release.firstSeen,
+    published: release.date || release.firstSeen
+  };
+  
+  // Expose the release type and tags as categories so readers can filter on them
+  if (release.metadata) {
+    const categories = [release.metadata.type, ...(release.metadata.tags || [])].filter(Boolean);
+    feedItem.category = categories.map(name => ({ name, term: name }));
+  }
+  
+  // Only add image if we have a valid URL
+  if (processedImageUrl) {
+    feedItem.image = { url: processedImageUrl };
+  }
+  
+  // Announced releases are dated when they were first seen and get their own id,
+  // so the regular item still shows up as new once the release date passes
+  if (upcomingStyle) {
+    const releaseDay = release.dateSource === 'first-seen' ? 'release date not announced yet' : `out ${release.date.toUTCString().slice(0, 16)}`;
+    feedItem.id = `${feedItem.id}#upcoming`;
+    feedItem.date = release.firstSeen;
+    feedItem.published = release.firstSeen;
+    feedItem.description = `<p><strong>Upcoming release, ${releaseDay}</strong></p>${feedItem.description}`;
     
-    // Get feed metadata or use defaults
-    const feedTitle = artistsData.title || `${feedId} RSS Feed`;
-    const feedDescription = artistsData.description || `Latest releases from ${feedId}`;
-    const artists = artistsData.artists || [];
+    if (upcomingStyle === 'flag') {
+      feedItem.title = `[Upcoming] ${feedItem.title}`;
+    }
+  } else if (release.announced) {
+    feedItem.description = `<p><strong>Out now</strong></p>${feedItem.description}`;
+  }
+  
+  // Releases whose date couldn't be read are dated when first seen, which the "flag" setting says out loud
+  if (release.dateUnknown) {
+    feedItem.title = `[Date unknown] ${feedItem.title}`;
+    feedItem.description = `<p><strong>Release date unknown, first seen ${release.firstSeen.toUTCString().slice(0, 16)}</strong></p>${feedItem.description}`;
+  }
+  
+  return feedItem;
+}
+
+/**
+ * Get the filters that apply to an artist: the feed's, with the artist's own settings on top
+ * @param {Object} artist - Artist object from the feed config (may be undefined)
+ * @param {Object} artistsData - Parsed feed config
+ * @returns {Object|null} - Compiled filters for applyFilters(), or null if there are none
+ * @throws {Error} - If a filter regex is invalid
+ */
+function getArtistFilters(artist, artistsData) {
+  const filters = resolveFilters(artistsData.filters, artist && artist.filters);
+  return filters ? compileFilters(filters) : null;
+}
+
+/**
+ * Get how upcoming releases should be handled for an artist
+ * The artist's own "upcoming" setting wins over the feed-level one.
+ * @param {Object} artist - Artist object from the feed config (may be undefined)
+ * @param {Object} artistsData - Parsed feed config
+ * @returns {string|null} - 'separate', 'flag', or null when upcoming releases are skipped
+ */
+function getUpcomingMode(artist, artistsData) {
+  const setting = artist && artist.upcoming !== undefined ? artist.upcoming : artistsData.upcoming;
+  
+  if (setting === 'separate') {
+    return 'separate';
+  }
+  if (setting === 'flag' || setting === true) {
+    return 'flag';
+  }
+  return null;
+}
+
+/**
+ * Check whether a stored release hasn't come out yet
+ * Pre-orders without a release date are dated when first seen, they count as upcoming
+ * for as long as the source still lists them as a pre-order.
+ * @param {Object} release - Release record from the state
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isUpcomingRelease(release, now) {
+  return !!release.upcoming && (release.date > now || release.dateSource === 'first-seen');
+}
+
+/**
+ * Check whether a stored release is listed in its feed
+ * Upcoming releases stay in the history even when the mode is off, they just aren't listed.
+ * @param {Object} release - Release record from the state
+ * @param {Object} artistsData - Parsed feed config
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isReleaseListed(release, artistsData, now) {
+  if (!isUpcomingRelease(release, now)) {
+    return true;
+  }
+  const artist = (artistsData.artists || []).find(candidate => candidate.url === release.artistUrl);
+  return !!getUpcomingMode(artist, artistsData);
+}
+
+/**
+ * Get how releases without a readable date are handled for an artist
+ * The artist's own "undated" setting wins over the feed-level one.
+ * @param {Object} artist - Artist object from the feed config (may be undefined)
+ * @param {Object} artistsData - Parsed feed config
+ * @returns {string} - 'first-seen' (the default), 'skip' or 'flag'
+ */
+function getUndatedMode(artist, artistsData) {
+  const setting = artist && artist.undated !== undefined ? artist.undated : artistsData.undated;
+  return UNDATED_MODES.includes(setting) ? setting : 'first-seen';
+}
+
+/**
+ * Check whether any artist in a feed config puts upcoming releases in a separate feed
+ * @param {Object} artistsData - Parsed feed config
+ * @returns {boolean} - True if a <feedId>-upcoming.xml feed should be written
+ */
+function hasSeparateUpcomingFeed(artistsData) {
+  const artists = artistsData.artists || [];
+  return artists.some(artist => getUpcomingMode(artist, artistsData) === 'separate');
+}
+
+/**
+ * Create an empty feed document
+ * The channel links to the feed's info page and each format links to its own document
+ * (atom:link rel="self"). Without a base URL there is nowhere to link to on the site,
+ * so the channel links to the project instead and the self links are left out.
+ * @param {string} title - Feed title
+ * @param {string} description - Feed description
+ * @param {Object} site - Site settings from resolveSiteConfig()
+ * @param {string} pagePath - Feed info page, relative to the site root (e.g. "sub/labels.html")
+ * @param {Object} documentPaths - Format -> feed document path relative to the site root
+ * @returns {Feed} - Feed to add items to
+ */
+function createFeed(title, description, site, pagePath, documentPaths) {
+  const pageUrl = getSiteUrl(site, pagePath);
+  const feedLinks = {};
+  for (const [format, documentPath] of Object.entries(documentPaths)) {
+    if (site.baseUrl) {
+      feedLinks[format] = getSiteUrl(site, documentPath);
+    }
+  }
+  
+  return new Feed({
+    title,
+    description,
+    id: pageUrl || PROJECT_URL,
+    link: pageUrl || PROJECT_URL,
+    feedLinks,
+    language: site.language,
+    author: site.author ? { name: site.author, link: site.baseUrl || undefined } : undefined,
+    copyright: `All rights reserved ${new Date().getFullYear()}${site.author ? ` ${site.author}` : ''}`,
+    updated: new Date(),
+    generator: "Artist RSS Feed Generator"
+  });
+}
+
+/**
+ * Get where each output format of a feed is written, relative to the site root
+ * @param {string} feedKey - Feed path
+ * @param {Array<string>} formats - Output formats
+ * @returns {Object} - Format -> path, e.g. { rss: 'labels-feed.xml' }
+ */
+function getFeedDocumentPaths(feedKey, formats) {
+  return Object.fromEntries(formats.map(format => [format, `${feedKey}-feed.${FEED_FORMATS[format].extension}`]));
+}
+
+/**
+ * Build a feed from a feed config, without writing anything
+ * Scrapes the configured artists, merges what was found into the release history
+ * and fills the feed (and the upcoming feed, if enabled) from that history.
+ * @param {Object} config - Feed config, same shape as an artists/*.json file
+ * @param {Object} [options] - Build options
+ * @param {string} [options.id] - Feed path such as "labels" or "sub/folder/feed", names the output files (default "feed")
+ * @param {Object} [options.state] - Release history to merge into, a fresh one is used if omitted
+ * @param {Object} [options.albumCache] - Album detail cache from loadAlbumCache()
+ * @param {Object} [options.http] - Request scheduler from createHttpScheduler(), or options for a new one
+ * @param {string} [options.artist] - Only scrape artists matching this name or URL
+ * @param {boolean} [options.scrape] - Set to false to build the feed from the stored history only
+ * @param {Object} [options.site] - Site settings from loadSiteConfig(), for the feed links (default from SITE_URL or GITHUB_REPOSITORY)
+ * @returns {Promise<Object>} - Built feed: { id, name, directory, title, description, formats, config, feed, upcomingFeed, releases, artistScrapes, report }
+ */
+async function buildFeed(config, options = {}) {
+  const started = Date.now();
+  // Determine the output file names from the feed path
+  const feedKey = getFeedKey(options.id || 'feed');
+  const feedId = path.posix.basename(feedKey);
+  const state = options.state || createEmptyState();
+  const albumCache = options.albumCache || null;
+  const shouldScrape = options.scrape !== false;
+  const site = options.site || resolveSiteConfig();
+  
+  // Get feed metadata or use defaults
+  const artistsData = config || {};
+  const feedTitle = artistsData.title || `${feedId} RSS Feed`;
+  const feedDescription = artistsData.description || `Latest releases from ${feedId}`;
+  const artists = artistsData.artists || [];
+  const formats = getFeedFormats(artistsData);
+  
+  // Create a new feed
+  const feed = createFeed(feedTitle, feedDescription, site, `${feedKey}.html`, getFeedDocumentPaths(feedKey, formats));
+  
+  // Announced releases go here for artists using the "separate" upcoming mode
+  const upcomingFeed = createFeed(`${feedTitle} - Upcoming`, `Announced and pre-order releases from ${feedTitle}`, site, `${feedKey}.html`, { rss: `${feedKey}-upcoming.xml` });
+  
+  const artistReports = shouldScrape ?
+                        await scrapeFeedArtists(feedKey, artistsData, state, albumCache, getHttpScheduler(options.http), options.artist) :
+                        [];
+  
+  // Filters and the undated setting also apply to the history, so changing them takes
+  // effect without waiting for new releases
+  const filtersByArtist = new Map();
+  const feedReleases = [];
+  for (const release of getFeedReleases(state, feedKey)) {
+    const artist = artists.find(candidate => candidate.url === release.artistUrl);
+    if (!filtersByArtist.has(release.artistUrl)) {
+      filtersByArtist.set(release.artistUrl, getArtistFilters(artist, artistsData));
+    }
+    if (applyFilters([release], filtersByArtist.get(release.artistUrl)).kept.length === 0) {
+      continue;
+    }
     
-    if (artists.length === 0) {
-      console.log(`No artists found in ${jsonFile}, skipping`);
-      return;
+    const undatedMode = release.dateSource === 'first-seen' ? getUndatedMode(artist, artistsData) : null;
+    if (undatedMode === 'skip') {
+      continue;
     }
+    feedReleases.push(undatedMode === 'flag' ? { ...release, dateUnknown: true } : release);
+  }
+  
+  // Add each stored release to the feed it belongs in
+  const now = new Date();
+  const upcomingFeedEnabled = hasSeparateUpcomingFeed(artistsData);
+  let upcomingCount = 0;
+  
+  for (const release of feedReleases.filter(release => isReleaseListed(release, artistsData, now))) {
+    const artist = artists.find(candidate => candidate.url === release.artistUrl);
+    const upcomingMode = getUpcomingMode(artist, artistsData);
+    const isUpcoming = isUpcomingRelease(release, now);
     
-    // Create a new feed
-    const feed = new Feed({
+    try {
+      if (isUpcoming && upcomingMode === 'separate') {
+        upcomingFeed.addItem(createFeedItem(release, 'separate'));
+        upcomingCount++;
+      } else if (isUpcoming) {
+        feed.addItem(createFeedItem(release, 'flag'));
+        upcomingCount++;
+      } else {
+        feed.addItem(createFeedItem(release));
+      }
+    } catch (e) {
+      log.error(`Error adding feed item ${release.artistName} - ${release.title}: ${e.message}`);
+    }
+  }
+  
+  if (upcomingCount > 0) {
+    log.info(`Added ${upcomingCount} upcoming release(s) for ${feedKey}`);
+  }
+  
+  if (shouldScrape) {
+    log.info(`Total items added to feed ${feedKey}: ${feed.items.length}`);
+  }
+  
+  return {
+    id: feedKey,
+    name: feedId,
+    directory: path.posix.dirname(feedKey),
+    title: feedTitle,
+    description: feedDescription,
+    formats,
+    config: artistsData,
+    feed,
+    upcomingFeed: upcomingFeedEnabled ? upcomingFeed : null,
+    releases: feedReleases,
+    artistScrapes: getArtistScrapes(state, feedKey),
+    report: {
+      id: feedKey,
       title: feedTitle,
-      description: feedDescription,
-      id: `https://github.com/user/artist-rss-feed-generator/${feedId}`,
-      link: `https://github.com/user/artist-rss-feed-generator/${feedId}`,
-      language: "en",
-      copyright: `All rights reserved ${new Date().getFullYear()}`,
-      updated: new Date(),
-      generator: "Artist RSS Feed Generator"
-    });
+      status: getFeedStatus(artistReports, shouldScrape),
+      scraped: shouldScrape,
+      items: feed.items.length,
+      upcomingItems: upcomingFeedEnabled ? upcomingFeed.items.length : 0,
+      artists: artistReports,
+      durationMs: Date.now() - started
+    }
+  };
+}
+
+/**
+ * Build one feed with the releases of several feeds, each release listed once
+ * Releases that are in more than one feed (the same album on a label and an artist
+ * page, in different feeds) are combined the same way as within a feed. Upcoming
+ * releases are included, flagged, when their own feed shows them.
+ * @param {Array<Object>} builtFeeds - Feeds from buildFeed()
+ * @param {Object} [options] - Aggregate options
+ * @param {string} [options.id] - Feed path, names the output files (default "all")
+ * @param {string} [options.title] - Feed title (default "All Feeds")
+ * @param {string} [options.description] - Feed description
+ * @param {Array<string>} [options.formats] - Output formats (default every format any of the feeds uses)
+ * @param {Object} [options.site] - Site settings from loadSiteConfig(), for the feed links
+ * @returns {Object} - Built feed, the same shape as from buildFeed(), with aggregateOf listing the feed ids
+ */
+function buildAggregateFeed(builtFeeds, options = {}) {
+  const feedKey = getFeedKey(options.id || 'all');
+  const feedId = path.posix.basename(feedKey);
+  const feedTitle = options.title || 'All Feeds';
+  const feedDescription = options.description || `Latest releases from ${builtFeeds.map(builtFeed => builtFeed.title).join(', ')}`;
+  const formats = options.formats ||
+                  Object.keys(FEED_FORMATS).filter(format => builtFeeds.some(builtFeed => builtFeed.formats.includes(format)));
+  const feed = createFeed(feedTitle, feedDescription, options.site || resolveSiteConfig(), `${feedKey}.html`, getFeedDocumentPaths(feedKey, formats));
+  const now = new Date();
+  
+  // Leave out the upcoming releases each feed keeps to itself
+  const candidates = builtFeeds.flatMap(builtFeed => builtFeed.releases.filter(release => isReleaseListed(release, builtFeed.config, now)));
+  
+  const releases = combineReleases(candidates).sort((a, b) => b.date - a.date);
+  
+  for (const release of releases) {
+    try {
+      feed.addItem(createFeedItem(release, isUpcomingRelease(release, now) ? 'flag' : null));
+    } catch (e) {
+      log.error(`Error adding feed item ${release.artistName} - ${release.title}: ${e.message}`);
+    }
+  }
+  
+  log.info(`Aggregate feed ${feedKey} has ${feed.items.length} release(s) from ${builtFeeds.length} feed(s), ${candidates.length - releases.length} duplicate(s) combined`);
+  
+  return {
+    id: feedKey,
+    name: feedId,
+    directory: path.posix.dirname(feedKey),
+    title: feedTitle,
+    description: feedDescription,
+    formats,
+    config: { title: feedTitle, description: feedDescription, artists: [] },
+    feed,
+    upcomingFeed: null,
+    releases,
+    artistScrapes: {},
+    aggregateOf: builtFeeds.map(builtFeed => builtFeed.id),
+    // Nothing is scraped for the aggregate, its problems are in the feeds it combines
+    report: {
+      id: feedKey,
+      title: feedTitle,
+      status: 'ok',
+      scraped: false,
+      items: feed.items.length,
+      upcomingItems: 0,
+      artists: [],
+      aggregateOf: builtFeeds.map(builtFeed => builtFeed.id),
+      durationMs: 0
+    }
+  };
+}
+
+/**
+ * Scrape the artists of a feed and merge their releases into the stored history
+ * @param {string} feedKey - Feed path, used as the state key
+ * @param {Object} artistsData - Feed config
+ * @param {Object} state - Release state
+ * @param {Object} albumCache - Album detail cache (optional)
+ * @param {Object} http - Request scheduler
+ * @param {string} artistQuery - Only scrape artists matching this name or URL (optional)
+ * @returns {Promise<Array>} - Report for each scraped artist: { name, url, source, status, found, kept, dropped, errors, warnings, durationMs }
+ */
+async function scrapeFeedArtists(feedKey, artistsData, state, albumCache, http, artistQuery) {
+  const artists = artistsData.artists || [];
+  
+  if (artists.length === 0) {
+    log.info(`No artists found in ${feedKey}, nothing to scrape`);
+    return [];
+  }
+  
+  // When a single artist was selected only scrape them, the rest of the feed comes from the stored history
+  const artistsToScrape = artistQuery ?
+                          artists.filter(artist => matchesArtist(artist, artistQuery)) :
+                          artists;
+  
+  if (artistsToScrape.length === 0) {
+    log.info(`No artist matching "${artistQuery}" in ${feedKey}, using the stored history`);
+    return [];
+  }
+  
+  // Process each artist and add their releases to the feed
+  log.info(`Processing ${artistsToScrape.length} artists in ${feedKey}...`);
+  
+  // Scrape all artists at once, the scheduler keeps the request rate in check
+  const scrapedByArtist = await Promise.all(artistsToScrape.map(async artist => {
+    log.info(`Scraping releases for: ${artist.name}`);
+    const started = Date.now();
+    const report = { name: artist.name, url: artist.url, source: artist.source || null, status: 'ok', found: 0, kept: 0, dropped: {}, errors: [], warnings: [], durationMs: 0 };
     
-    // Process each artist and add their releases to the feed
-    console.log(`Processing ${artists.length} artists in ${jsonFile}...`);
+    try {
+      const result = await scrapeArtistReleases(artist, albumCache, {
+        includeUpcoming: !!getUpcomingMode(artist, artistsData),
+        http
+      });
+      Object.assign(report, { source: result.source || report.source, found: result.releases.length, errors: result.errors, warnings: result.warnings });
+      
+      const { kept: filteredReleases, dropped } = applyFilters(result.releases, getArtistFilters(artist, artistsData));
+      
+      // Releases without a readable date are never dated "now" by the scrapers, the undated setting decides
+      const undatedMode = getUndatedMode(artist, artistsData);
+      const undated = filteredReleases.filter(release => !release.date);
+      const keptReleases = undatedMode === 'skip' ? filteredReleases.filter(release => release.date) : filteredReleases;
+      if (undated.length > 0 && undatedMode === 'skip') {
+        dropped.undated = undated.length;
+      }
+      const droppedText = describeDropped(dropped);
+      
+      log.info(`Found ${keptReleases.length} releases for ${artist.name}${droppedText ? ` (filtered ${droppedText})` : ''}`);
+      if (undated.length > 0 && undatedMode !== 'skip') {
+        log.info(`${undated.length} release(s) from ${artist.name} have no release date, dating them when first seen${undatedMode === 'flag' ? ' and flagging them' : ''}: ${undated.map(release => release.title).join(', ')}`);
+      }
+      
+      report.kept = keptReleases.length;
+      report.dropped = dropped;
+      
+      // Attach the artist so the releases can be stored in the feed history. Releases with
+      // their own artist came from a fan or tag page, which doesn't count as listing them
+      report.releases = keptReleases.map(release => ({
+        ...release,
+        artistName: artist.name,
+        artistUrl: artist.url,
+        listedBy: release.artist ? undefined : [{ name: artist.name, url: artist.url }]
+      }));
+    } catch (error) {
+      // Bad filter settings end up here, the scrapers report their own problems
+      log.error(`Error scraping ${artist.name}: ${error.message}`);
+      report.errors = [...report.errors, describeError(error, artist.url, 'config')];
+      report.releases = [];
+    }
     
-    let totalReleaseCount = 0;
+    report.status = getStatus(report);
+    report.durationMs = Date.now() - started;
+    return report;
+  }));
+  
+  // The same album on a label page and an artist page (or in two fans' collections) becomes one release
+  const scrapedReleases = combineReleases(scrapedByArtist.flatMap(report => report.releases), (release, duplicate) => {
+    log.debug(`${release.title} is also listed by ${duplicate.artistName}`);
+  });
+  
+  // Merge this run's releases into the stored history
+  const retention = getRetention(artistsData);
+  const { added, updated, pruned } = mergeReleases(state, feedKey, scrapedReleases, retention);
+  log.info(`Release history for ${feedKey}: ${added} new, ${updated} already known, ${pruned} pruned (max ${retention.maxItems} items${retention.maxAgeDays ? `, ${retention.maxAgeDays} days` : ''})`);
+  
+  // The releases only had to go as far as the history
+  const reports = scrapedByArtist.map(({ releases, ...report }) => report);
+  recordArtistScrapes(state, feedKey, reports, artists);
+  return reports;
+}
+
+/**
+ * Use the scheduler that was passed in, or create one from the given options
+ * @param {Object} http - Scheduler from createHttpScheduler(), scheduler options, or nothing
+ * @returns {Object} - Request scheduler
+ */
+function getHttpScheduler(http) {
+  return http && typeof http.get === 'function' ? http : createHttpScheduler(http || {});
+}
+
+/**
+ * Render a built feed in one of its output formats
+ * @param {Object} builtFeed - Feed from buildFeed()
+ * @param {string} format - 'rss', 'atom', 'json', or 'upcoming' for the upcoming releases feed
+ * @returns {string} - Feed document, checked against its format's spec
+ * @throws {Error} - If the document doesn't pass validateFeedDocument()
+ */
+function renderFeed(builtFeed, format) {
+  let document;
+  if (format === 'upcoming') {
+    if (!builtFeed.upcomingFeed) {
+      throw new Error(`Feed ${builtFeed.id} has no separate upcoming feed`);
+    }
+    document = renderRssFeed(builtFeed.upcomingFeed);
+  } else if (FEED_FORMATS[format]) {
+    document = FEED_FORMATS[format].render(builtFeed.feed);
+  } else {
+    throw new Error(`Unknown feed format: ${format}`);
+  }
+  
+  // Never hand out a document feed readers would reject
+  const problems = validateFeedDocument(document, format === 'upcoming' ? 'rss' : format);
+  if (problems.length > 0) {
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+    throw new Error(`Invalid ${format === 'upcoming' ? 'upcoming' : FEED_FORMATS[format].label} feed: ${problems.slice(0, 5).join('; ')}${more}`);
+  }
+  return document;
+}
+
+/**
+ * Record a feed document that couldn't be rendered
+ * The document is left out, so the last good one stays published, and the feed
+ * counts as failed in the run report.
+ * @param {Object} builtFeed - Feed from buildFeed()
+ * @param {string} message - What went wrong
+ */
+function failRender(builtFeed, message) {
+  log.error(message);
+  Object.assign(builtFeed.report, { status: 'error', error: message });
+}
+
+/**
+ * Render the files that make up the site for a set of built feeds
+ * Every feed gets its feed documents and an info page, plus there is one index page
+ * linking to all of them. Nothing is written, the caller decides where the files go.
+ * A feed document that fails validation is left out and marks its feed as failed.
+ * @param {Array<Object>} builtFeeds - Feeds from buildFeed(), in the order they should be listed
+ * @param {Object} [options] - Render options
+ * @param {Date} [options.generatedAt] - Time shown as "Last updated" (default now)
+ * @param {Array<string>} [options.feedIds] - Only render the feed documents of these feeds, pages are rendered for all
+ * @param {Object} [options.templates] - Templates from loadTemplates() (default theme if not set)
+ * @param {string} [options.theme] - Color scheme of the default stylesheet: dark, light or auto (default the site's theme, or dark)
+ * @param {Object} [options.site] - Site settings from loadSiteConfig(), for the site title and page links
+ * @returns {Array<Object>} - Files: { path (relative, with forward slashes), content, label, type ('feed', 'page' or 'asset'), feedId }
+ */
+function renderSite(builtFeeds, options = {}) {
+  // Site settings plus what the pages need to render
+  const siteConfig = options.site || resolveSiteConfig();
+  const site = {
+    ...siteConfig,
+    generatedAt: options.generatedAt || new Date(),
+    templates: options.templates || getDefaultTemplates(),
+    theme: options.theme || siteConfig.theme || 'dark'
+  };
+  const files = [];
+  
+  for (const builtFeed of builtFeeds) {
+    const renderFeeds = !options.feedIds || options.feedIds.includes(builtFeed.id);
     
-    for (const artist of artists) {
-      console.log(`Scraping releases for: ${artist.name}`);
-      
+    for (const format of renderFeeds ? builtFeed.formats : []) {
       try {
-        const releases = await scrapeArtistReleases(artist);
-        
-        // Filter out sample/example releases
-        const realReleases = releases.filter(release => {
-          if (
-            release.title.includes("Sample") || 
-            release.title.includes("Error Reading") || 
-            release.title.includes("Example") || 
-            release.title.includes("Demo")
-          ) {
-            console.log(`Filtering out sample release: ${release.title}`);
-            return false;
-          }
-          
-          if (
-            release.url.includes("example.com") || 
-            !release.url.includes(".")
-          ) {
-            console.log(`Filtering out release with example URL: ${release.url}`);
-            return false;
-          }
-          
-          return true;
+        files.push({
+          path: `${builtFeed.id}-feed.${FEED_FORMATS[format].extension}`,
+          content: renderFeed(builtFeed, format),
+          label: `Generated ${FEED_FORMATS[format].label} feed`,
+          type: 'feed',
+          feedId: builtFeed.id
         });
-        
-        // Add each real release to the feed
-        for (const release of realReleases) {
-          // Process and validate the image URL
-          let processedImageUrl = '';
-          if (release.image) {
-            processedImageUrl = processImageUrl(release.image, artist.url);
-            if (!processedImageUrl) {
-              console.log(`Skipping invalid image URL for ${release.title}: ${release.image}`);
-            }
-          }
-          
-          // Sanitize content for XML
-          let safeDescription = (release.description || `New release by ${artist.name}`)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
-          
-          let safeTitle = (artist.name + ' - ' + release.title)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
-          
-          // When preparing URLs, make sure to escape equals signs
-          let safeUrl = release.url
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;')
-            .replace(/=/g, '%3D');
-          
-          let safeImageUrl = '';
-          if (processedImageUrl) {
-            safeImageUrl = processedImageUrl
-              .replace(/&/g, '&amp;')
-              .replace(/</g, '&lt;')
-              .replace(/>/g, '&gt;')
-              .replace(/"/g, '&quot;')
-              .replace(/'/g, '&apos;')
-              .replace(/=/g, '%3D');
-          }
-          
-          let safeArtistUrl = artist.url
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;')
-            .replace(/=/g, '%3D');
-          
-          // Only include the image in the description if we have a valid image URL
-          const enhancedDescription = safeImageUrl 
-            ? `<p><img src="${safeImageUrl}" alt="${safeTitle}" style="max-width:100%;"></p>
-               <p>${safeDescription}</p>`
-            : safeDescription;
-          
-          try {
-            // Prepare feed item with or without image based on URL validity
-            const feedItem = {
-              title: `${artist.name} - ${release.title}`,
-              id: safeUrl,
-              link: safeUrl,
-              description: enhancedDescription,
-              author: [
-                {
-                  name: artist.name,
-                  link: safeArtistUrl
-                }
-              ],
-              date: release.date || new Date()
-            };
-            
-            // Only add image if we have a valid URL
-            if (safeImageUrl) {
-              feedItem.image = {
-                url: safeImageUrl,
-                title: safeTitle,
-                link: safeUrl
-              };
-            }
-            
-            feed.addItem(feedItem);
-          } catch (e) {
-            console.error(`Error adding feed item ${artist.name} - ${release.title}: ${e.message}`);
-          }
-        }
-        
-        const filteredCount = releases.length - realReleases.length;
-        totalReleaseCount += realReleases.length;
-        
-        console.log(`Added ${realReleases.length} releases for ${artist.name} (filtered ${filteredCount} sample/example releases)`);
       } catch (error) {
-        console.error(`Error scraping ${artist.name}: ${error.message}`);
+        failRender(builtFeed, `Error generating ${FEED_FORMATS[format].label} for ${builtFeed.id}: ${error.message}`);
       }
     }
     
-    console.log(`Total real releases count for ${jsonFile}: ${totalReleaseCount}`);
-    console.log(`Total items added to feed: ${feed.items ? feed.items.length : 0}`);
-    
-    // Determine output file path
-    const outputFile = path.join(outputFeedDir, `${feedId}-feed.xml`);
-
-    // Generate and write the feed
-    if (totalReleaseCount === 0) {
-      console.log(`No actual releases found for ${jsonFile}. Creating minimal feed.`);
-      
-      // Create a minimal feed with a message
-      const rssOutput = `<?xml version="1.0" encoding="utf-8"?>
-    <rss version="2.0">
-      <channel>
-        <title>${feedTitle}</title>
-        <description>${feedDescription}</description>
-        <link>https://github.com/user/artist-rss-feed-generator</link>
-        <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-        <item>
-          <title>No Releases Found</title>
-          <link>https://github.com/user/artist-rss-feed-generator</link>
-          <description>No releases were found for the configured artists. Please check your artists list.</description>
-          <pubDate>${new Date().toUTCString()}</pubDate>
-          <guid>https://github.com/user/artist-rss-feed-generator/no-releases-${Date.now()}</guid>
-        </item>
-      </channel>
-    </rss>`;
-      
-      await fs.writeFile(outputFile, rssOutput);
-    } else {
-      // Try catch block to detect and handle any issues with RSS generation
+    // The upcoming feed is written even when empty so subscribers don't hit a 404
+    if (renderFeeds && builtFeed.upcomingFeed) {
       try {
-        // Generate the RSS feed XML
-        console.log(`Generating RSS feed for ${jsonFile} with ${feed.items.length} items`);
-        const rssOutput = feed.rss2();
-        
-        // Debug check - verify the XML output has items
-        const hasItems = rssOutput.includes("<item>");
-        console.log(`XML output contains items: ${hasItems}`);
-        
-        // If the feed.rss2() didn't include items, generate manual XML
-        if (!hasItems && feed.items.length > 0) {
-          console.log("Feed.rss2() failed to include items, using manual XML generation");
-          
-          // Start with channel info
-          let manualRssOutput = `<?xml version="1.0" encoding="utf-8"?>
-      <rss version="2.0">
-        <channel>
-          <title>${feedTitle}</title>
-          <description>${feedDescription}</description>
-          <link>https://github.com/user/artist-rss-feed-generator</link>
-          <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`;
-          
-          // Add each item manually
-          for (const item of feed.items) {
-            manualRssOutput += `
-          <item>
-            <title>${item.title}</title>
-            <link>${item.link}</link>
-            <guid>${item.id || item.link}</guid>
-            <pubDate>${item.date.toUTCString()}</pubDate>
-            <description>${item.description}</description>`;
-            
-            // Add author if available
-            if (item.author && item.author.length > 0) {
-              manualRssOutput += `
-            <author>${item.author[0].name}</author>`;
-            }
-            
-            // Add image if available and valid
-            if (item.image && item.image.url) {
-              manualRssOutput += `
-            <enclosure url="${item.image.url}" type="image/jpeg" />`;
-            }
-            
-            manualRssOutput += `
-          </item>`;
-          }
-          
-          // Close the channel and rss tags
-          manualRssOutput += `
-        </channel>
-      </rss>`;
-          
-          // Write the manually generated RSS
-          await fs.writeFile(outputFile, manualRssOutput);
-          console.log(`Manually generated RSS feed written to ${outputFile}`);
-        } else {
-          // Write the feed to the output directory
-          await fs.writeFile(outputFile, rssOutput);
-          console.log(`Generated RSS feed written to ${outputFile}`);
-        }
+        files.push({
+          path: `${builtFeed.id}-upcoming.xml`,
+          content: renderFeed(builtFeed, 'upcoming'),
+          label: `Upcoming releases feed with ${builtFeed.upcomingFeed.items.length} item(s)`,
+          type: 'feed',
+          feedId: builtFeed.id
+        });
       } catch (error) {
-        console.error(`Error generating RSS for ${jsonFile}: ${error.message}`);
-        
-        // If RSS generation fails, create a minimal feed as fallback
-        console.log(`Creating fallback feed for ${jsonFile} due to RSS generation error`);
-        const fallbackOutput = `<?xml version="1.0" encoding="utf-8"?>
-    <rss version="2.0">
-      <channel>
-        <title>${feedTitle}</title>
-        <description>${feedDescription}</description>
-        <link>https://github.com/user/artist-rss-feed-generator</link>
-        <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-        <item>
-          <title>Feed Generation Error</title>
-          <link>https://github.com/user/artist-rss-feed-generator</link>
-          <description>There was an error generating this feed. Please check the artist configuration.</description>
-          <pubDate>${new Date().toUTCString()}</pubDate>
-          <guid>https://github.com/user/artist-rss-feed-generator/error-${Date.now()}</guid>
-        </item>
-      </channel>
-    </rss>`;
-        
-        await fs.writeFile(outputFile, fallbackOutput);
+        failRender(builtFeed, `Error generating the upcoming feed for ${builtFeed.id}: ${error.message}`);
       }
     }
     
-    // Create the HTML page for this feed
-    await createFeedInfoPage(jsonFile, feedId, feedTitle, feedDirectory, totalReleaseCount || 0);
-    
-  } catch (error) {
-    console.error(`Error generating feed for ${jsonFile}:`, error);
-    throw error;
+    files.push({
+      path: `${builtFeed.id}.html`,
+      content: createFeedInfoPage(builtFeed, site),
+      label: 'Feed info page',
+      type: 'page',
+      feedId: builtFeed.id
+    });
   }
+  
+  files.push({
+    path: 'index.html',
+    content: createIndexPage(builtFeeds, site),
+    label: 'Main index page',
+    type: 'page',
+    feedId: null
+  });
+  
+  // Every feed on the site in one list for feed readers
+  files.push({
+    path: 'feeds.opml',
+    content: createOpml(builtFeeds, site),
+    label: 'OPML feed list',
+    type: 'asset',
+    feedId: null
+  });
+  
+  // Every page links the one stylesheet
+  files.push({
+    path: 'style.css',
+    content: site.templates.stylesheet,
+    label: 'Stylesheet',
+    type: 'asset',
+    feedId: null
+  });
+  
+  return files;
+}
+
+/**
+ * Scrape the latest releases from a single artist page
+ * @param {string} url - Artist page URL (Bandcamp, SoundCloud, Spotify or a custom provider's site)
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.name] - Artist name, attached to the releases as artistName
+ * @param {number} [options.maxReleases] - Number of releases to check (default 2)
+ * @param {boolean} [options.includeUpcoming] - Return announced/pre-order releases flagged as upcoming
+ * @param {string} [options.source] - Provider to use (e.g. "bandcamp"), detected from the URL or page if not set
+ * @param {Object} [options.albumCache] - Album detail cache from loadAlbumCache()
+ * @param {Object} [options.http] - Request scheduler from createHttpScheduler(), or options for a new one
+ * Any other options are artist settings, the same as in a feed config (selectors, include, market, ...).
+ * @returns {Promise<Object>} - Scrape result: { releases (newest first), errors, warnings, source }
+ */
+async function scrapeArtist(url, options = {}) {
+  const { albumCache = null, http, includeUpcoming, ...artistOptions } = options;
+  const artist = { ...artistOptions, name: options.name || url, url };
+  const result = await scrapeArtistReleases(artist, albumCache, {
+    includeUpcoming: !!includeUpcoming,
+    http: getHttpScheduler(http)
+  });
+  
+  return {
+    ...result,
+    releases: result.releases.map(release => ({ ...release, artistName: artist.name, artistUrl: url }))
+  };
 }
+export {
+  scrapeArtist,
+  buildFeed,
+  buildAggregateFeed,
+  renderFeed,
+  renderSite,
+  FEED_FORMATS
+};
+export { validateFeedDocument } from './src/feed-validate.js';
 
-// Start the process
-processArtistFiles().catch(error => {
-  console.error('Error in main process:', error);
-});
\ No newline at end of file
+// Building blocks for keeping history and caches between runs
+export { loadState, saveState } from './src/state.js';
+export { loadAlbumCache, saveAlbumCache } from './src/album-cache.js';
+export { createHttpScheduler } from './src/http.js';
+export { registerProvider, getProviders, loadProviders } from './src/providers.js';
+export { setLogLevel } from './src/log.js';
+export { loadTemplates } from './src/templates.js';
+export { loadSiteConfig } from './src/site.js';
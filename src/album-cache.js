@@ -0,0 +1,157 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from './log.js';
+
+// Bump this if the shape of the cache file changes in an incompatible way
+const CACHE_VERSION = 2;
+
+// Cached album details older than this are revalidated with the server
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+/**
+ * Load the album detail cache from disk
+ * @param {string} cacheFile - Path to the JSON cache file
+ * @param {Object} options - Cache options
+ * @param {number} [options.maxAgeDays] - Age after which entries are revalidated
+ * @param {boolean} [options.forceRefresh] - Ignore all cached entries and fetch every album page
+ * @returns {Promise<Object>} - Album cache object
+ */
+export async function loadAlbumCache(cacheFile, options = {}) {
+  const cache = {
+    version: CACHE_VERSION,
+    maxAgeDays: Number.isFinite(options.maxAgeDays) && options.maxAgeDays >= 0 ?
+                options.maxAgeDays : DEFAULT_MAX_AGE_DAYS,
+    forceRefresh: !!options.forceRefresh,
+    albums: {},
+    // Albums looked up during this run, kept when the cache is saved
+    used: new Set(),
+    stats: {
+      hits: 0,        // Served from the cache without any request
+      revalidated: 0, // Server answered 304 Not Modified
+      fetched: 0      // Full album page downloads
+    }
+  };
+
+  try {
+    if (await fs.pathExists(cacheFile)) {
+      const data = await fs.readJson(cacheFile);
+      if (data && data.version === CACHE_VERSION && typeof data.albums === 'object') {
+        cache.albums = data.albums;
+        log.info(`Loaded ${Object.keys(cache.albums).length} cached album(s) from ${cacheFile}`);
+      } else {
+        log.info(`Album cache at ${cacheFile} has an unknown format, starting fresh`);
+      }
+    } else {
+      log.info(`No album cache found at ${cacheFile}, starting fresh`);
+    }
+  } catch (error) {
+    log.error(`Error reading album cache from ${cacheFile}: ${error.message}`);
+  }
+
+  if (cache.forceRefresh) {
+    log.info('Forced refresh requested, every album page will be fetched again');
+  }
+
+  return cache;
+}
+
+/**
+ * Write the album detail cache back to disk
+ * With a release state, only albums that are still in its history or were looked up
+ * during this run are kept, so the cache doesn't grow with every release ever seen.
+ * @param {string} cacheFile - Path to the JSON cache file
+ * @param {Object} cache - Album cache object
+ * @param {Object} [state] - Release state the cache is saved alongside
+ * @returns {Promise<void>}
+ */
+export async function saveAlbumCache(cacheFile, cache, state) {
+  if (state) {
+    pruneAlbumCache(cache, state);
+  }
+  await fs.ensureDir(path.dirname(cacheFile));
+  await fs.writeJson(cacheFile, { version: cache.version, albums: cache.albums }, { spaces: 2 });
+  log.info(`Album cache written to ${cacheFile}`);
+}
+
+/**
+ * Drop cached albums that are neither in the release history nor used this run
+ * @param {Object} cache - Album cache object
+ * @param {Object} state - Release state
+ * @returns {number} - Number of entries dropped
+ */
+export function pruneAlbumCache(cache, state) {
+  const keep = new Set(cache.used);
+  for (const feedState of Object.values(state.feeds)) {
+    for (const release of Object.values(feedState.releases || {})) {
+      keep.add(release.url);
+    }
+  }
+
+  const dropped = Object.keys(cache.albums).filter(albumUrl => !keep.has(albumUrl));
+  for (const albumUrl of dropped) {
+    delete cache.albums[albumUrl];
+  }
+  if (dropped.length > 0) {
+    log.info(`Dropped ${dropped.length} album(s) from the cache that are no longer in the release history`);
+  }
+  return dropped.length;
+}
+
+/**
+ * Look up an album in the cache
+ * Returns the entry and whether it can be used as-is. Stale entries are still
+ * returned so their ETag/Last-Modified can be used for a conditional request.
+ * @param {Object} cache - Album cache object
+ * @param {string} albumUrl - Absolute album URL
+ * @returns {Object} - { entry, fresh }
+ */
+export function lookupAlbum(cache, albumUrl) {
+  if (!cache) {
+    return { entry: null, fresh: false };
+  }
+  cache.used.add(albumUrl);
+  if (cache.forceRefresh) {
+    return { entry: null, fresh: false };
+  }
+
+  const entry = cache.albums[albumUrl];
+  if (!entry) {
+    return { entry: null, fresh: false };
+  }
+
+  // Upcoming releases tend to change (dates move, pre-order text goes away), so always recheck them
+  if (entry.isPreOrder || (entry.date && new Date(entry.date) > new Date())) {
+    return { entry, fresh: false };
+  }
+
+  const ageMs = Date.now() - new Date(entry.fetchedAt).getTime();
+  const fresh = ageMs < cache.maxAgeDays * 24 * 60 * 60 * 1000;
+  return { entry, fresh };
+}
+
+/**
+ * Store album details in the cache
+ * @param {Object} cache - Album cache object
+ * @param {string} albumUrl - Absolute album URL
+ * @param {Object} details - Album details (date, albumNotes, image, isPreOrder, metadata, etag, lastModified)
+ */
+export function storeAlbum(cache, albumUrl, details) {
+  if (!cache) {
+    return;
+  }
+
+  cache.albums[albumUrl] = {
+    ...details,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Log how many album page downloads the cache saved during this run
+ * @param {Object} cache - Album cache object
+ */
+export function logAlbumCacheStats(cache) {
+  const { hits, revalidated, fetched } = cache.stats;
+  const total = hits + revalidated + fetched;
+  log.info(`Album cache: ${hits} reused, ${revalidated} revalidated (304), ${fetched} fetched. Saved ${hits + revalidated} of ${total} album page download(s).`);
+}
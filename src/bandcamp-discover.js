@@ -0,0 +1,213 @@
+import { getAlbumDetails, getBandcampSourceId } from './bandcamp.js';
+import { log } from './log.js';
+import { createScrapeResult, describeError } from './report.js';
+
+// The endpoint behind the tag pages' "dig deeper" browser, it takes any tags plus Discover's filters
+const DIG_DEEPER_URL = 'https://bandcamp.com/api/hub/2/dig_deeper';
+
+export const DISCOVER_FORMATS = ['all', 'digital', 'vinyl', 'cd', 'cassette'];
+export const DISCOVER_SORTS = ['new', 'top', 'rec', 'pop', 'surprise'];
+
+// Discover's own names for the sort orders, as shown on the page
+const SORT_ALIASES = {
+  'new arrivals': 'new',
+  'best-selling': 'top',
+  'best selling': 'top',
+  'recommended': 'rec',
+  'popular': 'pop'
+};
+
+// Stop paging after this many pages, even if we haven't found enough releases
+const MAX_PAGES = 5;
+
+/**
+ * Turn a tag or genre name into the form Bandcamp uses in URLs, e.g. "Drum & Bass" into "drum-bass"
+ * @param {string} tag - Tag name
+ * @returns {string} - Normalized tag
+ */
+function normalizeTag(tag) {
+  return String(tag).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Work out the Discover query for a tag page, a Discover page or an explicit query
+ * Tag pages look like bandcamp.com/tag/footwork, Discover pages like
+ * bandcamp.com/discover/electronic/footwork?s=new&f=vinyl. Settings in "query" win over the URL.
+ * @param {string} url - Tag or Discover page URL
+ * @param {Object} [query] - The entry's "query" setting ({ genre, subgenre, tags, format, sort, location })
+ * @returns {Object|null} - { tags, format, sort, location }, or null if the URL isn't a tag or Discover page
+ */
+export function getDiscoverQuery(url, query = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.hostname !== 'bandcamp.com' && parsed.hostname !== 'www.bandcamp.com') {
+    return null;
+  }
+
+  const match = parsed.pathname.match(/^\/(tag|discover)(?:\/([^/]+))?(?:\/([^/]+))?\/?$/);
+  if (!match || (match[1] === 'tag' && !match[2])) {
+    return null;
+  }
+
+  const params = parsed.searchParams;
+  const fromUrl = [match[2], match[3], params.get('g'), params.get('t')].filter(Boolean);
+  const fromQuery = [query.genre, query.subgenre, ...(query.tags || [])].filter(Boolean);
+
+  const tags = [];
+  for (const tag of (fromQuery.length > 0 ? fromQuery : fromUrl).map(normalizeTag)) {
+    if (tag && tag !== 'all' && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+
+  const sort = String(query.sort || params.get('s') || 'new').toLowerCase();
+  const location = query.location !== undefined ? query.location : Number(params.get('gn') || 0);
+
+  return {
+    tags,
+    format: String(query.format || params.get('f') || 'all').toLowerCase(),
+    sort: SORT_ALIASES[sort] || sort,
+    location: Number(location) || 0
+  };
+}
+
+/**
+ * Get a cover image URL from a Bandcamp art id
+ * @param {number} artId - Art id
+ * @returns {string} - Image URL, or an empty string
+ */
+function getArtUrl(artId) {
+  return artId ? `https://f4.bcbits.com/img/a${artId}_10.jpg` : '';
+}
+
+/**
+ * Scrape the newest releases for a Bandcamp tag or Discover query
+ * Results are paged through with the same API the tag pages use, then each album page
+ * is read (through the album cache) for its date, notes and details, like releases
+ * from an artist page. Releases are credited to their own artist.
+ * @param {string} url - Tag or Discover page URL, e.g. https://bandcamp.com/tag/footwork
+ * @param {number} maxReleases - Maximum number of releases to return
+ * @param {Object} options - Scrape options
+ * @param {Object} [options.query] - Query settings that refine or replace the URL's ({ genre, subgenre, tags, format, sort, location })
+ * @param {Object} [options.albumCache] - Album detail cache
+ * @param {boolean} [options.includeUpcoming] - Keep future releases (flagged as upcoming) instead of skipping them
+ * @param {Object} options.http - Request scheduler
+ * @returns {Promise<Object>} - Scrape result: { releases, errors, warnings }, see src/report.js
+ */
+export async function scrapeBandcampDiscover(url, maxReleases = 2, options = {}) {
+  const { albumCache = null, includeUpcoming = false, http } = options;
+  const result = createScrapeResult();
+
+  try {
+    const query = getDiscoverQuery(url, options.query);
+    if (!query) {
+      throw new Error(`${url} is not a Bandcamp tag or Discover page`);
+    }
+    if (!DISCOVER_FORMATS.includes(query.format)) {
+      throw new Error(`Unknown format "${query.format}", use one of ${DISCOVER_FORMATS.join(', ')}`);
+    }
+    if (!DISCOVER_SORTS.includes(query.sort)) {
+      throw new Error(`Unknown sort "${query.sort}", use one of ${DISCOVER_SORTS.join(', ')}`);
+    }
+
+    const description = `${query.tags.join(' + ') || 'all'} (${query.sort}, format ${query.format}${query.location ? `, location ${query.location}` : ''})`;
+    log.info(`Querying Bandcamp for ${description}, targeting ${maxReleases} releases`);
+
+    const releases = result.releases;
+    const seenUrls = new Set();
+    let validReleasesCount = 0; // Upcoming releases don't count towards maxReleases
+    const now = new Date();
+    let page = 1;
+    let more = true;
+
+    while (validReleasesCount < maxReleases && more && page <= MAX_PAGES) {
+      const { data } = await http.post(DIG_DEEPER_URL, {
+        filters: { format: query.format, location: query.location, sort: query.sort, tags: query.tags },
+        page
+      }, { headers: { 'Content-Type': 'application/json' } });
+
+      if (data && data.ok === false) {
+        throw new Error(data.error_message || 'Bandcamp rejected the query');
+      }
+
+      // Albums and tracks only, and each only once (the same album can come back on several pages)
+      const items = ((data && data.items) || []).filter(item => {
+        if (!item.tralbum_url || seenUrls.has(item.tralbum_url)) {
+          return false;
+        }
+        seenUrls.add(item.tralbum_url);
+        return true;
+      });
+      more = !!(data && data.more_available) && items.length > 0;
+      page++;
+
+      // Work through the page in batches of as many albums as we still need
+      for (let i = 0; i < items.length && validReleasesCount < maxReleases; ) {
+        const batch = items.slice(i, i + maxReleases - validReleasesCount);
+        i += batch.length;
+
+        const results = await Promise.allSettled(batch.map(item => getAlbumDetails(item.tralbum_url, albumCache, http)));
+
+        for (const [index, item] of batch.entries()) {
+          const albumResult = results[index];
+          if (albumResult.status === 'rejected') {
+            log.error(`Error fetching album details for ${item.title}: ${albumResult.reason.message}`);
+            result.warnings.push(describeError(albumResult.reason, item.tralbum_url));
+            continue;
+          }
+
+          const details = albumResult.value;
+          const artist = item.artist || item.band_name || null;
+          const date = details.date ? new Date(details.date) : null;
+          const notes = details.albumNotes || '';
+
+          const release = {
+            title: item.title,
+            url: item.tralbum_url,
+            sourceId: getBandcampSourceId(item.tralbum_type, item.tralbum_id) || details.sourceId,
+            date: date && !isNaN(date.getTime()) ? date : null,
+            datePrecision: details.datePrecision,
+            dateSource: details.dateSource,
+            image: getArtUrl(item.art_id) || details.image || '',
+            description: notes ?
+                         (notes.length > 300 ? notes.substring(0, 297) + '...' : notes) :
+                         `New release by ${artist || 'artist'}`,
+            metadata: details.metadata ?
+                      { ...details.metadata, artist: details.metadata.artist || artist } :
+                      null,
+            artist
+          };
+
+          if (release.date > now || item.is_preorder) {
+            if (!includeUpcoming) {
+              log.debug(`Skipping future release: ${release.title}`);
+              continue;
+            }
+            release.upcoming = true;
+            releases.push(release);
+            continue;
+          }
+
+          releases.push(release);
+          validReleasesCount++;
+        }
+      }
+    }
+
+    log.info(`Found ${releases.length} releases for ${description}`);
+    if (seenUrls.size === 0) {
+      result.warnings.push({ type: 'parse', message: `No releases match ${description}`, url });
+    }
+    return result;
+  } catch (error) {
+    log.error(`Error querying Bandcamp ${url}: ${error.message}`);
+    result.releases = [];
+    result.errors.push(describeError(error, url));
+    return result;
+  }
+}
@@ -0,0 +1,187 @@
+import * as cheerio from 'cheerio';
+import { getAlbumDetails, getBandcampSourceId } from './bandcamp.js';
+import { pickDate } from './dates.js';
+import { log } from './log.js';
+import { createScrapeResult, describeError } from './report.js';
+
+// bandcamp.com/<name> paths that are Bandcamp's own pages, not fans
+const RESERVED_PATHS = new Set([
+  'about', 'api', 'artists', 'contact', 'daily', 'discover', 'fans', 'feed', 'gift_cards', 'guide',
+  'help', 'labels', 'login', 'music', 'privacy', 'search', 'signup', 'tag', 'terms_of_use', 'yum'
+]);
+
+// Endpoints the fan page itself uses to load more items, keyed by list
+const LIST_ENDPOINTS = {
+  collection: 'https://bandcamp.com/api/fancollection/1/collection_items',
+  wishlist: 'https://bandcamp.com/api/fancollection/1/wishlist_items'
+};
+
+// Items to ask for per request when paging
+const PAGE_SIZE = 20;
+
+/**
+ * Check whether a URL is a Bandcamp fan page, and which list it shows
+ * bandcamp.com/<username> is the fan's collection, bandcamp.com/<username>/wishlist their wishlist.
+ * @param {string} url - URL to check
+ * @returns {Object|null} - { username, list: 'collection' | 'wishlist' }, or null for other pages
+ */
+export function getFanPage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.hostname !== 'bandcamp.com' && parsed.hostname !== 'www.bandcamp.com') {
+    return null;
+  }
+
+  const match = parsed.pathname.match(/^\/([\w.-]+)(?:\/(wishlist))?\/?$/);
+  if (!match || RESERVED_PATHS.has(match[1].toLowerCase())) {
+    return null;
+  }
+
+  return { username: match[1], list: match[2] || 'collection' };
+}
+
+/**
+ * Read the fan and the first batch of items from a fan page's data blob
+ * @param {string} html - Fan page HTML
+ * @param {string} list - 'collection' or 'wishlist'
+ * @returns {Object} - { fanId, name, items, lastToken, moreAvailable }
+ */
+export function parseFanPage(html, list) {
+  const $ = cheerio.load(html);
+  const blob = $('#pagedata').attr('data-blob');
+  if (!blob) {
+    throw new Error('no fan data found on the page');
+  }
+
+  const data = JSON.parse(blob);
+  const fan = data.fan_data || {};
+  const listData = data[`${list}_data`] || {};
+  const cache = (data.item_cache && data.item_cache[list]) || {};
+
+  // The sequence has the items newest first, the cache has their details
+  const items = (listData.sequence || Object.keys(cache))
+    .map(key => cache[key])
+    .filter(Boolean);
+
+  return {
+    fanId: fan.fan_id,
+    name: fan.name || fan.username || null,
+    items,
+    lastToken: listData.last_token || null,
+    moreAvailable: (listData.item_count || 0) > items.length
+  };
+}
+
+/**
+ * Check whether a collection item is a release with an album page
+ * Tracks and albums only, merch packages and subscriptions don't have one.
+ * @param {Object} item - Collection item
+ * @returns {boolean} - True for albums and tracks
+ */
+function isRelease(item) {
+  return !!item.item_url && (item.tralbum_type === 'a' || item.tralbum_type === 't');
+}
+
+/**
+ * Page through a fan's collection or wishlist until enough releases were found
+ * @param {Object} http - Request scheduler
+ * @param {Object} page - Result of parseFanPage()
+ * @param {string} list - 'collection' or 'wishlist'
+ * @param {number} wanted - Number of releases needed
+ * @returns {Promise<Array>} - Release items, newest first
+ */
+async function fetchFanItems(http, page, list, wanted) {
+  const items = page.items.filter(isRelease);
+  let token = page.lastToken;
+  let more = page.moreAvailable;
+
+  while (more && token && items.length < wanted) {
+    const { data } = await http.post(LIST_ENDPOINTS[list], {
+      fan_id: page.fanId,
+      older_than_token: token,
+      count: Math.min(PAGE_SIZE, wanted - items.length)
+    }, { headers: { 'Content-Type': 'application/json' } });
+
+    items.push(...(data.items || []).filter(isRelease));
+    token = data.last_token || null;
+    more = !!data.more_available && (data.items || []).length > 0;
+  }
+
+  return items;
+}
+
+/**
+ * Scrape the albums a Bandcamp fan recently collected or wishlisted
+ * Each item gets its album page details (through the album cache) so it looks the same
+ * as a release from a label page. Items are dated when the fan added them, and carry
+ * the fan in "curators" so the same album from several fans can be merged.
+ * @param {string} url - Fan page URL, bandcamp.com/<username> or bandcamp.com/<username>/wishlist
+ * @param {number} maxReleases - Maximum number of items to return
+ * @param {Object} options - Scrape options
+ * @param {string} [options.name] - Name to credit the fan with (default the name on their page)
+ * @param {Object} [options.albumCache] - Album detail cache
+ * @param {Object} options.http - Request scheduler
+ * @returns {Promise<Object>} - Scrape result: { releases (newest first), errors, warnings }, see src/report.js
+ */
+export async function scrapeBandcampFan(url, maxReleases = 2, options = {}) {
+  const { albumCache = null, http } = options;
+  const result = createScrapeResult();
+
+  try {
+    const fanPage = getFanPage(url);
+    if (!fanPage) {
+      throw new Error(`${url} is not a Bandcamp fan page`);
+    }
+
+    const { list } = fanPage;
+    const { data: html } = await http.get(`https://bandcamp.com/${fanPage.username}${list === 'wishlist' ? '/wishlist' : ''}`);
+    const page = parseFanPage(html, list);
+    const fanName = options.name || page.name || fanPage.username;
+
+    const items = (await fetchFanItems(http, page, list, maxReleases)).slice(0, maxReleases);
+
+    log.info(`Found ${items.length} ${list} item(s) for ${fanName}`);
+
+    const results = await Promise.allSettled(items.map(item => getAlbumDetails(item.item_url, albumCache, http)));
+    const curator = { name: fanName, url, list };
+
+    const releases = items.map((item, index) => {
+      const albumResult = results[index];
+      const details = albumResult.status === 'fulfilled' ? albumResult.value : {};
+      if (albumResult.status === 'rejected') {
+        log.error(`Error fetching album details for ${item.item_title}: ${albumResult.reason.message}`);
+        result.warnings.push(describeError(albumResult.reason, item.item_url));
+      }
+
+      const notes = details.albumNotes || '';
+
+      return {
+        title: item.item_title || item.album_title,
+        url: item.item_url,
+        sourceId: getBandcampSourceId(item.tralbum_type, item.tralbum_id) || details.sourceId,
+        ...pickDate([['bandcamp-fan:added', item.added]]),
+        image: item.item_art_url || details.image || '',
+        description: notes ?
+                     (notes.length > 300 ? notes.substring(0, 297) + '...' : notes) :
+                     `New release by ${item.band_name}`,
+        metadata: details.metadata ?
+                  { ...details.metadata, artist: details.metadata.artist || item.band_name } :
+                  null,
+        artist: item.band_name || null,
+        curators: [curator]
+      };
+    });
+
+    result.releases = releases.sort((a, b) => (b.date || 0) - (a.date || 0));
+    return result;
+  } catch (error) {
+    log.error(`Error scraping Bandcamp fan page ${url}: ${error.message}`);
+    result.errors.push(describeError(error, url));
+    return result;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Parse an ISO 8601 duration such as "P00H03M21S" into seconds
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number|null} - Duration in seconds, or null if it can't be parsed
+ */
+function parseIsoDuration(duration) {
+  if (typeof duration !== 'string') {
+    return null;
+  }
+
+  const match = duration.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, days, hours, minutes, seconds] = match;
+  return (Number(days) || 0) * 86400 +
+         (Number(hours) || 0) * 3600 +
+         (Number(minutes) || 0) * 60 +
+         (Number(seconds) || 0);
+}
+
+/**
+ * Format a duration in seconds as m:ss or h:mm:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration, or an empty string if unknown
+ */
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return '';
+  }
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0 ?
+         `${hours}:${String(minutes).padStart(2, '0')}:${secs}` :
+         `${minutes}:${secs}`;
+}
+
+/**
+ * Find the first ld+json block on the page describing an album or track
+ * @param {Function} $ - Cheerio instance loaded with the album page HTML
+ * @returns {Object|null} - Parsed ld+json data
+ */
+function findLdJson($) {
+  let found = null;
+
+  $('script[type="application/ld+json"]').each((_, script) => {
+    if (found) return;
+
+    try {
+      const data = JSON.parse($(script).html());
+      const types = [].concat(data && data['@type'] || []);
+      if (types.includes('MusicAlbum') || types.includes('MusicRecording')) {
+        found = data;
+      }
+    } catch (e) {
+      // Continue if this script tag doesn't contain valid JSON
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Read the data-tralbum attribute Bandcamp embeds on album and track pages
+ * @param {Function} $ - Cheerio instance loaded with the album page HTML
+ * @returns {Object|null} - Parsed tralbum data
+ */
+export function findTralbum($) {
+  const raw = $('[data-tralbum]').first().attr('data-tralbum');
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Work out the release type from the page data
+ * @param {Object|null} ldJson - Parsed ld+json block
+ * @param {Object|null} tralbum - Parsed data-tralbum attribute
+ * @param {string} title - Release title, EPs often only say so in their name
+ * @returns {string} - 'album', 'ep', 'single' or 'track'
+ */
+function getReleaseType(ldJson, tralbum, title) {
+  const itemType = tralbum && tralbum.item_type;
+  const ldTypes = [].concat(ldJson && ldJson['@type'] || []);
+
+  if (itemType === 'track' || ldTypes.includes('MusicRecording')) {
+    return 'track';
+  }
+
+  const releaseType = String(ldJson && ldJson.albumReleaseType || '');
+  if (/EPRelease/i.test(releaseType) || /\bEP\b/.test(title || '')) {
+    return 'ep';
+  }
+  if (/SingleRelease/i.test(releaseType)) {
+    return 'single';
+  }
+
+  return 'album';
+}
+
+/**
+ * Build the track list, preferring the tralbum data (durations in seconds)
+ * @param {Object|null} ldJson - Parsed ld+json block
+ * @param {Object|null} tralbum - Parsed data-tralbum attribute
+ * @returns {Array} - Array of { number, title, duration } objects
+ */
+function getTracks(ldJson, tralbum) {
+  if (tralbum && Array.isArray(tralbum.trackinfo) && tralbum.trackinfo.length > 0) {
+    return tralbum.trackinfo.map((track, index) => ({
+      number: track.track_num || index + 1,
+      title: track.title || '',
+      duration: Number.isFinite(track.duration) && track.duration > 0 ? Math.round(track.duration) : null
+    }));
+  }
+
+  const list = ldJson && ldJson.track && ldJson.track.itemListElement;
+  if (Array.isArray(list)) {
+    return list.map((element, index) => {
+      const item = element.item || element;
+      return {
+        number: element.position || index + 1,
+        title: item.name || '',
+        duration: parseIsoDuration(item.duration)
+      };
+    });
+  }
+
+  // A single track page describes itself rather than a track list
+  if (ldJson && ldJson.duration) {
+    return [{ number: 1, title: ldJson.name || '', duration: parseIsoDuration(ldJson.duration) }];
+  }
+
+  return [];
+}
+
+/**
+ * Collect tags from the ld+json keywords and the tag links on the page
+ * @param {Function} $ - Cheerio instance loaded with the album page HTML
+ * @param {Object|null} ldJson - Parsed ld+json block
+ * @returns {Array<string>} - Unique tags in page order
+ */
+function getTags($, ldJson) {
+  const tags = [];
+  const seen = new Set();
+
+  const add = tag => {
+    const name = String(tag || '').trim();
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      tags.push(name);
+    }
+  };
+
+  if (ldJson && ldJson.keywords) {
+    const keywords = Array.isArray(ldJson.keywords) ? ldJson.keywords : String(ldJson.keywords).split(',');
+    keywords.forEach(add);
+  }
+
+  $('.tralbum-tags a.tag').each((_, el) => add($(el).text()));
+
+  return tags;
+}
+
+/**
+ * Find the digital release entry in the ld+json albumRelease list
+ * @param {Object|null} ldJson - Parsed ld+json block
+ * @returns {Object|null} - The digital release, or the first release listed
+ */
+function getDigitalRelease(ldJson) {
+  const releases = [].concat(ldJson && ldJson.albumRelease || []);
+  return releases.find(release => /DigitalFormat/i.test(release.musicReleaseFormat || '')) ||
+         releases[0] ||
+         null;
+}
+
+/**
+ * Read a price from the page data
+ * @param {*} value - Price as a number or numeric string
+ * @returns {number|null} - Price, or null when there is none (a missing price isn't free)
+ */
+function readPrice(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const price = Number(value);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Extract the full release model from a Bandcamp album or track page
+ * Combines the ld+json block and the data-tralbum attribute, falling back to
+ * the page markup for anything neither of them carries.
+ * @param {Function} $ - Cheerio instance loaded with the album page HTML
+ * @returns {Object} - Release metadata (type, artist, tracks, runtime, tags, label,
+ *                     catalogNumber, price, currency, nameYourPrice, credits)
+ */
+export function extractReleaseMetadata($) {
+  const ldJson = findLdJson($);
+  const tralbum = findTralbum($);
+  const current = (tralbum && tralbum.current) || {};
+  const digitalRelease = getDigitalRelease(ldJson);
+  const offers = (digitalRelease && digitalRelease.offers) || (ldJson && ldJson.offers) || {};
+
+  const artist = (ldJson && ldJson.byArtist && ldJson.byArtist.name) || (tralbum && tralbum.artist) || '';
+
+  // Labels show up as the record label, or as the publishing page when it isn't the artist's own
+  let label = (ldJson && ldJson.recordLabel && ldJson.recordLabel.name) ||
+              (digitalRelease && digitalRelease.recordLabel && digitalRelease.recordLabel.name) ||
+              '';
+  const publisher = ldJson && ldJson.publisher && ldJson.publisher.name;
+  if (!label && publisher && publisher !== artist) {
+    label = publisher;
+  }
+
+  const catalogNumber = (digitalRelease && digitalRelease.catalogNumber) ||
+                        (ldJson && ldJson.catalogNumber) ||
+                        current.catalog_number ||
+                        '';
+
+  let price = readPrice(offers.price);
+  if (price === null) {
+    price = readPrice(current.minimum_price);
+  }
+  const currency = offers.priceCurrency || (tralbum && tralbum.currency) || '';
+
+  const minPrice = offers.priceSpecification && offers.priceSpecification.minPrice;
+  // Free downloads also have a zero minimum price, but they link to a download page instead
+  const nameYourPrice = minPrice === 0 ||
+                        (current.minimum_price === 0 && !(tralbum && tralbum.freeDownloadPage)) ||
+                        $('.buyItemNyp').length > 0;
+
+  const credits = current.credits ||
+                  (ldJson && ldJson.creditText) ||
+                  $('.tralbum-credits').text().replace(/\s+/g, ' ').trim();
+
+  const tracks = getTracks(ldJson, tralbum);
+  const runtime = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
+
+  return {
+    type: getReleaseType(ldJson, tralbum, (ldJson && ldJson.name) || current.title),
+    artist,
+    tracks,
+    runtime: runtime > 0 ? runtime : null,
+    tags: getTags($, ldJson),
+    label,
+    catalogNumber,
+    price,
+    currency,
+    nameYourPrice,
+    credits
+  };
+}
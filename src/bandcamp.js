@@ -0,0 +1,286 @@
+import * as cheerio from 'cheerio';
+import { lookupAlbum, storeAlbum } from './album-cache.js';
+import { extractReleaseMetadata, findTralbum } from './bandcamp-metadata.js';
+import { extractBandcampDate } from './dates.js';
+import { log } from './log.js';
+import { createScrapeResult, describeError } from './report.js';
+
+/**
+ * Scrape releases from a Bandcamp artist page
+ * Album pages are requested in parallel batches through the shared scheduler, only as
+ * many as are still needed to reach maxReleases once future releases are skipped.
+ * @param {string} url - Bandcamp artist URL
+ * @param {number} maxReleases - Maximum number of releases to scrape (from artist config)
+ * @param {Object} options - Scrape options
+ * @param {Object} [options.albumCache] - Album detail cache; known albums are reused without a request
+ * @param {boolean} [options.includeUpcoming] - Keep future releases (flagged as upcoming) instead of skipping them
+ * @param {Object} options.http - Request scheduler shared by the run
+ * @returns {Promise<Object>} - Scrape result: { releases, errors, warnings }, see src/report.js
+ */
+export async function scrapeBandcamp(url, maxReleases = 2, options = {}) {
+  const { albumCache = null, includeUpcoming = false, http } = options;
+  const result = createScrapeResult();
+  
+  try {
+    // First fetch the artist page to get all album links
+    const { data } = await http.get(url);
+    const $ = cheerio.load(data);
+    const releases = result.releases;
+
+    // Get album/track items from the page, skipping any without a link so one odd item doesn't end the scrape
+    const albumItems = $('.music-grid-item').toArray().filter(el => $(el).find('a').attr('href')).map(el => {
+      const albumUrl = $(el).find('a').attr('href');
+      // data-item-id looks like "album-123", the same album on a label and an artist page has the same one
+      const itemId = ($(el).attr('data-item-id') || '').match(/^(album|track)-(\d+)$/);
+      
+      return {
+        title: $(el).find('.title').text().trim(),
+        imageUrl: $(el).find('img').attr('src') || '',
+        artistOverride: $(el).find('.artist-override').text().trim(),
+        sourceId: itemId ? getBandcampSourceId(itemId[1], itemId[2]) : undefined,
+        // Make sure the URL is absolute
+        url: albumUrl.startsWith('http') ? albumUrl : 
+             (albumUrl.startsWith('/') ? new URL(albumUrl, url).toString() : `${url}${albumUrl}`)
+      };
+    });
+    
+    log.info(`Found ${albumItems.length} potential releases on ${url}, targeting ${maxReleases} valid releases`);
+    
+    // Process albums until we reach maxReleases valid (non-future) releases
+    // or until we've gone through all available albums
+    let validReleasesCount = 0;
+    let i = 0;
+    
+    while (validReleasesCount < maxReleases && i < albumItems.length) {
+      // Fetch as many album pages at once as we still need releases
+      const batch = albumItems.slice(i, i + maxReleases - validReleasesCount);
+      i += batch.length;
+      
+      const results = await Promise.allSettled(batch.map(item => getAlbumDetails(item.url, albumCache, http)));
+      
+      // Handle the results in page order so the newest releases win
+      for (const [index, item] of batch.entries()) {
+        if (validReleasesCount >= maxReleases) {
+          break;
+        }
+        
+        const { title, imageUrl, artistOverride } = item;
+        const albumResult = results[index];
+        
+        if (albumResult.status === 'rejected') {
+          log.error(`Error fetching album details for ${title}: ${albumResult.reason.message}`);
+          result.warnings.push(describeError(albumResult.reason, item.url));
+          // Leave it out rather than publish it without a date, the next run tries again.
+          // It doesn't count toward maxReleases, so the next album on the page takes its place.
+          continue;
+        }
+        
+        const details = albumResult.value;
+        const releaseDate = details.date ? new Date(details.date) : null;
+        
+        // Set description (might include album notes if available)
+        let description = `New release by ${artistOverride || 'artist'}`;
+        const albumNotes = details.albumNotes;
+        if (albumNotes) {
+          description = albumNotes.length > 300 ? 
+                      albumNotes.substring(0, 297) + '...' : 
+                      albumNotes;
+        }
+        
+        // Undated releases are handled by the feed's "undated" setting, never dated now
+        if (!releaseDate) {
+          log.info(`Couldn't find release date for: ${title}`);
+          result.warnings.push({ type: 'parse', message: `No release date found for ${title}`, url: item.url });
+        }
+        
+        // Check if the release date is in the future, a pre-order without a readable date is upcoming too
+        const now = new Date();
+        const isFutureRelease = releaseDate ? releaseDate > now : !!details.isPreOrder;
+        const releaseDay = releaseDate ? releaseDate.toISOString() : 'not announced';
+        
+        if (isFutureRelease) {
+          if (includeUpcoming) {
+            log.info(`Found upcoming release: ${title} (Release date: ${releaseDay})`);
+            releases.push({
+              title,
+              url: item.url,
+              sourceId: item.sourceId || details.sourceId,
+              date: releaseDate,
+              datePrecision: details.datePrecision,
+              dateSource: details.dateSource,
+              image: imageUrl || details.image,
+              description,
+              metadata: details.metadata || null,
+              upcoming: true
+            });
+          } else {
+            log.debug(`Skipping future release: ${title} (Release date: ${releaseDay})`);
+          }
+          continue; // Move to the next one without incrementing validReleasesCount
+        }
+        
+        // If we got here, it's not a future release, so add it
+        releases.push({
+          title,
+          url: item.url,
+          sourceId: item.sourceId || details.sourceId,
+          date: releaseDate,
+          datePrecision: releaseDate ? details.datePrecision : undefined,
+          dateSource: releaseDate ? details.dateSource : undefined,
+          image: imageUrl || details.image,
+          description,
+          metadata: details.metadata || null
+        });
+        
+        // Increment the count of valid releases we've added
+        validReleasesCount++;
+      }
+    }
+    
+    log.info(`Finished processing ${url}. Got ${releases.length} valid releases out of ${i} checked albums.`);
+
+    // Sort the releases by date, newest first, undated ones (dated when first seen) on top
+    const now = new Date();
+    releases.sort((a, b) => (b.date || now) - (a.date || now));
+
+    if (albumItems.length === 0) {
+      result.warnings.push({ type: 'parse', message: 'No releases found on the page', url });
+    }
+    return result;
+  } catch (error) {
+    log.error(`Error scraping Bandcamp: ${error.message}`);
+    result.releases = [];
+    result.errors.push(describeError(error, url));
+    return result;
+  }
+}
+
+/**
+ * Build the source id of a Bandcamp album or track, which stays the same whichever page links to it
+ * @param {string} type - Item type: 'a' or 'album', 't' or 'track'
+ * @param {number|string} id - Item id
+ * @returns {string|undefined} - Source id such as "bandcamp:album-123", undefined without an id
+ */
+export function getBandcampSourceId(type, id) {
+  if (!id) {
+    return undefined;
+  }
+  return `bandcamp:${type === 't' || type === 'track' ? 'track' : 'album'}-${id}`;
+}
+
+/**
+ * Get the details of a Bandcamp album page, using the album cache when possible
+ * Fresh cache entries are reused without a request, stale ones are revalidated
+ * with If-None-Match/If-Modified-Since, and everything else is fetched and parsed.
+ * @param {string} albumUrl - Absolute album URL
+ * @param {Object} albumCache - Album cache object (optional)
+ * @param {Object} http - Request scheduler shared by the run
+ * @returns {Promise<Object>} - { date, datePrecision, dateSource, albumNotes, image, isPreOrder, metadata, sourceId, etag, lastModified }
+ */
+export async function getAlbumDetails(albumUrl, albumCache, http) {
+  const { entry, fresh } = lookupAlbum(albumCache, albumUrl);
+  
+  if (entry && fresh) {
+    log.debug(`Using cached album details for: ${albumUrl}`);
+    albumCache.stats.hits++;
+    return entry;
+  }
+  
+  // Send validators along if we have a stale entry so the server can answer 304
+  const headers = {};
+  if (entry && entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry && entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+  
+  log.debug(`Fetching album details from: ${albumUrl}`);
+  const response = await http.get(albumUrl, {
+    headers,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+  
+  if (response.status === 304 && entry) {
+    log.debug(`Album page not modified, reusing cached details for: ${albumUrl}`);
+    albumCache.stats.revalidated++;
+    storeAlbum(albumCache, albumUrl, entry);
+    return entry;
+  }
+  
+  const details = {
+    ...parseAlbumPage(cheerio.load(response.data)),
+    etag: response.headers['etag'] || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+  
+  if (albumCache) {
+    albumCache.stats.fetched++;
+    storeAlbum(albumCache, albumUrl, details);
+  }
+  
+  return details;
+}
+
+/**
+ * Check whether an album page is a pre-order
+ * The tralbum data says so outright. Pages without it are read from the album header only,
+ * the rest of the page (discography, merch, notes) often advertises other pre-orders.
+ * @param {Function} albumPage - Cheerio instance loaded with the album page HTML
+ * @param {Object|null} tralbum - Parsed data-tralbum attribute
+ * @returns {boolean} - True if the album isn't out yet
+ */
+function isPreOrderPage(albumPage, tralbum) {
+  if (tralbum && (tralbum.is_preorder !== undefined || tralbum.album_is_preorder !== undefined)) {
+    return !!(tralbum.is_preorder || tralbum.album_is_preorder);
+  }
+  if (tralbum && tralbum.album_release_date) {
+    const releaseDate = new Date(tralbum.album_release_date);
+    return !isNaN(releaseDate.getTime()) && releaseDate > new Date();
+  }
+  
+  const preOrderText = albumPage('#trackInfo, .tralbum-credits').text().match(/\bpre-?order\b|will be released on|releases \w+ \d{1,2},? \d{4}/i);
+  if (preOrderText) {
+    log.debug(`Found pre-order indication: "${preOrderText[0]}"`);
+  }
+  return !!preOrderText;
+}
+
+/**
+ * Extract the release date, notes and pre-order status from a Bandcamp album page
+ * @param {Function} albumPage - Cheerio instance loaded with the album page HTML
+ * @returns {Object} - { date (ISO string or null), datePrecision, dateSource, albumNotes, image, isPreOrder, metadata, sourceId }
+ */
+function parseAlbumPage(albumPage) {
+  const tralbum = findTralbum(albumPage);
+  const { date, datePrecision, dateSource } = extractBandcampDate(albumPage, tralbum);
+  
+  const isPreOrder = isPreOrderPage(albumPage, tralbum);
+  
+  const albumNotes = albumPage('.tralbum-about').text().trim();
+  
+  // Cover art from the album page, used when the grid item has no image
+  const image = albumPage('meta[property="og:image"]').attr('content') || '';
+  
+  // The item id, from the tralbum data or the page properties ({"item_type":"a","item_id":123})
+  let pageProperties = {};
+  try {
+    pageProperties = JSON.parse(albumPage('meta[name="bc-page-properties"]').attr('content') || '{}');
+  } catch (e) {
+    // Fall through without an id
+  }
+  const sourceId = tralbum && tralbum.id ?
+                   getBandcampSourceId(tralbum.item_type, tralbum.id) :
+                   getBandcampSourceId(pageProperties.item_type, pageProperties.item_id);
+  
+  return {
+    date,
+    datePrecision,
+    dateSource,
+    albumNotes,
+    image,
+    isPreOrder,
+    metadata: extractReleaseMetadata(albumPage),
+    sourceId
+  };
+}
@@ -0,0 +1,369 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildFeed, buildAggregateFeed, renderFeed, renderSite } from '../index.js';
+import { loadState, saveState } from './state.js';
+import { loadAlbumCache, saveAlbumCache, logAlbumCacheStats } from './album-cache.js';
+import { createHttpScheduler, logHttpStats } from './http.js';
+import { validateConfigFiles, printProblems } from './validate.js';
+import { findConfigFiles, findFeedFile } from './config-files.js';
+import { loadProviders } from './providers.js';
+import { FAIL_ON_LEVELS, createRunReport, getReportExitCode } from './report.js';
+import { THEMES, loadTemplates } from './templates.js';
+import { PROJECT_URL, loadSiteConfig } from './site.js';
+import { log } from './log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default output directory (where GitHub Pages will serve from), overridable with --output-dir
+const defaultOutputDir = path.join(__dirname, '..', 'dist');
+
+// Default artists directory, overridable with --config-dir
+const defaultArtistsDir = path.join(__dirname, '..', 'artists');
+
+// Extra source providers, overridable with --providers
+const defaultProvidersDir = path.join(__dirname, '..', 'providers');
+
+// Page templates replacing the default theme's, overridable with --templates
+const defaultTemplatesDir = path.join(__dirname, '..', 'templates');
+
+// Site settings (base URL, title, author, language), overridable with --site-config
+const defaultSiteConfigFile = path.join(__dirname, '..', 'site.json');
+
+// Name of the aggregate feed written with --aggregate (all-feed.xml, all.html)
+const AGGREGATE_FEED_ID = 'all';
+
+// Run report with every feed's and artist's scrape status, written next to the feeds
+const REPORT_FILE = 'report.json';
+
+// The release state (state.json) and album cache (album-cache.json) live in the output
+// directory, so they are published with dist/ and the workflow can restore them
+
+/**
+ * Resolve the settings for a run from command-line (or programmatic) options
+ * @param {Object} options - Run options
+ * @param {string} [options.artistsDir] - Directory containing the feed config files
+ * @param {string} [options.outputDir] - Directory the site and feeds are written to
+ * @param {string} [options.providersDir] - Directory with extra source provider modules, see src/providers.js
+ * @param {string} [options.templatesDir] - Directory with page templates replacing the default theme's, see src/templates.js
+ * @param {string} [options.theme] - Color scheme of the pages: dark, light or auto (default THEME, then the site's theme, then dark)
+ * @param {string} [options.siteConfig] - Site settings file, see src/site.js
+ * @param {string} [options.baseUrl] - Address the site is published at, wins over site.json and SITE_URL
+ * @param {string} [options.feed] - Only build this feed (config file name, with or without .json)
+ * @param {string} [options.artist] - Only scrape artists matching this name or URL
+ * @param {boolean} [options.dryRun] - Scrape and report, but don't write anything
+ * @param {string} [options.previewFormat] - Print the selected feed in this format instead of writing it
+ * @param {boolean} [options.aggregate] - Also write an "all" feed with every feed's releases, each once
+ * @param {Object} [options.http] - Request scheduler options (concurrency, userAgent, ...), see src/http.js
+ * @param {string} [options.failOn] - When problems fail the run: never, feed, artist or warning (default FAIL_ON or never)
+ * @returns {Object} - Resolved settings
+ */
+export function resolveSettings(options = {}) {
+  const outputDir = path.resolve(options.outputDir || defaultOutputDir);
+  const failOn = options.failOn || process.env.FAIL_ON || 'never';
+
+  const theme = options.theme || process.env.THEME || null;
+
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(`Unknown fail-on level "${failOn}", use one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+  if (theme && !THEMES.includes(theme)) {
+    throw new Error(`Unknown theme "${theme}", use one of: ${THEMES.join(', ')}`);
+  }
+
+  return {
+    artistsDir: path.resolve(options.artistsDir || defaultArtistsDir),
+    outputDir,
+    providersDir: path.resolve(options.providersDir || defaultProvidersDir),
+    templatesDir: path.resolve(options.templatesDir || defaultTemplatesDir),
+    siteConfigFile: path.resolve(options.siteConfig || defaultSiteConfigFile),
+    baseUrl: options.baseUrl || null,
+    theme,
+    stateFile: process.env.STATE_FILE || path.join(outputDir, 'state.json'),
+    albumCacheFile: process.env.ALBUM_CACHE_FILE || path.join(outputDir, 'album-cache.json'),
+    feed: options.feed || null,
+    artist: options.artist || null,
+    dryRun: !!options.dryRun || !!options.previewFormat,
+    previewFormat: options.previewFormat || null,
+    aggregate: !!options.aggregate,
+    failOn,
+    http: options.http || {}
+  };
+}
+
+/**
+ * Write a generated file, or just report it when doing a dry run
+ * @param {string} filePath - Output file path
+ * @param {string} content - File contents
+ * @param {Object} settings - Settings from resolveSettings()
+ * @param {string} label - What the file is, for the log (e.g. "Feed info page")
+ * @returns {Promise<void>}
+ */
+async function writeOutput(filePath, content, settings, label) {
+  if (settings.dryRun) {
+    log.info(`[dry run] ${label} would be written to ${filePath} (${Buffer.byteLength(content)} bytes)`);
+    return;
+  }
+
+  // Write next to the target and rename, so a server reading the directory never sees half a file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+  log.info(`${label} written to ${filePath}`);
+}
+
+/**
+ * Build the site from the artists directory
+ * Builds the selected feeds (all of them by default), then renders and writes the
+ * site. Feeds that weren't selected are still listed, built from the stored history.
+ * Errors that stop the whole build (invalid configs, an unknown feed) are thrown.
+ * @param {Object} options - Run options, see resolveSettings()
+ * @returns {Promise<Array>} - Built feeds, see buildFeed()
+ */
+export async function buildSite(options = {}) {
+  const { builtFeeds } = await runBuild(options);
+  return builtFeeds;
+}
+
+/**
+ * Build the site and put together the run report
+ * @param {Object} options - Run options, see resolveSettings()
+ * @returns {Promise<Object>} - { builtFeeds, report }
+ */
+async function runBuild(options) {
+  const started = new Date();
+  const settings = resolveSettings(options);
+  const { artistsDir } = settings;
+
+  // Find all .json files in the artists directory and its subdirectories
+  const jsonFiles = findConfigFiles(artistsDir);
+
+  if (jsonFiles.length === 0 && !settings.dryRun) {
+    log.info('No artist JSON files found. Creating a default one...');
+
+    // Create a default file if none exist
+    const defaultArtistsFile = path.join(artistsDir, 'default.json');
+    const defaultArtists = {
+      title: "Default Artist Feed",
+      description: "Default feed for artists",
+      artists: [
+        {
+          name: "Example Artist",
+          url: "https://example.com/artist/page"
+        }
+      ]
+    };
+
+    await fs.ensureDir(artistsDir);
+    await fs.writeJson(defaultArtistsFile, defaultArtists, { spaces: 2 });
+    log.info(`Created default artists file at: ${defaultArtistsFile}`);
+    jsonFiles.push('default.json');
+  }
+
+  log.info(`Found ${jsonFiles.length} artist JSON file(s)`);
+
+  // Custom providers have to be registered before validation, configs may use their "source" names
+  await loadProviders(settings.providersDir);
+
+  // A broken template or site config should fail the build before anything is scraped
+  const templates = await loadTemplates(settings.templatesDir);
+  const site = await loadSiteConfig(settings.siteConfigFile, { baseUrl: settings.baseUrl });
+  if (site.baseUrl) {
+    log.info(`Publishing for ${site.baseUrl}`);
+  } else {
+    log.info(`No base URL set (baseUrl in site.json, SITE_URL or --base-url), feeds will link to ${PROJECT_URL}`);
+  }
+
+  // Check every config before scraping anything, a broken file should fail the build rather than produce an empty feed
+  const problems = await validateConfigFiles(artistsDir, jsonFiles);
+  if (problems.length > 0) {
+    printProblems(problems, artistsDir);
+  }
+  if (problems.some(problem => problem.severity === 'error')) {
+    throw new Error('Artist config files have errors, fix them (or run "npm run validate") and try again');
+  }
+
+  // Narrow the run down to a single feed if one was asked for
+  let selectedFiles = jsonFiles;
+  if (settings.feed) {
+    const feedFile = findFeedFile(jsonFiles, settings.feed);
+    if (!feedFile) {
+      throw new Error(`No feed named "${settings.feed}" in ${artistsDir}`);
+    }
+    selectedFiles = [feedFile];
+  }
+
+  log.info(`Processing ${selectedFiles.length} feed(s)${settings.artist ? ` for artist "${settings.artist}"` : ''}${settings.dryRun ? ' (dry run)' : ''}`);
+
+  // Load the release history from previous runs
+  const state = await loadState(settings.stateFile);
+
+  // Load cached album details so known releases don't need their album page fetched again
+  const albumCache = await loadAlbumCache(settings.albumCacheFile, {
+    maxAgeDays: process.env.ALBUM_CACHE_MAX_AGE_DAYS ? Number(process.env.ALBUM_CACHE_MAX_AGE_DAYS) : undefined,
+    forceRefresh: process.env.REFRESH_ALBUM_CACHE === 'true' || process.env.REFRESH_ALBUM_CACHE === '1'
+  });
+
+  // One scheduler for the whole run so rate limits apply across feeds
+  const http = createHttpScheduler(settings.http);
+
+  // A preview only needs the selected feed, a build lists every feed on the site
+  const filesToBuild = settings.previewFormat ? selectedFiles : jsonFiles;
+  const builtFeeds = [];
+  // Reports of feeds that couldn't be built at all, they are missing from the site but not from the report
+  const failedFeeds = [];
+
+  for (const jsonFile of filesToBuild) {
+    const fullPath = path.join(artistsDir, jsonFile);
+    const scrape = selectedFiles.includes(jsonFile);
+    const feedOptions = { id: jsonFile, state, albumCache, http, artist: settings.artist, scrape, site };
+
+    if (scrape) {
+      log.info(`Processing artist file: ${fullPath}`);
+    }
+
+    let config = null;
+    try {
+      config = await fs.readJson(fullPath);
+
+      try {
+        builtFeeds.push(await buildFeed(config, feedOptions));
+      } catch (error) {
+        log.error(`Error processing ${jsonFile}: ${error.message}`);
+        // Still list the feed on the site, with what we already know about it
+        const builtFeed = await buildFeed(config, { ...feedOptions, scrape: false });
+        Object.assign(builtFeed.report, { status: 'error', error: error.message });
+        builtFeeds.push(builtFeed);
+      }
+    } catch (error) {
+      log.error(`Error processing ${jsonFile}: ${error.message}`);
+      const id = jsonFile.replace(/\.json$/, '');
+      failedFeeds.push({
+        id,
+        title: (config && config.title) || id,
+        status: 'error',
+        scraped: scrape,
+        built: false,
+        items: 0,
+        upcomingItems: 0,
+        artists: [],
+        error: error.message,
+        durationMs: 0
+      });
+    }
+  }
+
+  logAlbumCacheStats(albumCache);
+  logHttpStats(http);
+
+  // A preview prints the rendered feed instead of writing any files
+  if (settings.previewFormat) {
+    for (const builtFeed of builtFeeds) {
+      process.stdout.write(`${renderFeed(builtFeed, settings.previewFormat)}\n`);
+    }
+    return { builtFeeds, report: createRunReport(builtFeeds, { started, http, albumCache, failOn: settings.failOn, failedFeeds }) };
+  }
+
+  const selectedIds = selectedFiles.map(jsonFile => jsonFile.replace(/\.json$/, ''));
+
+  // The aggregate changes whenever one of its feeds does, so it's always written
+  if (settings.aggregate) {
+    if (builtFeeds.some(builtFeed => builtFeed.id === AGGREGATE_FEED_ID)) {
+      throw new Error(`A feed is already named "${AGGREGATE_FEED_ID}", rename ${AGGREGATE_FEED_ID}.json to build the aggregate feed`);
+    }
+    builtFeeds.push(buildAggregateFeed(builtFeeds, { id: AGGREGATE_FEED_ID, site }));
+    selectedIds.push(AGGREGATE_FEED_ID);
+  }
+
+  if (settings.dryRun) {
+    for (const builtFeed of builtFeeds.filter(builtFeed => selectedIds.includes(builtFeed.id))) {
+      const items = [...builtFeed.feed.items, ...(builtFeed.upcomingFeed ? builtFeed.upcomingFeed.items : [])];
+      for (const item of items) {
+        log.info(`[dry run] ${builtFeed.id}: ${item.date.toISOString().slice(0, 10)} ${item.title} <${item.link}>`);
+      }
+    }
+  }
+
+  // Persist the merged release history and album cache for the next run
+  if (!settings.dryRun) {
+    await saveState(settings.stateFile, state);
+    await saveAlbumCache(settings.albumCacheFile, albumCache, state);
+  }
+
+  // Write the feeds that were built this run, and the pages for every feed
+  for (const file of renderSite(builtFeeds, { feedIds: selectedIds, templates, site, theme: settings.theme })) {
+    await writeOutput(path.join(settings.outputDir, file.path), file.content, settings, file.label);
+  }
+
+  const report = createRunReport(builtFeeds, { started, http, albumCache, failOn: settings.failOn, failedFeeds });
+  logRunReport(report);
+  await writeOutput(path.join(settings.outputDir, REPORT_FILE), `${JSON.stringify(report, null, 2)}\n`, settings, 'Run report');
+
+  return { builtFeeds, report };
+}
+
+/**
+ * Log what went wrong in a run, one line per failed feed or artist
+ * @param {Object} report - Report from createRunReport()
+ */
+function logRunReport(report) {
+  for (const feed of report.feeds) {
+    if (feed.built === false) {
+      log.warn(`${feed.id} failed and couldn't be built, it is missing from the site: ${feed.error}`);
+    } else if (feed.error) {
+      log.warn(`${feed.id} failed, built from the stored history: ${feed.error}`);
+    }
+    for (const artist of feed.artists.filter(artist => artist.status === 'error')) {
+      log.warn(`${feed.id}: ${artist.name} failed: ${artist.errors.map(error => error.message).join('; ')}`);
+    }
+  }
+
+  const { feeds, failedFeeds, artists, failedArtists, artistsWithWarnings } = report.totals;
+  log.info(`Run report: ${feeds} feed(s) (${failedFeeds} failed), ${artists} artist(s) scraped (${failedArtists} failed, ${artistsWithWarnings} with warnings)`);
+}
+
+/**
+ * Processes all artist JSON files in the artists directory
+ * Same as buildSite(), but reports failures through the log and the exit code. A run
+ * that finished with problems exits with REPORT_EXIT_CODE when the fail-on level counts them.
+ * @param {Object} options - Run options, see resolveSettings()
+ * @returns {Promise<Array>} - Built feeds, see buildFeed()
+ */
+export async function processArtistFiles(options = {}) {
+  try {
+    const { builtFeeds, report } = await runBuild(options);
+    const { failOn } = resolveSettings(options);
+    const exitCode = getReportExitCode(report, failOn);
+    if (exitCode) {
+      log.error(`The run had problems and fails with --fail-on ${failOn}, see ${REPORT_FILE}`);
+      process.exitCode = exitCode;
+    }
+    return builtFeeds;
+  } catch (error) {
+    log.error(`Error processing artist files: ${error.message}`);
+    log.debug(error.stack);
+    process.exitCode = 1;
+    return [];
+  }
+}
+
+/**
+ * Validate all artist JSON files without scraping anything
+ * Exits with a non-zero code if any errors were found.
+ * @param {Object} options - Run options, see resolveSettings()
+ * @returns {Promise<void>}
+ */
+export async function validateArtistFiles(options = {}) {
+  const { artistsDir, providersDir } = resolveSettings(options);
+  await loadProviders(providersDir);
+  const jsonFiles = findConfigFiles(artistsDir);
+  log.info(`Validating ${jsonFiles.length} artist JSON file(s) in ${artistsDir}`);
+
+  const problems = await validateConfigFiles(artistsDir, jsonFiles);
+  printProblems(problems, artistsDir);
+
+  if (problems.some(problem => problem.severity === 'error')) {
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,197 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { parse, modify, applyEdits } from 'jsonc-parser';
+import { log } from './log.js';
+import { getDiscoverQuery } from './bandcamp-discover.js';
+
+/**
+ * Find all feed config files in the artists directory and its subdirectories
+ * @param {string} artistsDir - Directory containing the config files
+ * @returns {Array<string>} - Config file paths relative to artistsDir, with forward slashes
+ */
+export function findConfigFiles(artistsDir) {
+  return glob.sync('**/*.json', { cwd: artistsDir, posix: true }).sort();
+}
+
+/**
+ * Resolve a feed name given on the command line to its config file
+ * Accepts "labels", "labels.json" or a path such as "sub/folder/feed".
+ * @param {Array<string>} jsonFiles - Config file paths relative to the artists directory
+ * @param {string} feed - Feed name or file
+ * @returns {string|null} - Matching config file path, or null if there is none
+ */
+export function findFeedFile(jsonFiles, feed) {
+  const wanted = feed.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\.json$/, '');
+  return jsonFiles.find(jsonFile => jsonFile.replace(/\.json$/, '') === wanted) || null;
+}
+
+/**
+ * Normalize an artist URL so the same page is recognized however it was written
+ * e.g. "https://Label.bandcamp.com/music/" and "https://label.bandcamp.com" match.
+ * Bandcamp tag and Discover pages are told apart by the query they run, which lives
+ * in the URL's search params and the entry's "query" setting.
+ * @param {string} url - Artist URL
+ * @param {Object} [query] - The entry's "query" setting, for tag and Discover pages
+ * @returns {string} - Normalized URL
+ */
+export function normalizeArtistUrl(url, query) {
+  const discoverQuery = getDiscoverQuery(url, query);
+  if (discoverQuery) {
+    const { tags, format, sort, location } = discoverQuery;
+    return `bandcamp.com/discover/${tags.join('+')}?f=${format}&s=${sort}&gn=${location}`;
+  }
+
+  try {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.replace(/\/+$/, '').replace(/\/music$/, '');
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${pathname}`;
+  } catch (e) {
+    return url.trim().toLowerCase();
+  }
+}
+
+/**
+ * Check whether an artist entry matches a name or URL given on the command line
+ * @param {Object} artist - Artist object from a feed config
+ * @param {string} query - Artist name (case-insensitive) or URL
+ * @returns {boolean} - True if the artist matches
+ */
+export function matchesArtist(artist, query) {
+  if (!artist || !query) {
+    return false;
+  }
+
+  if (artist.name && artist.name.toLowerCase() === query.toLowerCase()) {
+    return true;
+  }
+
+  return !!artist.url && /^https?:\/\//i.test(query) && normalizeArtistUrl(artist.url) === normalizeArtistUrl(query);
+}
+
+/**
+ * Work out the indentation a config file uses so edits keep its style
+ * @param {string} text - File contents
+ * @returns {Object} - jsonc-parser formatting options
+ */
+function detectFormatting(text) {
+  const indent = text.match(/\n([ \t]+)"/);
+  const usesTabs = indent ? indent[1].startsWith('\t') : false;
+
+  return {
+    insertSpaces: !usesTabs,
+    tabSize: usesTabs ? 1 : (indent ? indent[1].length : 2),
+    eol: text.includes('\r\n') ? '\r\n' : '\n'
+  };
+}
+
+/**
+ * Add an artist to a feed config, creating the file if it doesn't exist yet
+ * The file is edited in place so its existing formatting is kept.
+ * @param {string} artistsDir - Directory containing the config files
+ * @param {string} jsonFile - Config file path relative to artistsDir
+ * @param {Object} artist - Artist entry (name, url and optional settings)
+ * @returns {Promise<void>}
+ */
+export async function addArtist(artistsDir, jsonFile, artist) {
+  const fullPath = path.join(artistsDir, jsonFile);
+
+  if (!(await fs.pathExists(fullPath))) {
+    const feedId = path.basename(jsonFile, '.json');
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeJson(fullPath, { title: `${feedId} RSS Feed`, artists: [artist] }, { spaces: 2 });
+    log.info(`Created ${fullPath} with ${artist.name}`);
+    return;
+  }
+
+  const text = await fs.readFile(fullPath, 'utf8');
+  const config = parse(text);
+  const artists = (config && config.artists) || [];
+
+  const duplicate = artists.find(existing => matchesArtist(existing, artist.url) || matchesArtist(existing, artist.name));
+  if (duplicate) {
+    throw new Error(`${jsonFile} already contains ${duplicate.name} (${duplicate.url})`);
+  }
+
+  const edits = modify(text, ['artists', artists.length], artist, {
+    isArrayInsertion: true,
+    formattingOptions: detectFormatting(text)
+  });
+
+  await fs.writeFile(fullPath, applyEdits(text, edits));
+  log.info(`Added ${artist.name} to ${fullPath}`);
+}
+
+/**
+ * Remove an artist from a feed config
+ * @param {string} artistsDir - Directory containing the config files
+ * @param {string} jsonFile - Config file path relative to artistsDir
+ * @param {string} query - Artist name or URL to remove
+ * @returns {Promise<Object>} - The removed artist entry
+ */
+export async function removeArtist(artistsDir, jsonFile, query) {
+  const fullPath = path.join(artistsDir, jsonFile);
+  const text = await fs.readFile(fullPath, 'utf8');
+  const config = parse(text);
+  const artists = (config && config.artists) || [];
+
+  const index = artists.findIndex(artist => matchesArtist(artist, query));
+  if (index === -1) {
+    throw new Error(`No artist matching "${query}" in ${jsonFile}`);
+  }
+
+  const edits = modify(text, ['artists', index], undefined, {
+    formattingOptions: detectFormatting(text)
+  });
+
+  await fs.writeFile(fullPath, applyEdits(text, edits));
+  log.info(`Removed ${artists[index].name} from ${fullPath}`);
+  return artists[index];
+}
+
+/**
+ * Add several artists to a feed config, leaving out the ones it already has
+ * Creates the file if it doesn't exist yet, otherwise edits it in place like addArtist().
+ * @param {string} artistsDir - Directory containing the config files
+ * @param {string} jsonFile - Config file path relative to artistsDir
+ * @param {Array<Object>} artists - Artist entries (name, url and optional settings)
+ * @param {string} [title] - Title for a new feed (default "<feed> RSS Feed")
+ * @returns {Promise<Object>} - { added, skipped }: the artists added and the ones already in the feed
+ */
+export async function addArtists(artistsDir, jsonFile, artists, title) {
+  const fullPath = path.join(artistsDir, jsonFile);
+  const exists = await fs.pathExists(fullPath);
+  let text = exists ? await fs.readFile(fullPath, 'utf8') : null;
+  const known = exists ? [...((parse(text) || {}).artists || [])] : [];
+
+  const added = [];
+  const skipped = [];
+  for (const artist of artists) {
+    if (known.some(existing => matchesArtist(existing, artist.url))) {
+      skipped.push(artist);
+      continue;
+    }
+
+    if (exists) {
+      const edits = modify(text, ['artists', known.length], artist, {
+        isArrayInsertion: true,
+        formattingOptions: detectFormatting(text)
+      });
+      text = applyEdits(text, edits);
+    }
+    known.push(artist);
+    added.push(artist);
+  }
+
+  if (!exists) {
+    const feedId = path.basename(jsonFile, '.json');
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeJson(fullPath, { title: title || `${feedId} RSS Feed`, artists: added }, { spaces: 2 });
+    log.info(`Created ${fullPath} with ${added.length} artist(s)`);
+  } else if (added.length > 0) {
+    await fs.writeFile(fullPath, text);
+    log.info(`Added ${added.length} artist(s) to ${fullPath}`);
+  }
+
+  return { added, skipped };
+}
@@ -0,0 +1,119 @@
+// Shorthands accepted in place of a five-field expression
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Allowed range of each field, in expression order
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+/**
+ * Parse one field of a cron expression into the set of values it matches
+ * Supports "*", single values, ranges ("1-5"), lists ("1,15") and steps ("*\/15", "0-30/10").
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition from FIELDS
+ * @returns {Set<number>} - Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}" in cron expression`);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? field.min : Number(start);
+    const to = start === '*' ? field.max : (end !== undefined ? Number(end) : (step ? field.max : from));
+    const increment = step ? Number(step) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw new Error(`${field.name} "${part}" is out of range (${field.min}-${field.max}) in cron expression`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * Times are matched in UTC, like the GitHub Actions schedule.
+ * @param {string} expression - Cron expression, e.g. "0 0 * * *" or "@daily"
+ * @returns {Object} - Parsed schedule for getNextRun()
+ */
+export function parseCron(expression) {
+  const source = ALIASES[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday can be written as 0 or 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+/**
+ * Find the next time a schedule fires after a given moment
+ * @param {Object} schedule - Schedule from parseCron()
+ * @param {Date} from - Start looking after this time (default now)
+ * @returns {Date} - Next matching minute
+ */
+export function getNextRun(schedule, from = new Date()) {
+  const next = new Date(from.getTime());
+  next.setUTCSeconds(0, 0);
+  next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+  // Four years covers every combination, including February 29th
+  const limit = next.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+
+  while (next.getTime() <= limit) {
+    const dayMatches = schedule.days.has(next.getUTCDate());
+    const weekdayMatches = schedule.weekdays.has(next.getUTCDay());
+    const dateMatches = schedule.anyDay ? (dayMatches || weekdayMatches) : (dayMatches && weekdayMatches);
+
+    if (!schedule.months.has(next.getUTCMonth() + 1) || !dateMatches) {
+      // Skip the rest of the day
+      next.setUTCHours(0, 0, 0, 0);
+      next.setUTCDate(next.getUTCDate() + 1);
+    } else if (!schedule.hours.has(next.getUTCHours())) {
+      next.setUTCMinutes(0);
+      next.setUTCHours(next.getUTCHours() + 1);
+    } else if (!schedule.minutes.has(next.getUTCMinutes())) {
+      next.setUTCMinutes(next.getUTCMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never fires`);
+}
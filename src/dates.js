@@ -0,0 +1,356 @@
+/*
+ * Release dates
+ *
+ * Everything that reads a date from a page or an API goes through here, so dates are
+ * read the same way everywhere: as UTC unless the text says otherwise, with month names
+ * in the languages labels commonly write them in, and with a note of where the date
+ * came from ("dateSource") so odd dates can be traced back. Nothing here ever falls back
+ * to the current time, a date that can't be read is null and the feed's "undated" policy
+ * decides what happens to the release.
+ */
+
+// Month names, index 0 is January
+const MONTH_NAMES = {
+  en: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+  de: ['januar', 'februar', 'marz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+  fr: ['janvier', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'aout', 'septembre', 'octobre', 'novembre', 'decembre'],
+  es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  it: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+  nl: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+  pt: ['janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro']
+};
+
+// Abbreviations that aren't a prefix of the full name
+const MONTH_ABBREVIATIONS = { mrt: 3, sept: 9 };
+
+// Month name or abbreviation (lowercase, without accents) -> month number. Abbreviations
+// that mean different months in different languages (French "jui") are left out.
+const MONTHS = (() => {
+  const months = new Map(Object.entries(MONTH_ABBREVIATIONS));
+  const ambiguous = new Set();
+
+  for (const names of Object.values(MONTH_NAMES)) {
+    names.forEach((name, index) => {
+      for (let length = 3; length <= name.length; length++) {
+        const prefix = name.slice(0, length);
+        if (months.has(prefix) && months.get(prefix) !== index + 1) {
+          ambiguous.add(prefix);
+        }
+        months.set(prefix, index + 1);
+      }
+    });
+  }
+
+  ambiguous.forEach(prefix => months.delete(prefix));
+  return months;
+})();
+
+// Date format tokens, longest first so "MMMM" isn't read as two "MM"
+const DATE_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  YY: { pattern: '(\\d{2})', part: 'shortYear' },
+  MMMM: { pattern: '([^\\s\\d.,/-]+)', part: 'monthName' },
+  MMM: { pattern: '([^\\s\\d.,/-]{3,4})', part: 'monthName' },
+  MM: { pattern: '(\\d{2})', part: 'month' },
+  M: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{2})', part: 'day' },
+  D: { pattern: '(\\d{1,2})', part: 'day' },
+  HH: { pattern: '(\\d{2})', part: 'hour' },
+  H: { pattern: '(\\d{1,2})', part: 'hour' },
+  mm: { pattern: '(\\d{2})', part: 'minute' },
+  ss: { pattern: '(\\d{2})', part: 'second' }
+};
+
+// Time zone names RFC 822 allows, as hours from UTC
+const ZONE_OFFSETS = { UT: 0, UTC: 0, GMT: 0, Z: 0, EST: -5, EDT: -4, CST: -6, CDT: -5, MST: -7, MDT: -6, PST: -8, PDT: -7 };
+
+// A time of day, "10:30", "10:30:15", "7:00pm" or "7 p.m."
+const CLOCK = /\b(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?m\b\.?)?|\b(\d{1,2})\s*([ap])\.?m\b\.?/i;
+
+// A time zone right after the time, a name or an offset such as "+0100", "-05:00" or "GMT+0100"
+const ZONE = /^\s*(?:(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})(?!\d)|(UTC?|GMT|Z|[ECMP][SD]T)(?![a-z]))/i;
+
+// Words that can sit between a month name and its day or year, as in "12 de marzo de 2024"
+const DATE_FILLERS = new Set(['de', 'del', 'di', 'do', 'da', 'of']);
+
+// Ways the undated release policy can be set
+export const UNDATED_MODES = ['first-seen', 'skip', 'flag'];
+
+/**
+ * Look up a month name or abbreviation in any of the known languages
+ * @param {string} name - Month name, e.g. "March", "mär.", "févr"
+ * @returns {number|null} - Month number (1-12), or null if it isn't a month
+ */
+export function getMonthNumber(name) {
+  const key = String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\.$/, '');
+  return MONTHS.get(key) || null;
+}
+
+/**
+ * Build a UTC date from its parts, rejecting days that don't exist (February 30th)
+ * @param {Object} values - { year, month, day, hour, minute, second }
+ * @returns {Date|null} - Date, or null if the parts don't make one
+ */
+function buildUtcDate({ year, month, day = 1, hour = 0, minute = 0, second = 0 }) {
+  if (!year || !month || month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Read a time of day and the time zone after it from the text, if there is one
+ * Understands 24 hour and am/pm times, RFC 822 zone names ("EST", "GMT") and offsets.
+ * @param {string} text - Date text
+ * @returns {Object} - { time: { hour, minute, second }, offset (minutes from UTC), text (what was read, '' without a time) }
+ */
+function readTime(text) {
+  const clock = CLOCK.exec(text);
+  if (!clock) {
+    return { time: {}, offset: 0, text: '' };
+  }
+
+  const [read, hours, minutes, seconds, meridiem, meridiemHours, shortMeridiem] = clock;
+  let hour = Number(hours || meridiemHours);
+  const half = (meridiem || shortMeridiem || '').toLowerCase();
+  if (half && (hour < 1 || hour > 12)) {
+    // "13:00pm" isn't a time
+    hour = 24;
+  } else if (half) {
+    hour = (hour % 12) + (half === 'p' ? 12 : 0);
+  }
+
+  const zone = ZONE.exec(text.slice(clock.index + read.length));
+  let offset = 0;
+  if (zone && zone[4]) {
+    offset = ZONE_OFFSETS[zone[4].toUpperCase()] * 60;
+  } else if (zone) {
+    offset = (zone[1] === '-' ? -1 : 1) * (Number(zone[2]) * 60 + Number(zone[3]));
+  }
+
+  return {
+    time: { hour, minute: Number(minutes || 0), second: Number(seconds || 0) },
+    offset,
+    text: read + (zone ? zone[0] : '')
+  };
+}
+
+/**
+ * Find the parts of a written date among the words of a text
+ * The month has to be next to its day or year (filler words like "de" aside), so a
+ * word that merely looks like a month ("Set the date") isn't read as one.
+ * @param {Array<string>} words - Words and numbers of the text, in order
+ * @returns {Object|null} - { year, month, day (null if there is none) }, or null without a month and year
+ */
+function readWrittenDate(words) {
+  const isNumber = word => /^\d/.test(word);
+  // The nearest word before or after a position that isn't a filler
+  const neighbour = (index, step) => {
+    let next = index + step;
+    while (next >= 0 && next < words.length && DATE_FILLERS.has(words[next].toLowerCase().replace(/\.$/, ''))) {
+      next += step;
+    }
+    return words[next] || '';
+  };
+  const dayOf = word => {
+    const number = word.match(/^(\d{1,2})(?!\d)/);
+    return number ? Number(number[1]) : null;
+  };
+
+  for (const [index, word] of words.entries()) {
+    const month = isNumber(word) ? null : getMonthNumber(word);
+    const before = neighbour(index, -1);
+    const after = neighbour(index, 1);
+    if (!month || !(isNumber(before) || isNumber(after))) {
+      continue;
+    }
+
+    const yearWord = words.find(candidate => /^\d{4}(?!\d)/.test(candidate));
+    if (!yearWord) {
+      return null;
+    }
+    return { year: Number(yearWord.slice(0, 4)), month, day: dayOf(before) || dayOf(after) };
+  }
+  return null;
+}
+
+/**
+ * Read a date in any of the common formats, without being told which one
+ * Understands ISO 8601 ("2024-03-12", "2024-03", "2024"), RFC 2822 and other dates with a
+ * time zone ("+0100", "EST"), written dates ("March 12th, 2024", "12. März 2024",
+ * "12 de marzo de 2024", "Mar 2024") and numeric ones ("12.03.2024" and "12-03-2024" day
+ * first, "03/12/2024" month first unless the first number can't be a month), with 24 hour
+ * or am/pm times. Text without a time zone is UTC.
+ * @param {string} text - Text containing the date
+ * @returns {Object|null} - { date, precision ('day', 'month' or 'year') }, or null if there is no date
+ */
+export function parseDateText(text) {
+  const value = String(text || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  // ISO 8601, a time without a zone is taken as UTC rather than the machine's time zone
+  const iso = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (iso) {
+    const [, year, month, day, hour, minute, second, zone] = iso;
+    if (zone) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : { date, precision: 'day' };
+    }
+    const date = buildUtcDate({
+      year: Number(year),
+      month: Number(month || 1),
+      day: Number(day || 1),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0)
+    });
+    return date ? { date, precision: day ? 'day' : month ? 'month' : 'year' } : null;
+  }
+
+  const { time, offset, text: timeText } = readTime(value);
+  // Leave the time out so its numbers aren't taken for a day
+  const withoutTime = timeText ? value.replace(timeText, ' ') : value;
+  // The parts are read as UTC, a time zone moves the result to the moment it means
+  const toResult = (date, precision) => (date ? { date: new Date(date.getTime() - offset * 60000), precision } : null);
+
+  // Numeric dates: 2024/03/12, 12.03.2024, 12-03-2024, 03/12/2024
+  const yearFirst = withoutTime.match(/\b(\d{4})[./-](\d{1,2})[./-](\d{1,2})\b/);
+  if (yearFirst) {
+    return toResult(buildUtcDate({ year: Number(yearFirst[1]), month: Number(yearFirst[2]), day: Number(yearFirst[3]), ...time }), 'day');
+  }
+  const numeric = withoutTime.match(/\b(\d{1,2})([./-])(\d{1,2})\2(\d{4}|\d{2})\b/);
+  if (numeric) {
+    const [, first, separator, second, year] = numeric;
+    const monthFirst = separator === '/' && Number(first) <= 12;
+    return toResult(buildUtcDate({
+      year: year.length === 2 ? 2000 + Number(year) : Number(year),
+      month: Number(monthFirst ? first : second),
+      day: Number(monthFirst ? second : first),
+      ...time
+    }), 'day');
+  }
+
+  // Written dates: a month name next to its day or a four digit year
+  const written = readWrittenDate(withoutTime.match(/[^\s\d.,/-]+\.?|\d+(?:st|nd|rd|th|er|e|º|°)?\.?/gi) || []);
+  if (!written) {
+    return null;
+  }
+  const { year, month, day } = written;
+  if (day) {
+    return toResult(buildUtcDate({ year, month, day, ...time }), 'day');
+  }
+  // Without a day a time means nothing
+  const date = buildUtcDate({ year, month });
+  return date ? { date, precision: 'month' } : null;
+}
+
+/**
+ * Parse a date with an explicit format such as "DD.MM.YYYY" or "MMMM D, YYYY"
+ * Without a format the text is read with parseDateText(). Dates are read as UTC, and
+ * month names can be in any of the languages parseDateText() knows.
+ * @param {string} text - Text containing the date, which doesn't have to be the whole text
+ * @param {string} [format] - Format using YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, H, mm and ss
+ * @returns {Date|null} - Parsed date, or null if the text doesn't match
+ */
+export function parseDate(text, format) {
+  if (!text) {
+    return null;
+  }
+
+  if (!format) {
+    const parsed = parseDateText(text);
+    return parsed ? parsed.date : null;
+  }
+
+  const parts = [];
+  const pattern = format
+    .split(/(YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss)/)
+    .map(piece => {
+      const token = DATE_TOKENS[piece];
+      if (token) {
+        parts.push(token.part);
+        return token.pattern;
+      }
+      return piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    })
+    .join('');
+
+  const match = text.match(new RegExp(pattern, 'i'));
+  if (!match) {
+    return null;
+  }
+
+  const values = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+  parts.forEach((part, index) => {
+    const value = match[index + 1];
+    if (part === 'monthName') {
+      values.month = getMonthNumber(value);
+    } else if (part === 'shortYear') {
+      values.year = 2000 + Number(value);
+    } else {
+      values[part] = Number(value);
+    }
+  });
+
+  return buildUtcDate(values);
+}
+
+/**
+ * Take the first date that can be read from a list of candidates, most reliable first
+ * @param {Array<Array>} candidates - [dateSource, text] pairs, e.g. ['rss:pubDate', 'Tue, 12 Mar 2024 10:00:00 +0100']
+ * @returns {Object} - { date (Date or null), datePrecision, dateSource } of the first readable candidate
+ */
+export function pickDate(candidates) {
+  for (const [source, text] of candidates) {
+    const parsed = text ? parseDateText(String(text)) : null;
+    if (parsed) {
+      return { date: parsed.date, datePrecision: parsed.precision, dateSource: source };
+    }
+  }
+
+  return { date: null, datePrecision: undefined, dateSource: undefined };
+}
+
+/**
+ * Read the release date of a Bandcamp album or track page
+ * Looks in the places Bandcamp puts it, most reliable first: the ld+json data, the
+ * tralbum data, the "released ..." line in the credits, the about section, the
+ * datePublished meta tag, and finally any "released ..." text on the page.
+ * @param {Function} $ - Cheerio instance loaded with the album page HTML
+ * @param {Object} [tralbum] - The page's tralbum data, if it was already read
+ * @returns {Object} - { date (ISO string or null), datePrecision, dateSource (e.g. "bandcamp:ld+json") }
+ */
+export function extractBandcampDate($, tralbum = null) {
+  const candidates = [];
+
+  $('script[type="application/ld+json"]').each((_, script) => {
+    try {
+      const data = JSON.parse($(script).html());
+      candidates.push(['ld+json', data && data.datePublished]);
+    } catch (e) {
+      // Not every script tag holds valid JSON
+    }
+  });
+
+  const current = tralbum && tralbum.current;
+  candidates.push(['tralbum', (current && current.release_date) || (tralbum && tralbum.album_release_date)]);
+
+  const releasedLine = /released\s+([^\n]{0,40}?\d{4})/i;
+  const credits = $('.tralbumData.tralbum-credits').text().match(releasedLine);
+  candidates.push(['credits', credits && credits[1]]);
+  candidates.push(['about', $('.tralbumData.tralbum-about-release-date').text()]);
+  candidates.push(['meta', $('meta[itemprop="datePublished"]').attr('content')]);
+  const pageText = $('body').text().match(releasedLine);
+  candidates.push(['page-text', pageText && pageText[1]]);
+
+  const found = pickDate(candidates.map(([source, text]) => [`bandcamp:${source}`, text]));
+  return { ...found, date: found.date ? found.date.toISOString() : null };
+}
@@ -0,0 +1,188 @@
+/*
+ * Release identity
+ *
+ * The same album often turns up more than once: on the label page and the artist
+ * page, on two labels, in several fans' collections. Releases are the same when they
+ * share a source id (e.g. "bandcamp:album-123", set by the scrapers that know one) or
+ * their canonical URL. Duplicates are combined into one release that remembers every
+ * config entry that listed it ("listedBy") and every fan that picked it up ("curators").
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|from|si|ref|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+/**
+ * Normalize a release URL so different links to the same page compare equal
+ * Drops the scheme, "www.", tracking parameters, the fragment and a trailing slash.
+ * @param {string} url - Release URL
+ * @returns {string} - Canonical URL, or the URL as is if it can't be parsed
+ */
+export function canonicalReleaseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return String(url || '');
+  }
+
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(name)) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  parsed.searchParams.sort();
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const search = parsed.searchParams.toString();
+
+  return `${host}${parsed.port ? `:${parsed.port}` : ''}${pathname}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Get the keys a release can be recognised by
+ * @param {Object} release - Release object
+ * @returns {Array<string>} - Keys, the source id (if any) and the canonical URL
+ */
+export function getReleaseKeys(release) {
+  const keys = [];
+  if (release.sourceId) {
+    keys.push(`id:${release.sourceId}`);
+  }
+  if (release.url) {
+    keys.push(`url:${canonicalReleaseUrl(release.url)}`);
+  }
+  return keys;
+}
+
+/**
+ * Get the id a release's feed items are published under
+ * Built from the release's first key the first time, and stored on the release as "guid"
+ * from then on (see mergeReleases()), so it stays the same when a source id turns up later
+ * or the release is seen again through a different link. A reader never shows it twice.
+ * @param {Object} release - Release object
+ * @returns {string|null} - URN such as "urn:artist-rss:id:bandcamp:album-123", null if the release has no key
+ */
+export function getReleaseGuid(release) {
+  if (release.guid) {
+    return release.guid;
+  }
+  const [key] = getReleaseKeys(release);
+  if (!key) {
+    return null;
+  }
+  // Percent-encode everything but the separators, so the id is a valid URN in every format
+  return `urn:artist-rss:${encodeURIComponent(key).replace(/%3A/gi, ':').replace(/%2F/gi, '/')}`;
+}
+
+/**
+ * Combine two lists of { name, url, ... } credits, leaving out entries already in the first
+ * @param {Array<Object>} [existing] - Credits already known
+ * @param {Array<Object>} [added] - Credits to add
+ * @param {Function} sameCredit - Tells whether two credits are the same
+ * @returns {Array<Object>|undefined} - Combined credits, undefined if neither list has any
+ */
+function mergeCredits(existing, added, sameCredit) {
+  if (!existing && !added) {
+    return undefined;
+  }
+
+  const credits = [...(existing || [])];
+  for (const credit of added || []) {
+    if (!credits.some(known => sameCredit(known, credit))) {
+      credits.push(credit);
+    }
+  }
+  return credits;
+}
+
+/**
+ * Combine two lists of fans that collected or wishlisted a release
+ * @param {Array<Object>} [existing] - Curators already known ({ name, url, list })
+ * @param {Array<Object>} [added] - Curators to add
+ * @returns {Array<Object>|undefined} - Curators without duplicates, undefined if neither list has any
+ */
+export function mergeCurators(existing, added) {
+  return mergeCredits(existing, added, (a, b) => a.url === b.url && a.list === b.list);
+}
+
+/**
+ * Combine two lists of config entries that listed a release
+ * @param {Array<Object>} [existing] - Entries already known ({ name, url })
+ * @param {Array<Object>} [added] - Entries to add
+ * @returns {Array<Object>|undefined} - Entries without duplicates, undefined if neither list has any
+ */
+export function mergeListedBy(existing, added) {
+  return mergeCredits(existing, added, (a, b) => a.url === b.url);
+}
+
+/**
+ * Merge a duplicate into a release
+ * The first release's details win, the duplicate fills in what's missing. Credits are
+ * combined, the earliest date is kept, and the release only stays upcoming if both say so.
+ * @param {Object} release - Release to merge into (changed in place)
+ * @param {Object} duplicate - The same release from somewhere else
+ * @returns {Object} - The merged release
+ */
+export function mergeDuplicate(release, duplicate) {
+  for (const field of ['guid', 'sourceId', 'image', 'description', 'metadata', 'artist', 'datePrecision']) {
+    if (!release[field] && duplicate[field]) {
+      release[field] = duplicate[field];
+    }
+  }
+
+  const listedBy = mergeListedBy(release.listedBy, duplicate.listedBy);
+  if (listedBy) {
+    release.listedBy = listedBy;
+  }
+  const curators = mergeCurators(release.curators, duplicate.curators);
+  if (curators) {
+    release.curators = curators;
+  }
+
+  if (duplicate.date && (!release.date || new Date(duplicate.date) < new Date(release.date))) {
+    release.date = duplicate.date;
+    release.datePrecision = duplicate.datePrecision;
+    release.dateSource = duplicate.dateSource;
+  }
+  if (release.upcoming && !duplicate.upcoming) {
+    release.upcoming = false;
+  }
+
+  return release;
+}
+
+/**
+ * Combine releases that are the same album into one
+ * @param {Array<Object>} releases - Releases, in order of preference
+ * @param {Function} [onDuplicate] - Called with (release, duplicate) for every duplicate found
+ * @returns {Array<Object>} - Combined releases (copies, the input isn't changed), in first-seen order
+ */
+export function combineReleases(releases, onDuplicate = null) {
+  const byKey = new Map();
+  const combined = [];
+
+  for (const release of releases) {
+    const keys = getReleaseKeys(release);
+    const previous = keys.map(key => byKey.get(key)).find(Boolean);
+
+    if (!previous) {
+      const copy = { ...release };
+      combined.push(copy);
+      keys.forEach(key => byKey.set(key, copy));
+      continue;
+    }
+
+    if (onDuplicate) {
+      onDuplicate(previous, release);
+    }
+    mergeDuplicate(previous, release);
+
+    // The duplicate's URL (or a source id the first one didn't have) now leads here too
+    for (const key of keys.concat(getReleaseKeys(previous))) {
+      byKey.set(key, previous);
+    }
+  }
+
+  return combined;
+}
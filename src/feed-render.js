@@ -0,0 +1,223 @@
+import path from 'path';
+
+/*
+ * Feed documents
+ *
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 are written here from the same feed data: a Feed
+ * from the feed package, which holds the channel options and the items. Every value
+ * goes in as plain text and is escaped in exactly one place, escapeXml() for each XML
+ * text node and attribute, and JSON.stringify() for JSON Feed. Item descriptions are
+ * HTML, and are escaped like any other text, which is how RSS and Atom's type="html"
+ * carry markup.
+ *
+ * Items are { title, id, link, description, date, published, author: [{ name, link }],
+ * category: [{ name, term }], image: { url } }, see createFeedItem() in index.js.
+ */
+
+// Indentation per nesting level of the XML documents
+const INDENT = '    ';
+
+// Image types by file extension, for enclosures
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+/**
+ * Escape text for an XML text node or a quoted attribute value
+ * @param {*} text - Value, converted to a string
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Create an XML element
+ * @param {string} name - Element name
+ * @param {Object} [attributes] - Attribute values, null and undefined ones are left out
+ * @param {string|Array} [content] - Text, or child elements (nested lists and nulls are fine)
+ * @returns {Object} - Element for serializeElement()
+ */
+function element(name, attributes = {}, content = []) {
+  return { name, attributes, content: Array.isArray(content) ? content.flat(Infinity).filter(Boolean) : String(content) };
+}
+
+/**
+ * Create an element holding text, or nothing if there is no text
+ * @param {string} name - Element name
+ * @param {*} text - Value
+ * @param {Object} [attributes] - Attribute values
+ * @returns {Object|null} - Element, or null for an empty value
+ */
+function textElement(name, text, attributes = {}) {
+  return text === undefined || text === null || text === '' ? null : element(name, attributes, String(text));
+}
+
+/**
+ * Write an element and its children, one element per line
+ * @param {Object} node - Element from element()
+ * @param {number} depth - Nesting level
+ * @returns {string} - XML
+ */
+function serializeElement(node, depth) {
+  const indent = INDENT.repeat(depth);
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+  if (typeof node.content === 'string') {
+    return `${indent}<${node.name}${attributes}>${escapeXml(node.content)}</${node.name}>`;
+  }
+  if (node.content.length === 0) {
+    return `${indent}<${node.name}${attributes}/>`;
+  }
+  const children = node.content.map(child => serializeElement(child, depth + 1)).join('\n');
+  return `${indent}<${node.name}${attributes}>\n${children}\n${indent}</${node.name}>`;
+}
+
+/**
+ * Write an XML document
+ * @param {Object} root - Root element
+ * @returns {string} - XML document
+ */
+function serializeDocument(root) {
+  return `<?xml version="1.0" encoding="utf-8"?>\n${serializeElement(root, 0)}\n`;
+}
+
+/**
+ * Guess the MIME type of an image from its URL
+ * @param {string} imageUrl - Image URL
+ * @returns {string} - MIME type, image/jpeg if the URL doesn't say (most cover art is)
+ */
+function getImageMimeType(imageUrl) {
+  const extension = path.posix.extname(new URL(imageUrl).pathname).slice(1).toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+}
+
+/**
+ * Get the names of an item's categories
+ * @param {Object} item - Feed item
+ * @returns {Array<string>} - Category names
+ */
+function getCategoryNames(item) {
+  return (item.category || []).map(category => category.term || category.name).filter(Boolean);
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * A guid is only a permalink when it's the item's own link, our release ids aren't.
+ * @param {Feed} feed - Feed instance with items added
+ * @returns {string} - RSS document
+ */
+export function renderRssFeed(feed) {
+  const { options } = feed;
+  const selfLink = options.feedLinks && options.feedLinks.rss;
+
+  const items = feed.items.map(item => element('item', {}, [
+    textElement('title', item.title),
+    textElement('link', item.link),
+    textElement('guid', item.id || item.link, { isPermaLink: (item.id || item.link) === item.link ? 'true' : 'false' }),
+    textElement('pubDate', (item.published || item.date).toUTCString()),
+    textElement('description', item.description),
+    getCategoryNames(item).map(name => textElement('category', name)),
+    item.image ? element('enclosure', { url: item.image.url, length: 0, type: getImageMimeType(item.image.url) }) : null
+  ]));
+
+  return serializeDocument(element('rss', { version: '2.0', 'xmlns:atom': 'http://www.w3.org/2005/Atom' }, [
+    element('channel', {}, [
+      textElement('title', options.title),
+      textElement('link', options.link),
+      // An empty description is still required
+      element('description', {}, options.description || ''),
+      textElement('lastBuildDate', (options.updated || new Date()).toUTCString()),
+      textElement('docs', 'https://www.rssboard.org/rss-specification'),
+      textElement('generator', options.generator),
+      textElement('language', options.language),
+      textElement('copyright', options.copyright),
+      selfLink ? element('atom:link', { href: selfLink, rel: 'self', type: 'application/rss+xml' }) : null,
+      items
+    ])
+  ]));
+}
+
+/**
+ * Render an Atom author
+ * @param {Object} author - { name, link }
+ * @returns {Object} - Element
+ */
+function atomAuthor(author) {
+  return element('author', {}, [textElement('name', author.name), textElement('uri', author.link)]);
+}
+
+/**
+ * Render a feed as Atom 1.0
+ * @param {Feed} feed - Feed instance with items added
+ * @returns {string} - Atom document
+ */
+export function renderAtomFeed(feed) {
+  const { options } = feed;
+  const selfLink = options.feedLinks && options.feedLinks.atom;
+
+  const entries = feed.items.map(item => element('entry', {}, [
+    textElement('title', item.title, { type: 'text' }),
+    textElement('id', item.id || item.link),
+    element('link', { rel: 'alternate', href: item.link }),
+    textElement('updated', item.date.toISOString()),
+    textElement('published', item.published && item.published.toISOString()),
+    textElement('summary', item.description, { type: 'html' }),
+    (item.author || []).map(atomAuthor),
+    (item.category || []).map(category => element('category', { term: category.term || category.name, label: category.name })),
+    item.image ? element('link', { rel: 'enclosure', type: getImageMimeType(item.image.url), href: item.image.url }) : null
+  ]));
+
+  return serializeDocument(element('feed', { xmlns: 'http://www.w3.org/2005/Atom', 'xml:lang': options.language }, [
+    textElement('id', options.id),
+    textElement('title', options.title, { type: 'text' }),
+    textElement('updated', (options.updated || new Date()).toISOString()),
+    textElement('generator', options.generator),
+    element('link', { rel: 'alternate', href: options.link }),
+    selfLink ? element('link', { rel: 'self', href: selfLink }) : null,
+    textElement('subtitle', options.description),
+    textElement('rights', options.copyright),
+    options.author ? atomAuthor(options.author) : null,
+    entries
+  ]));
+}
+
+/**
+ * Render a feed as JSON Feed 1.1
+ * @param {Feed} feed - Feed instance with items added
+ * @returns {string} - JSON Feed document
+ */
+export function renderJsonFeed(feed) {
+  const { options } = feed;
+  const jsonAuthor = author => ({ name: author.name, url: author.link || undefined });
+
+  const jsonFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: options.title,
+    home_page_url: options.link,
+    feed_url: (options.feedLinks && options.feedLinks.json) || undefined,
+    description: options.description,
+    language: options.language,
+    authors: options.author ? [jsonAuthor(options.author)] : undefined,
+    items: feed.items.map(item => ({
+      id: item.id || item.link,
+      url: item.link,
+      title: item.title,
+      content_html: item.description || '',
+      summary: item.description || undefined,
+      image: item.image ? item.image.url : undefined,
+      date_published: (item.published || item.date).toISOString(),
+      date_modified: item.date.toISOString(),
+      authors: item.author && item.author.length > 0 ? item.author.map(jsonAuthor) : undefined,
+      tags: item.category && item.category.length > 0 ? getCategoryNames(item) : undefined
+    }))
+  };
+
+  return JSON.stringify(jsonFeed, null, 4);
+}
@@ -0,0 +1,315 @@
+import * as cheerio from 'cheerio';
+
+/*
+ * Feed document validation
+ *
+ * Every feed document is checked before it's written, so a release with odd characters
+ * in its title can't publish a feed that readers refuse to load. The checks cover what
+ * readers trip over: the XML must be well-formed, and each format must have the elements
+ * its spec requires, with absolute links, valid dates and unique item ids.
+ *
+ *   RSS 2.0        https://www.rssboard.org/rss-specification
+ *   Atom 1.0       RFC 4287
+ *   JSON Feed 1.1  https://www.jsonfeed.org/version/1.1/
+ */
+
+// Markup, comments, processing instructions, tags, text, or a "<" that starts none of them
+const XML_TOKEN = /<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|[^<]+|</g;
+
+// An "&" that doesn't start a character or predefined entity reference
+const BARE_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+// RFC 822 date as RSS uses it, e.g. "Tue, 02 Jan 2024 10:00:00 GMT"
+const RFC822_DATE = /^(?:[A-Z][a-z]{2}, )?\d{1,2} [A-Z][a-z]{2} \d{2,4} \d{2}:\d{2}(?::\d{2})? (?:[A-Z]{1,3}|[+-]\d{4})$/;
+
+// RFC 3339 date as Atom and JSON Feed use it, e.g. "2024-01-02T10:00:00.000Z"
+const RFC3339_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+// Any IRI starts with a scheme, e.g. "https:" or "urn:"
+const IRI_SCHEME = /^[A-Za-z][A-Za-z0-9+.-]*:\S+$/;
+
+/**
+ * Check whether a link is an absolute http(s) URL
+ * @param {string} url - Link
+ * @returns {boolean}
+ */
+function isAbsoluteUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check that a document is well-formed XML
+ * @param {string} xml - XML document
+ * @returns {Array<string>} - Problems, with the line they're on
+ */
+export function checkXmlWellFormed(xml) {
+  const problems = [];
+  const open = [];
+  let roots = 0;
+
+  // Only worked out for problems, counting lines for every token makes big feeds slow
+  const lineAt = offset => xml.slice(0, offset).split('\n').length;
+
+  for (const match of xml.matchAll(XML_TOKEN)) {
+    const [token, closing, name, attributes, selfClosing] = match;
+    const line = () => lineAt(match.index);
+
+    if (token === '<') {
+      problems.push(`line ${line()}: "<" that doesn't start a tag, it should be escaped`);
+    } else if (name) {
+      if (BARE_AMPERSAND.test(attributes)) {
+        problems.push(`line ${line()}: unescaped "&" in an attribute of <${name}>`);
+      }
+      if (closing) {
+        const expected = open.pop();
+        if (expected !== name) {
+          problems.push(`line ${line()}: </${name}> doesn't close ${expected ? `<${expected}>` : 'any element'}`);
+          break;
+        }
+      } else if (!selfClosing) {
+        roots += open.length === 0 ? 1 : 0;
+        open.push(name);
+      } else {
+        roots += open.length === 0 ? 1 : 0;
+      }
+    } else if (!token.startsWith('<')) {
+      if (open.length === 0 && token.trim()) {
+        problems.push(`line ${line()}: text outside the root element`);
+      } else if (BARE_AMPERSAND.test(token)) {
+        problems.push(`line ${line()}: unescaped "&" in text`);
+      }
+    }
+  }
+
+  if (open.length > 0 && problems.length === 0) {
+    problems.push(`<${open[open.length - 1]}> is never closed`);
+  }
+  if (roots !== 1) {
+    problems.push(`the document must have exactly one root element, found ${roots}`);
+  }
+  return problems;
+}
+
+/**
+ * Check the elements an RSS 2.0 document must have
+ * @param {Function} $ - Cheerio document
+ * @returns {Array<string>} - Problems
+ */
+function checkRss($) {
+  const problems = [];
+  const rss = $.root().children('rss');
+  if (rss.length !== 1 || rss.attr('version') !== '2.0') {
+    return ['the root element must be <rss version="2.0">'];
+  }
+
+  const channel = rss.children('channel');
+  if (channel.length !== 1) {
+    return ['<rss> must have exactly one <channel>'];
+  }
+
+  for (const name of ['title', 'link', 'description']) {
+    if (channel.children(name).length !== 1) {
+      problems.push(`the channel has no <${name}>`);
+    }
+  }
+  if (channel.children('link').length === 1 && !isAbsoluteUrl(channel.children('link').text())) {
+    problems.push(`the channel <link> must be an absolute URL, got "${channel.children('link').text()}"`);
+  }
+  for (const name of ['pubDate', 'lastBuildDate']) {
+    const date = channel.children(name);
+    if (date.length && !RFC822_DATE.test(date.text())) {
+      problems.push(`the channel <${name}> must be an RFC 822 date, got "${date.text()}"`);
+    }
+  }
+  channel.children('atom\\:link').each((index, element) => {
+    if (!isAbsoluteUrl($(element).attr('href'))) {
+      problems.push(`<atom:link rel="${$(element).attr('rel')}"> must have an absolute href`);
+    }
+  });
+
+  const guids = new Set();
+  channel.children('item').each((index, element) => {
+    const item = $(element);
+    const where = `item ${index + 1}`;
+
+    if (!item.children('title').text() && !item.children('description').text()) {
+      problems.push(`${where} needs a <title> or a <description>`);
+    }
+    if (item.children('link').length && !isAbsoluteUrl(item.children('link').text())) {
+      problems.push(`${where}: <link> must be an absolute URL, got "${item.children('link').text()}"`);
+    }
+    if (item.children('pubDate').length && !RFC822_DATE.test(item.children('pubDate').text())) {
+      problems.push(`${where}: <pubDate> must be an RFC 822 date, got "${item.children('pubDate').text()}"`);
+    }
+
+    const guid = item.children('guid');
+    if (guid.length) {
+      const isPermaLink = guid.attr('isPermaLink');
+      if (isPermaLink !== undefined && !['true', 'false'].includes(isPermaLink)) {
+        problems.push(`${where}: isPermaLink must be "true" or "false", got "${isPermaLink}"`);
+      } else if (isPermaLink !== 'false' && !isAbsoluteUrl(guid.text())) {
+        problems.push(`${where}: <guid> "${guid.text()}" isn't a URL, it needs isPermaLink="false"`);
+      }
+      if (guids.has(guid.text())) {
+        problems.push(`${where}: <guid> "${guid.text()}" is used by another item`);
+      }
+      guids.add(guid.text());
+    }
+
+    item.children('enclosure').each((enclosureIndex, enclosure) => {
+      const { url, length, type } = enclosure.attribs;
+      if (!isAbsoluteUrl(url) || !/^\d+$/.test(length || '') || !/^[\w.+-]+\/[\w.+-]+$/.test(type || '')) {
+        problems.push(`${where}: <enclosure> needs an absolute url, a length and a MIME type`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Check the elements an Atom 1.0 document must have
+ * @param {Function} $ - Cheerio document
+ * @returns {Array<string>} - Problems
+ */
+function checkAtom($) {
+  const problems = [];
+  const feed = $.root().children('feed');
+  if (feed.length !== 1 || feed.attr('xmlns') !== 'http://www.w3.org/2005/Atom') {
+    return ['the root element must be <feed xmlns="http://www.w3.org/2005/Atom">'];
+  }
+
+  const checkRequired = (element, where) => {
+    for (const name of ['id', 'title', 'updated']) {
+      if (element.children(name).length !== 1) {
+        problems.push(`${where} must have one <${name}>`);
+      }
+    }
+    const id = element.children('id').text();
+    if (id && !IRI_SCHEME.test(id)) {
+      problems.push(`${where}: <id> must be an IRI, got "${id}"`);
+    }
+    for (const name of ['updated', 'published']) {
+      const date = element.children(name);
+      if (date.length && !RFC3339_DATE.test(date.text())) {
+        problems.push(`${where}: <${name}> must be an RFC 3339 date, got "${date.text()}"`);
+      }
+    }
+    element.children('link').each((index, link) => {
+      if (!IRI_SCHEME.test(link.attribs.href || '')) {
+        problems.push(`${where}: <link> must have an absolute href, got "${link.attribs.href || ''}"`);
+      }
+    });
+  };
+
+  checkRequired(feed, 'the feed');
+  const feedHasAuthor = feed.children('author').children('name').length > 0;
+
+  const ids = new Set();
+  feed.children('entry').each((index, element) => {
+    const entry = $(element);
+    const where = `entry ${index + 1}`;
+    checkRequired(entry, where);
+
+    if (!feedHasAuthor && entry.children('author').children('name').length === 0) {
+      problems.push(`${where} needs an <author> with a <name>, the feed doesn't have one`);
+    }
+    entry.children('category').each((categoryIndex, category) => {
+      if (!category.attribs.term) {
+        problems.push(`${where}: <category> must have a term`);
+      }
+    });
+    const id = entry.children('id').text();
+    if (ids.has(id)) {
+      problems.push(`${where}: <id> "${id}" is used by another entry`);
+    }
+    ids.add(id);
+  });
+
+  return problems;
+}
+
+/**
+ * Check the fields a JSON Feed 1.1 document must have
+ * @param {string} json - JSON Feed document
+ * @returns {Array<string>} - Problems
+ */
+function checkJsonFeed(json) {
+  let feed;
+  try {
+    feed = JSON.parse(json);
+  } catch (error) {
+    return [`invalid JSON: ${error.message}`];
+  }
+
+  const problems = [];
+  if (feed.version !== 'https://jsonfeed.org/version/1.1') {
+    problems.push(`"version" must be https://jsonfeed.org/version/1.1, got "${feed.version}"`);
+  }
+  if (typeof feed.title !== 'string' || !feed.title) {
+    problems.push('"title" is required');
+  }
+  for (const key of ['home_page_url', 'feed_url']) {
+    if (feed[key] !== undefined && !isAbsoluteUrl(feed[key])) {
+      problems.push(`"${key}" must be an absolute URL, got "${feed[key]}"`);
+    }
+  }
+  if (!Array.isArray(feed.items)) {
+    return problems.concat('"items" must be an array');
+  }
+
+  const ids = new Set();
+  feed.items.forEach((item, index) => {
+    const where = `item ${index + 1}`;
+    if (typeof item.id !== 'string' || !item.id) {
+      problems.push(`${where}: "id" must be a non-empty string`);
+    } else if (ids.has(item.id)) {
+      problems.push(`${where}: "id" "${item.id}" is used by another item`);
+    }
+    ids.add(item.id);
+
+    if (typeof item.content_html !== 'string' && typeof item.content_text !== 'string') {
+      problems.push(`${where} needs "content_html" or "content_text"`);
+    }
+    for (const key of ['url', 'image']) {
+      if (item[key] !== undefined && !isAbsoluteUrl(item[key])) {
+        problems.push(`${where}: "${key}" must be an absolute URL, got "${item[key]}"`);
+      }
+    }
+    for (const key of ['date_published', 'date_modified']) {
+      if (item[key] !== undefined && !RFC3339_DATE.test(item[key])) {
+        problems.push(`${where}: "${key}" must be an RFC 3339 date, got "${item[key]}"`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a feed document against its format's spec
+ * @param {string} document - Feed document
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @returns {Array<string>} - Problems, empty if the document is valid
+ */
+export function validateFeedDocument(document, format) {
+  if (format === 'json') {
+    return checkJsonFeed(document);
+  }
+  if (format !== 'rss' && format !== 'atom') {
+    throw new Error(`Unknown feed format: ${format}`);
+  }
+
+  // The structure can only be checked in a document that parses
+  const problems = checkXmlWellFormed(document);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const $ = cheerio.load(document, { xmlMode: true });
+  return format === 'rss' ? checkRss($) : checkAtom($);
+}
@@ -0,0 +1,168 @@
+/*
+ * Release filters
+ *
+ * Feeds and artists can narrow down what ends up in a feed with a "filters" block:
+ *
+ *   "filters": {
+ *     "includeTitle": "remix",           // Title must match (a regex, or a list of them)
+ *     "excludeTitle": ["live", "edit$"], // Title must not match any of these
+ *     "types": ["album", "ep"],          // Only these release types
+ *     "excludeTypes": ["track"],
+ *     "tags": ["techno", "electro"],     // At least one of these tags
+ *     "excludeTags": ["ambient"],
+ *     "minTracks": 3,
+ *     "minRuntime": 20,                  // Minutes
+ *     "maxAgeDays": 90,
+ *     "excludeReissues": true            // Or a list of keywords to use instead of the default ones
+ *   }
+ *
+ * An artist's filters are combined with the feed's, settings on the artist win. Regexes
+ * and tags are case-insensitive. Releases that don't say what type, tags, tracks or runtime
+ * they have (e.g. from a plain RSS feed) aren't dropped by those filters.
+ */
+
+// Title keywords that mark a reissue when "excludeReissues" is true
+export const DEFAULT_REISSUE_KEYWORDS = ['reissue', 're-issue', 'remaster', 'remastered', 're-master', 'repress', 're-press'];
+
+/**
+ * Combine feed and artist filters, the artist's settings replacing the feed's
+ * @param {Object} [feedFilters] - The feed's "filters"
+ * @param {Object} [artistFilters] - The artist's "filters"
+ * @returns {Object|null} - Combined filters, or null if neither has any
+ */
+export function resolveFilters(feedFilters, artistFilters) {
+  if (!feedFilters && !artistFilters) {
+    return null;
+  }
+  return { ...(feedFilters || {}), ...(artistFilters || {}) };
+}
+
+/**
+ * Turn a regex setting into RegExp objects
+ * @param {string|Array<string>} patterns - One pattern or a list of them
+ * @param {string} name - Setting name, for the error message
+ * @returns {Array<RegExp>} - Case-insensitive regexes
+ */
+function compilePatterns(patterns, name) {
+  return [].concat(patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`"${name}" has an invalid regex ${JSON.stringify(pattern)}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Check filters and prepare them for matching
+ * @param {Object} filters - Filters from resolveFilters()
+ * @returns {Object} - Compiled filters for applyFilters()
+ * @throws {Error} - If a regex doesn't compile
+ */
+export function compileFilters(filters) {
+  const lower = list => (list || []).map(item => String(item).toLowerCase());
+  const reissueKeywords = filters.excludeReissues === true ? DEFAULT_REISSUE_KEYWORDS :
+                          Array.isArray(filters.excludeReissues) ? filters.excludeReissues :
+                          [];
+
+  return {
+    includeTitle: compilePatterns(filters.includeTitle, 'includeTitle'),
+    excludeTitle: compilePatterns(filters.excludeTitle, 'excludeTitle'),
+    types: lower(filters.types),
+    excludeTypes: lower(filters.excludeTypes),
+    tags: lower(filters.tags),
+    excludeTags: lower(filters.excludeTags),
+    minTracks: filters.minTracks || 0,
+    minRuntime: filters.minRuntime ? filters.minRuntime * 60 : 0,
+    maxAgeDays: filters.maxAgeDays || 0,
+    // Whole words only, so a title like "Repressed Memories" isn't taken for a repress
+    reissue: reissueKeywords.length > 0 ?
+             new RegExp(`\\b(${reissueKeywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'i') :
+             null
+  };
+}
+
+/**
+ * Find the first filter a release fails
+ * @param {Object} release - Release object
+ * @param {Object} filters - Compiled filters from compileFilters()
+ * @param {Date} now - Current time, for the age filter
+ * @returns {string|null} - Name of the filter that drops the release, or null to keep it
+ */
+export function getFilterReason(release, filters, now = new Date()) {
+  const title = release.title || '';
+  const metadata = release.metadata || {};
+  const type = metadata.type ? String(metadata.type).toLowerCase() : null;
+  const tags = Array.isArray(metadata.tags) ? metadata.tags.map(tag => String(tag).toLowerCase()) : null;
+  const trackCount = Array.isArray(metadata.tracks) && metadata.tracks.length > 0 ? metadata.tracks.length : null;
+
+  if (filters.includeTitle.length > 0 && !filters.includeTitle.some(pattern => pattern.test(title))) {
+    return 'includeTitle';
+  }
+  if (filters.excludeTitle.some(pattern => pattern.test(title))) {
+    return 'excludeTitle';
+  }
+  if (type && filters.types.length > 0 && !filters.types.includes(type)) {
+    return 'types';
+  }
+  if (type && filters.excludeTypes.includes(type)) {
+    return 'excludeTypes';
+  }
+  if (tags && tags.length > 0 && filters.tags.length > 0 && !filters.tags.some(tag => tags.includes(tag))) {
+    return 'tags';
+  }
+  if (tags && filters.excludeTags.some(tag => tags.includes(tag))) {
+    return 'excludeTags';
+  }
+  if (filters.minTracks && trackCount !== null && trackCount < filters.minTracks) {
+    return 'minTracks';
+  }
+  if (filters.minRuntime && metadata.runtime && metadata.runtime < filters.minRuntime) {
+    return 'minRuntime';
+  }
+  // Undated releases are dated when first seen, which is now
+  if (filters.maxAgeDays && release.date && now - new Date(release.date) > filters.maxAgeDays * 24 * 60 * 60 * 1000) {
+    return 'maxAgeDays';
+  }
+  if (filters.reissue && filters.reissue.test(title)) {
+    return 'excludeReissues';
+  }
+
+  return null;
+}
+
+/**
+ * Drop the releases that don't pass the filters
+ * @param {Array<Object>} releases - Releases to filter
+ * @param {Object|null} filters - Compiled filters, or null to keep everything
+ * @param {Date} [now] - Current time, for the age filter
+ * @returns {Object} - { kept, dropped (filter name -> number of releases it dropped) }
+ */
+export function applyFilters(releases, filters, now = new Date()) {
+  if (!filters) {
+    return { kept: releases, dropped: {} };
+  }
+
+  const kept = [];
+  const dropped = {};
+
+  for (const release of releases) {
+    const reason = getFilterReason(release, filters, now);
+    if (reason) {
+      dropped[reason] = (dropped[reason] || 0) + 1;
+    } else {
+      kept.push(release);
+    }
+  }
+
+  return { kept, dropped };
+}
+
+/**
+ * Describe what applyFilters() dropped, e.g. "2 by types, 1 by maxAgeDays"
+ * @param {Object} dropped - Counts from applyFilters()
+ * @returns {string} - Description, or an empty string if nothing was dropped
+ */
+export function describeDropped(dropped) {
+  return Object.entries(dropped).map(([reason, count]) => `${count} by ${reason}`).join(', ');
+}
@@ -0,0 +1,363 @@
+import * as cheerio from 'cheerio';
+import { log } from './log.js';
+import { parseDate, pickDate } from './dates.js';
+import { createScrapeResult, describeError } from './report.js';
+
+// Feed types we can read, as announced in <link rel="alternate"> tags
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json'];
+
+/**
+ * Read a value with a "selector@attribute" spec, relative to an element
+ * Without "@attribute" the default attribute is read, or the text if there is none.
+ * An empty selector ("@href") reads from the element itself.
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} element - Element to search in
+ * @param {string} spec - CSS selector, optionally followed by @attribute
+ * @param {string} [defaultAttribute] - Attribute to read when the spec doesn't name one
+ * @returns {string} - Trimmed value, or an empty string
+ */
+function readSelector($, element, spec, defaultAttribute) {
+  const [, selector, attribute = defaultAttribute] = spec.match(/^(.*?)(?:@([\w:-]+))?$/);
+  const target = selector.trim() ? $(element).find(selector.trim()).first() : $(element);
+
+  if (target.length === 0) {
+    return '';
+  }
+
+  return ((attribute ? target.attr(attribute) : target.text()) || '').trim();
+}
+
+/**
+ * Make a URL absolute against the page it was found on
+ * @param {string} value - URL from the page, possibly relative
+ * @param {string} baseUrl - Page URL
+ * @returns {string} - Absolute URL, or an empty string
+ */
+function resolveUrl(value, baseUrl) {
+  if (!value) {
+    return '';
+  }
+
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Turn HTML into a short plain-text description
+ * @param {string} html - HTML (or plain text)
+ * @returns {string} - Text, cut to 300 characters
+ */
+function toDescription(html) {
+  const text = cheerio.load(`<div>${html || ''}</div>`)('div').first().text().replace(/\s+/g, ' ').trim();
+  return text.length > 300 ? text.substring(0, 297) + '...' : text;
+}
+
+/**
+ * Keep releases up to maxReleases, skipping or flagging future ones
+ * @param {Array} releases - Releases in page order
+ * @param {number} maxReleases - Maximum number of releases to return
+ * @param {boolean} includeUpcoming - Keep future releases (flagged as upcoming) instead of skipping them
+ * @returns {Array} - Releases, newest first
+ */
+function selectReleases(releases, maxReleases, includeUpcoming) {
+  const now = new Date();
+  const selected = [];
+
+  for (const release of releases) {
+    if (selected.length >= maxReleases) {
+      break;
+    }
+
+    if (release.date && release.date > now) {
+      if (!includeUpcoming) {
+        log.debug(`Skipping future release: ${release.title} (Release date: ${release.date.toISOString()})`);
+        continue;
+      }
+      release.upcoming = true;
+    }
+
+    selected.push(release);
+  }
+
+  // Undated releases will be dated when they're first seen, so they sort as if released now
+  return selected.sort((a, b) => (b.date || now) - (a.date || now));
+}
+
+/**
+ * Scrape releases from any web page with CSS selectors
+ * Items without a readable date get date null, the feed's "undated" setting decides what happens to them.
+ * @param {string} url - Page URL
+ * @param {number} maxReleases - Maximum number of releases to return
+ * @param {Object} options - Scrape options
+ * @param {Object} options.selectors - { item, title, link, date, image, description }, see readSelector() for the syntax
+ * @param {string} [options.dateFormat] - Format of the date text, see parseDate() in src/dates.js
+ * @param {boolean} [options.includeUpcoming] - Keep future releases (flagged as upcoming) instead of skipping them
+ * @param {Object} options.http - Request scheduler
+ * @returns {Promise<Object>} - Scrape result: { releases, errors, warnings }, see src/report.js
+ */
+export async function scrapeWithSelectors(url, maxReleases = 2, options = {}) {
+  const { selectors, dateFormat, includeUpcoming = false, http } = options;
+  const result = createScrapeResult();
+
+  try {
+    if (!selectors || !selectors.item || !selectors.title) {
+      throw new Error('"selectors" needs at least an item and a title selector');
+    }
+
+    const { data } = await http.get(url);
+    const $ = cheerio.load(data);
+    const items = $(selectors.item).toArray();
+    log.info(`Found ${items.length} items matching "${selectors.item}" on ${url}, processing up to ${maxReleases}`);
+
+    const releases = [];
+    for (const item of items) {
+      const title = readSelector($, item, selectors.title);
+
+      // Without a link selector use the item itself if it's a link, otherwise its first link
+      const linkSpec = selectors.link || ($(item).is('a[href]') ? '@href' : 'a[href]@href');
+      const link = resolveUrl(readSelector($, item, linkSpec, 'href'), url);
+
+      if (!title || !link) {
+        log.debug(`Skipping item without a ${title ? 'link' : 'title'} on ${url}`);
+        continue;
+      }
+
+      // <time datetime="..."> is more reliable than whatever text it shows
+      let found = { date: null };
+      if (selectors.date) {
+        const datetime = !selectors.date.includes('@') && $(item).find(selectors.date).first().attr('datetime');
+        const dateText = datetime || readSelector($, item, selectors.date);
+        if (datetime) {
+          found = pickDate([['selector:datetime', datetime]]);
+        } else if (dateFormat) {
+          found = { date: parseDate(dateText, dateFormat), dateSource: 'selector:dateFormat' };
+        } else {
+          found = pickDate([['selector', dateText]]);
+        }
+        if (!found.date) {
+          log.info(`Couldn't read the date "${dateText}" for: ${title}`);
+          result.warnings.push({ type: 'parse', message: `Couldn't read the date "${dateText}" for ${title}`, url: link });
+        }
+      }
+
+      const image = selectors.image ?
+                    resolveUrl(readSelector($, item, selectors.image, 'src'), url) :
+                    resolveUrl($(item).find('img').first().attr('src'), url);
+
+      releases.push({
+        title,
+        url: link,
+        date: found.date,
+        datePrecision: found.date ? found.datePrecision : undefined,
+        dateSource: found.date ? found.dateSource : undefined,
+        image,
+        description: selectors.description ? toDescription(readSelector($, item, selectors.description)) : `New release on ${new URL(url).hostname}`
+      });
+    }
+
+    if (items.length === 0) {
+      result.warnings.push({ type: 'parse', message: `Nothing on the page matches "${selectors.item}"`, url });
+    }
+    result.releases = selectReleases(releases, maxReleases, includeUpcoming);
+    return result;
+  } catch (error) {
+    log.error(`Error scraping ${url}: ${error.message}`);
+    result.errors.push(describeError(error, url, selectors && selectors.item && selectors.title ? undefined : 'config'));
+    return result;
+  }
+}
+
+/**
+ * Get the feed URL for a YouTube channel or playlist link, when it can be worked out from the URL
+ * Handles (youtube.com/@name) don't contain the channel id, those are found through the page.
+ * @param {string} url - YouTube URL
+ * @returns {string|null} - feeds/videos.xml URL, or null
+ */
+export function getYoutubeFeedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!/(^|\.)youtube\.com$/.test(parsed.hostname)) {
+    return null;
+  }
+
+  if (parsed.pathname === '/feeds/videos.xml') {
+    return url;
+  }
+
+  const channel = parsed.pathname.match(/^\/channel\/(UC[\w-]{22})/);
+  if (channel) {
+    return `https://www.youtube.com/feeds/videos.xml?channel_id=${channel[1]}`;
+  }
+
+  if (parsed.pathname === '/playlist' && parsed.searchParams.get('list')) {
+    return `https://www.youtube.com/feeds/videos.xml?playlist_id=${parsed.searchParams.get('list')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a response body is a feed we can read
+ * @param {*} data - Response body (string, or an object for JSON)
+ * @returns {boolean} - True for RSS, RDF, Atom and JSON Feed documents
+ */
+export function looksLikeFeed(data) {
+  if (data && typeof data === 'object') {
+    return typeof data.version === 'string' && data.version.startsWith('https://jsonfeed.org/');
+  }
+
+  const start = String(data || '').replace(/^﻿/, '').trimStart().slice(0, 500);
+  return /^(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*<(rss|feed|rdf:RDF)[\s>]/.test(start);
+}
+
+/**
+ * Read the items of an RSS 2.0, RSS 1.0 (RDF) or Atom document
+ * @param {string} xml - Feed XML
+ * @param {string} feedUrl - Feed URL, for relative links
+ * @returns {Array} - Releases, in feed order
+ */
+function parseXmlFeed(xml, feedUrl) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const isAtom = $('feed > entry').length > 0 || $.root().children('feed').length > 0;
+
+  if (isAtom) {
+    return $('entry').toArray().map(entry => {
+      const $entry = $(entry);
+      const link = $entry.children('link[rel="alternate"]').attr('href') ||
+                   $entry.children('link:not([rel])').attr('href') ||
+                   $entry.children('link').attr('href');
+
+      // YouTube puts the thumbnail and description in a media:group
+      return {
+        title: $entry.children('title').text().trim(),
+        url: resolveUrl(link, feedUrl),
+        ...pickDate([['atom:published', $entry.children('published').text()], ['atom:updated', $entry.children('updated').text()]]),
+        image: $entry.find('media\\:thumbnail').attr('url') || '',
+        description: toDescription($entry.children('summary').text() ||
+                                   $entry.find('media\\:description').text() ||
+                                   $entry.children('content').text())
+      };
+    });
+  }
+
+  return $('item').toArray().map(item => {
+    const $item = $(item);
+    const guid = $item.children('guid');
+    const link = $item.children('link').text().trim() ||
+                 (guid.attr('isPermaLink') !== 'false' ? guid.text().trim() : '');
+    const html = $item.children('content\\:encoded').text() || $item.children('description').text();
+
+    const image = $item.children('enclosure[type^="image"]').attr('url') ||
+                  $item.find('media\\:content[medium="image"]').attr('url') ||
+                  $item.find('media\\:thumbnail').attr('url') ||
+                  $item.children('itunes\\:image').attr('href') ||
+                  cheerio.load(html)('img').first().attr('src') ||
+                  '';
+
+    return {
+      title: $item.children('title').text().trim(),
+      url: resolveUrl(link, feedUrl),
+      ...pickDate([['rss:pubDate', $item.children('pubDate').text()], ['rss:dc:date', $item.children('dc\\:date').text()]]),
+      image: resolveUrl(image, feedUrl),
+      description: toDescription(html)
+    };
+  });
+}
+
+/**
+ * Read the items of a JSON Feed document
+ * @param {Object} feed - Parsed JSON Feed
+ * @param {string} feedUrl - Feed URL, for relative links
+ * @returns {Array} - Releases, in feed order
+ */
+function parseJsonFeed(feed, feedUrl) {
+  return (feed.items || []).map(item => ({
+    title: (item.title || '').trim(),
+    url: resolveUrl(item.url || item.external_url, feedUrl),
+    ...pickDate([['json:date_published', item.date_published], ['json:date_modified', item.date_modified]]),
+    image: resolveUrl(item.image || item.banner_image, feedUrl),
+    description: toDescription(item.summary || item.content_text || item.content_html)
+  }));
+}
+
+/**
+ * Parse a response body that is JSON but wasn't served as such
+ * A JSON Feed served as text/plain arrives as a string.
+ * @param {*} data - Response body
+ * @returns {*} - Parsed JSON, or the body as it was
+ */
+function parseJsonText(data) {
+  if (typeof data === 'string' && data.trimStart().startsWith('{')) {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      // Not JSON after all, carry on with the text
+    }
+  }
+  return data;
+}
+
+/**
+ * Ingest an existing RSS, Atom or JSON feed (or a YouTube channel) as releases
+ * The URL can be the feed itself, a YouTube channel/playlist link, or any page that
+ * announces its feed with <link rel="alternate">.
+ * @param {string} url - Feed or page URL
+ * @param {number} maxReleases - Maximum number of releases to return
+ * @param {Object} options - Scrape options
+ * @param {boolean} [options.includeUpcoming] - Keep future releases (flagged as upcoming) instead of skipping them
+ * @param {Object} options.http - Request scheduler
+ * @returns {Promise<Object>} - Scrape result: { releases, errors, warnings }, see src/report.js
+ */
+export async function scrapeFeed(url, maxReleases = 2, options = {}) {
+  const { includeUpcoming = false, http } = options;
+  const result = createScrapeResult();
+
+  try {
+    let feedUrl = getYoutubeFeedUrl(url) || url;
+    let data = parseJsonText((await http.get(feedUrl)).data);
+
+    // An HTML page: follow the feed it links to
+    if (!looksLikeFeed(data)) {
+      const $ = cheerio.load(String(data || ''));
+      const alternate = FEED_LINK_TYPES
+        .map(type => $(`link[rel="alternate"][type="${type}"]`).attr('href'))
+        .find(Boolean);
+
+      if (!alternate) {
+        throw new Error('no RSS, Atom or JSON feed found');
+      }
+
+      feedUrl = resolveUrl(alternate, feedUrl);
+      log.debug(`Following the feed linked from ${url}: ${feedUrl}`);
+      data = parseJsonText((await http.get(feedUrl)).data);
+    }
+
+    const releases = (typeof data === 'object' ? parseJsonFeed(data, feedUrl) : parseXmlFeed(String(data), feedUrl))
+      .filter(release => release.title && release.url);
+
+    for (const release of releases) {
+      if (!release.date) {
+        log.debug(`No date for: ${release.title}`);
+      }
+    }
+
+    log.info(`Found ${releases.length} items in ${feedUrl}, processing up to ${maxReleases}`);
+    if (releases.length === 0) {
+      result.warnings.push({ type: 'parse', message: 'The feed has no items', url: feedUrl });
+    }
+    result.releases = selectReleases(releases, maxReleases, includeUpcoming);
+    return result;
+  } catch (error) {
+    log.error(`Error reading feed ${url}: ${error.message}`);
+    result.errors.push(describeError(error, url));
+    return result;
+  }
+}
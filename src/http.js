@@ -0,0 +1,273 @@
+import axios from 'axios';
+import { log } from './log.js';
+
+// Defaults, each can be overridden with the environment variable next to it
+const DEFAULT_HTTP_OPTIONS = {
+  concurrency: 6,          // HTTP_CONCURRENCY - requests in flight across all sites
+  hostConcurrency: 2,      // HTTP_HOST_CONCURRENCY - requests in flight per site
+  requestsPerSecond: 2,    // HTTP_REQUESTS_PER_SECOND - sustained request rate per site
+  burst: 2,                // HTTP_BURST - requests a site may get back to back after a quiet spell
+  timeoutMs: 20000,        // HTTP_TIMEOUT_MS - give up on a request after this long
+  retries: 3,              // HTTP_RETRIES - retries after a timeout, network error, 429 or 5xx
+  retryDelayMs: 1000,      // Base delay for exponential backoff
+  maxRetryDelayMs: 60000,  // Longest we'll wait before a retry, including Retry-After
+  userAgent: 'bandcamp-rss (+https://github.com/blstrManx/bandcamp-rss)' // USER_AGENT
+};
+
+const ENV_OPTIONS = {
+  concurrency: 'HTTP_CONCURRENCY',
+  hostConcurrency: 'HTTP_HOST_CONCURRENCY',
+  requestsPerSecond: 'HTTP_REQUESTS_PER_SECOND',
+  burst: 'HTTP_BURST',
+  timeoutMs: 'HTTP_TIMEOUT_MS',
+  retries: 'HTTP_RETRIES'
+};
+
+// Responses worth trying again, anything else (e.g. a 404) won't get better by waiting
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Services whose subdomains are all served by the same servers, they share one rate limit
+const SHARED_HOSTS = ['bandcamp.com'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the HTTP options from the environment, with explicit options taking precedence
+ * @param {Object} overrides - Options set in code or on the command line
+ * @returns {Object} - Complete HTTP options
+ */
+export function resolveHttpOptions(overrides = {}) {
+  const options = { ...DEFAULT_HTTP_OPTIONS };
+
+  for (const [key, variable] of Object.entries(ENV_OPTIONS)) {
+    if (process.env[variable] !== undefined && process.env[variable] !== '') {
+      const value = Number(process.env[variable]);
+      if (Number.isNaN(value) || value < 0) {
+        throw new Error(`${variable} must be a non-negative number, got "${process.env[variable]}"`);
+      }
+      options[key] = value;
+    }
+  }
+
+  if (process.env.USER_AGENT) {
+    options.userAgent = process.env.USER_AGENT;
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) {
+      options[key] = value;
+    }
+  }
+
+  // Zero would stall every request, treat it as "no more than one at a time"
+  options.concurrency = Math.max(1, options.concurrency);
+  options.hostConcurrency = Math.max(1, options.hostConcurrency);
+  options.burst = Math.max(1, options.burst);
+
+  return options;
+}
+
+/**
+ * Get the rate limit key for a request
+ * Each host has its own limit, except on sites that give every artist a subdomain of one
+ * service: "artist.bandcamp.com" and "label.bandcamp.com" both count against "bandcamp.com".
+ * @param {string} url - Request URL
+ * @returns {string} - Rate limit key
+ */
+export function getSiteKey(url) {
+  const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  return SHARED_HOSTS.find(host => hostname === host || hostname.endsWith(`.${host}`)) || hostname;
+}
+
+/**
+ * Work out how long a Retry-After header asks us to wait
+ * @param {string} header - Retry-After value, either seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if there is no usable header
+ */
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  if (/^\d+$/.test(header.trim())) {
+    return Number(header.trim()) * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether a failed request should be tried again
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True for timeouts, network errors and retryable statuses
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.has(error.response.status);
+  }
+
+  // No response at all: timeout, connection reset, DNS hiccup...
+  return !!error.request || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+/**
+ * Create the request scheduler shared by all scrapers in a run
+ * Requests are limited globally and per site, paced with a token bucket per site,
+ * and retried with exponential backoff (honoring Retry-After) when they fail in a way
+ * that might succeed later. A 429 or 503 pauses the whole site, not just that request.
+ * @param {Object} options - HTTP options, see resolveHttpOptions()
+ * @param {Function} [options.request] - Function doing the actual request, defaults to axios.request
+ * @returns {Object} - Scheduler with get(url, config), post(url, data, config) and stats
+ */
+export function createHttpScheduler(options = {}) {
+  const settings = resolveHttpOptions(options);
+  const request = options.request || (config => axios.request(config));
+
+  const sites = new Map();
+  let active = 0;
+  let waiting = [];
+
+  const stats = { requests: 0, retries: 0, failures: 0, started: Date.now() };
+
+  // Wake everything waiting for a free slot, each waiter checks again whether it can go
+  const wakeWaiters = () => {
+    const woken = waiting;
+    waiting = [];
+    woken.forEach(resolve => resolve());
+  };
+
+  const waitForSlot = () => new Promise(resolve => waiting.push(resolve));
+
+  const getSite = key => {
+    if (!sites.has(key)) {
+      sites.set(key, { active: 0, tokens: settings.burst, lastRefill: Date.now(), pausedUntil: 0 });
+    }
+    return sites.get(key);
+  };
+
+  const takeToken = async site => {
+    for (;;) {
+      const now = Date.now();
+      site.tokens = Math.min(settings.burst, site.tokens + ((now - site.lastRefill) / 1000) * settings.requestsPerSecond);
+      site.lastRefill = now;
+
+      const pauseMs = site.pausedUntil - now;
+      const refillMs = site.tokens >= 1 || settings.requestsPerSecond <= 0 ? 0 : ((1 - site.tokens) / settings.requestsPerSecond) * 1000;
+      const waitMs = Math.max(pauseMs, refillMs);
+
+      if (waitMs <= 0) {
+        site.tokens -= 1;
+        return;
+      }
+
+      await sleep(waitMs);
+    }
+  };
+
+  const acquire = async site => {
+    // Take the site slot first so a busy site doesn't hold global slots while it waits for tokens
+    while (site.active >= settings.hostConcurrency) {
+      await waitForSlot();
+    }
+    site.active++;
+
+    await takeToken(site);
+
+    while (active >= settings.concurrency) {
+      await waitForSlot();
+    }
+    active++;
+  };
+
+  const release = site => {
+    site.active--;
+    active--;
+    wakeWaiters();
+  };
+
+  /**
+   * Send a request through the scheduler
+   * @param {string} method - HTTP method
+   * @param {string} url - URL to request
+   * @param {Object} config - Extra axios config (headers, data, validateStatus, ...)
+   * @returns {Promise<Object>} - axios response
+   */
+  const send = async (method, url, config = {}) => {
+    const site = getSite(getSiteKey(url));
+
+    for (let attempt = 0; ; attempt++) {
+      await acquire(site);
+      stats.requests++;
+
+      let error;
+      try {
+        return await request({
+          ...config,
+          method,
+          url,
+          timeout: settings.timeoutMs,
+          headers: { 'User-Agent': settings.userAgent, ...config.headers }
+        });
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        release(site);
+      }
+
+      if (attempt >= settings.retries || !isRetryable(error)) {
+        stats.failures++;
+        throw error;
+      }
+
+      const retryAfter = error.response ? parseRetryAfter(error.response.headers && error.response.headers['retry-after']) : null;
+      if (retryAfter !== null && retryAfter > settings.maxRetryDelayMs) {
+        stats.failures++;
+        throw new Error(`${url} asked to retry in ${Math.round(retryAfter / 1000)}s, giving up (${error.message})`);
+      }
+
+      // Exponential backoff with jitter, unless the server told us how long to wait
+      const backoff = settings.retryDelayMs * 2 ** attempt;
+      const delay = retryAfter !== null ? retryAfter : Math.min(settings.maxRetryDelayMs, backoff / 2 + Math.random() * backoff / 2);
+
+      // Rate limited or overloaded: hold back every request to this site, not just this one
+      if (error.response && [429, 503].includes(error.response.status)) {
+        site.pausedUntil = Math.max(site.pausedUntil, Date.now() + delay);
+      }
+
+      stats.retries++;
+      const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+      log.warn(`Request to ${url} failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2} of ${settings.retries + 1})`);
+      await sleep(delay);
+    }
+  };
+
+  /**
+   * GET a URL through the scheduler
+   * @param {string} url - URL to fetch
+   * @param {Object} config - Extra axios config (headers, validateStatus, ...)
+   * @returns {Promise<Object>} - axios response
+   */
+  const get = (url, config) => send('get', url, config);
+
+  /**
+   * POST to a URL through the scheduler, e.g. to fetch an API token
+   * @param {string} url - URL to post to
+   * @param {*} data - Request body
+   * @param {Object} config - Extra axios config (headers, validateStatus, ...)
+   * @returns {Promise<Object>} - axios response
+   */
+  const post = (url, data, config = {}) => send('post', url, { ...config, data });
+
+  return { get, post, stats, options: settings };
+}
+
+/**
+ * Log a summary of the requests made during the run
+ * @param {Object} http - Scheduler from createHttpScheduler()
+ */
+export function logHttpStats(http) {
+  const { requests, retries, failures, started } = http.stats;
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  log.info(`HTTP: ${requests} request(s), ${retries} retried, ${failures} failed, ${seconds}s elapsed`);
+}
@@ -0,0 +1,51 @@
+// Verbosity levels, from least to most output
+const LEVELS = {
+  quiet: 0,    // Errors only
+  normal: 1,   // Progress and summaries
+  verbose: 2   // Per-album and per-item details
+};
+
+let currentLevel = LEVELS.normal;
+
+// When stdout carries data (e.g. a feed preview), progress output goes to stderr instead
+let useStderr = false;
+
+/**
+ * Set how much is logged
+ * @param {string} level - 'quiet', 'normal' or 'verbose'
+ */
+export function setLogLevel(level) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  currentLevel = LEVELS[level];
+}
+
+/**
+ * Send progress output to stderr so stdout can be piped
+ * @param {boolean} enabled - True to write info and debug messages to stderr
+ */
+export function setLogToStderr(enabled) {
+  useStderr = !!enabled;
+}
+
+function write(...args) {
+  if (useStderr) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+export const log = {
+  error: (...args) => console.error(...args),
+  warn: (...args) => {
+    if (currentLevel >= LEVELS.normal) console.warn(...args);
+  },
+  info: (...args) => {
+    if (currentLevel >= LEVELS.normal) write(...args);
+  },
+  debug: (...args) => {
+    if (currentLevel >= LEVELS.verbose) write(...args);
+  }
+};
@@ -0,0 +1,229 @@
+import * as cheerio from 'cheerio';
+import { matchProvider, resolveProvider } from './providers.js';
+import { normalizeArtistUrl } from './config-files.js';
+import { checkArtistUrl } from './validate.js';
+import { escapeHtml } from './templates.js';
+import { log } from './log.js';
+
+/*
+ * OPML subscription lists
+ *
+ * Feed readers import and export their subscriptions as OPML. Every build writes a
+ * feeds.opml with all of the site's feeds, so a reader can subscribe to them in one go,
+ * and import-opml goes the other way: it turns a list of pages into an artist config.
+ *
+ * Besides OPML, the import reads plain lists with one URL per line, optionally with a
+ * name before or after it (e.g. "Hyperdub, https://hyperdub.bandcamp.com"), which is
+ * what copying a Bandcamp following list or a spreadsheet column gives.
+ */
+
+// Any http(s) URL in a line of a plain list
+const LIST_URL = /https?:\/\/[^\s,;|"'<>]+/i;
+
+/**
+ * Render an OPML 2.0 subscription list
+ * @param {Array<Object>} outlines - Feeds: { group, text, description, xmlUrl, htmlUrl }, group is a folder name or '' for the top level
+ * @param {Object} options - Document settings
+ * @param {string} options.title - List title
+ * @param {Date} options.generatedAt - When the list was made
+ * @param {string|null} [options.ownerName] - Who publishes the list
+ * @returns {string} - OPML document
+ */
+export function renderOpml(outlines, options) {
+  const renderOutline = (outline, indent) => {
+    const attributes = { type: 'rss', text: outline.text, title: outline.text, description: outline.description, xmlUrl: outline.xmlUrl, htmlUrl: outline.htmlUrl };
+    const attributeText = Object.entries(attributes)
+      .filter(([, value]) => value)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+    return `${indent}<outline${attributeText}/>`;
+  };
+
+  // Top-level feeds first, then one folder per directory, in the order the feeds came
+  const groups = new Map();
+  for (const outline of outlines) {
+    if (!groups.has(outline.group)) {
+      groups.set(outline.group, []);
+    }
+    groups.get(outline.group).push(outline);
+  }
+
+  const body = [];
+  for (const outline of groups.get('') || []) {
+    body.push(renderOutline(outline, '    '));
+  }
+  for (const [group, members] of groups) {
+    if (group) {
+      body.push(`    <outline text="${escapeHtml(group)}" title="${escapeHtml(group)}">`);
+      body.push(...members.map(outline => renderOutline(outline, '      ')));
+      body.push('    </outline>');
+    }
+  }
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeHtml(options.title)}</title>
+    <dateCreated>${options.generatedAt.toUTCString()}</dateCreated>${options.ownerName ? `
+    <ownerName>${escapeHtml(options.ownerName)}</ownerName>` : ''}
+  </head>
+  <body>
+${body.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Read the entries of an OPML file or a plain list of URLs
+ * @param {string} text - File contents
+ * @returns {Object} - { title (from the OPML head, or null), entries: [{ name, htmlUrl, xmlUrl }] }
+ * @throws {Error} - If an XML file isn't OPML
+ */
+export function parseImportList(text) {
+  const content = text.replace(/^﻿/, '').trim();
+
+  if (content.startsWith('<')) {
+    const $ = cheerio.load(content, { xmlMode: true });
+    if ($.root().children('opml').length !== 1) {
+      throw new Error('The file is XML but not OPML, it has no <opml> root element');
+    }
+
+    // Folders are outlines without a URL, their feeds are read like any other
+    const entries = $('outline').toArray()
+      .map(element => element.attribs)
+      .filter(attributes => attributes.xmlUrl || attributes.htmlUrl || attributes.url)
+      .map(attributes => ({
+        name: (attributes.text || attributes.title || '').trim() || null,
+        htmlUrl: attributes.htmlUrl || attributes.url || null,
+        xmlUrl: attributes.xmlUrl || null
+      }));
+
+    return { title: $('opml > head > title').text().trim() || null, entries };
+  }
+
+  const entries = [];
+  for (const line of content.split(/\r?\n/)) {
+    const match = LIST_URL.exec(line);
+    // Blank lines, comments and header rows have no URL
+    if (!match || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const name = (line.slice(0, match.index) + line.slice(match.index + match[0].length))
+      .replace(/^[\s,;|\t"'-]+|[\s,;|\t"'-]+$/g, '');
+    entries.push({ name: name || null, htmlUrl: match[0], xmlUrl: null });
+  }
+
+  return { title: null, entries };
+}
+
+/**
+ * Make up an artist name from a URL, for list entries that don't have one
+ * @param {string} url - Page URL
+ * @returns {string} - The Bandcamp subdomain, or the host and path
+ */
+function getNameFromUrl(url) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if (host.endsWith('.bandcamp.com')) {
+    return host.slice(0, -'.bandcamp.com'.length);
+  }
+  return `${host}${parsed.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Check whether a string is an http(s) URL
+ * @param {string} url - Candidate URL
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Work out the source of one imported entry
+ * The page is tried before the feed, so a Bandcamp or SoundCloud artist is read through
+ * its own source rather than through a feed of it. A feed URL no source claims is still
+ * read as a feed, OPML says it is one. Pages nobody recognises are fetched, to catch
+ * labels on their own domain. URLs the config validation would reject (e.g. a Bandcamp
+ * album page) are left out.
+ * @param {Object} entry - Entry from parseImportList()
+ * @param {Object} http - Request scheduler, for pages that have to be fetched
+ * @returns {Promise<Object>} - { artist } with the config entry, or { reason } if no source supports it
+ */
+async function resolveEntry(entry, http) {
+  const urls = [entry.htmlUrl, entry.xmlUrl].filter(isHttpUrl);
+  if (urls.length === 0) {
+    return { reason: 'no http(s) URL' };
+  }
+
+  const problems = urls.map(checkArtistUrl);
+  const candidates = urls.filter((url, index) => !problems[index] || problems[index].severity !== 'error');
+  if (candidates.length === 0) {
+    return { reason: problems[0].message };
+  }
+
+  const createArtist = (url, source) => ({
+    name: entry.name || getNameFromUrl(url),
+    url,
+    ...(source ? { source } : {})
+  });
+
+  for (const url of candidates) {
+    if (matchProvider(url)) {
+      return { artist: createArtist(url) };
+    }
+  }
+  if (candidates.includes(entry.xmlUrl)) {
+    return { artist: createArtist(entry.xmlUrl, 'feed') };
+  }
+
+  try {
+    const provider = await resolveProvider({ url: candidates[0] }, http);
+    if (provider) {
+      // Saves the next build from fetching the page again to find out
+      return { artist: createArtist(candidates[0], provider.name) };
+    }
+    return { reason: 'no source recognises the page' };
+  } catch (error) {
+    return { reason: `the page couldn't be checked: ${error.message}` };
+  }
+}
+
+/**
+ * Turn imported entries into artist config entries
+ * @param {Array<Object>} entries - Entries from parseImportList()
+ * @param {Object} http - Request scheduler from createHttpScheduler()
+ * @returns {Promise<Object>} - { artists, unsupported: [{ name, url, reason }] }
+ */
+export async function resolveImportedArtists(entries, http) {
+  const artists = [];
+  const unsupported = [];
+  const seen = new Set();
+
+  const results = await Promise.all(entries.map(entry => resolveEntry(entry, http)));
+
+  entries.forEach((entry, index) => {
+    const { artist, reason } = results[index];
+    if (!artist) {
+      unsupported.push({ name: entry.name, url: entry.htmlUrl || entry.xmlUrl, reason });
+      return;
+    }
+
+    // Lists often have the same page twice, e.g. in two folders
+    const key = normalizeArtistUrl(artist.url, artist.query);
+    if (seen.has(key)) {
+      log.debug(`Skipping ${artist.url}, it's in the list more than once`);
+      return;
+    }
+    seen.add(key);
+    artists.push(artist);
+  });
+
+  return { artists, unsupported };
+}
@@ -0,0 +1,303 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import * as cheerio from 'cheerio';
+import { scrapeBandcamp } from './bandcamp.js';
+import { scrapeBandcampFan, getFanPage } from './bandcamp-fan.js';
+import { scrapeBandcampDiscover, getDiscoverQuery } from './bandcamp-discover.js';
+import { scrapeSoundcloud } from './soundcloud.js';
+import { scrapeSpotify } from './spotify.js';
+import { scrapeWithSelectors, scrapeFeed, looksLikeFeed } from './generic.js';
+import { log } from './log.js';
+
+/*
+ * Source providers
+ *
+ * A provider gets the releases for one kind of artist page. It's a plain object:
+ *
+ *   {
+ *     name: 'bandcamp',            // Used in the artist "source" setting, lowercase letters, digits and dashes
+ *     label: 'Bandcamp',           // Shown in logs
+ *     matches(url, artist) {},     // True if the artist belongs to this source, going by the config alone
+ *     detect({ url, html, data, $ }) {}, // Optional: true if a fetched page belongs to this source (e.g. custom domains)
+ *     async scrape(artist, context) {}
+ *   }
+ *
+ * scrape() gets the artist config from the feed file and a context of
+ * { maxReleases, includeUpcoming, albumCache, http }, and returns a scrape result
+ * ({ releases, errors, warnings }, see src/report.js) or just an array of release objects
+ * ({ title, url, date, image, description, metadata, upcoming }). Requests should go
+ * through context.http so they share the run's rate limits and retries.
+ *
+ * Providers are tried in the order they were registered. Extra providers can be added
+ * with registerProvider(), or by dropping a module into the providers/ directory whose
+ * default export is a provider (or an array of them).
+ */
+
+const providers = new Map();
+
+// URL -> provider name for pages that had to be fetched to detect their source
+const detectedSources = new Map();
+
+// Provider modules already imported, so repeat builds in serve mode don't import them again
+const loadedFiles = new Set();
+
+/**
+ * Add a provider, replacing any existing provider with the same name
+ * @param {Object} provider - Provider object, see the interface above
+ * @returns {Object} - The provider
+ */
+export function registerProvider(provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error('A provider must be an object');
+  }
+  if (typeof provider.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(provider.name)) {
+    throw new Error(`Provider name "${provider.name}" must be lowercase letters, digits and dashes`);
+  }
+  for (const method of ['matches', 'scrape']) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Provider "${provider.name}" has no ${method}() function`);
+    }
+  }
+  if (provider.detect !== undefined && typeof provider.detect !== 'function') {
+    throw new Error(`Provider "${provider.name}" has a detect that isn't a function`);
+  }
+
+  if (providers.has(provider.name)) {
+    log.debug(`Replacing the "${provider.name}" provider`);
+  }
+  providers.set(provider.name, { label: provider.name, ...provider });
+  detectedSources.clear();
+  return provider;
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name, as used in "source"
+ * @returns {Object|null} - Provider, or null if there is none with that name
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * List the registered providers, in the order they are tried
+ * @returns {Array<Object>} - Providers
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Find the provider for an artist from its config alone
+ * @param {string} url - Artist page URL
+ * @param {Object} [artist] - Artist config, for providers that go by other settings (e.g. "selectors")
+ * @returns {Object|null} - Provider, or null if none claims the URL
+ */
+export function matchProvider(url, artist = { url }) {
+  return getProviders().find(provider => {
+    try {
+      return provider.matches(url, artist);
+    } catch (error) {
+      log.debug(`Provider "${provider.name}" failed to check ${url}: ${error.message}`);
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Find the provider for an artist
+ * An explicit "source" wins, then providers that recognise the URL, and as a last
+ * resort the page is fetched and each provider's detect() gets a look at the markup.
+ * @param {Object} artist - Artist config
+ * @param {Object} http - Request scheduler, used to fetch the page for detection
+ * @returns {Promise<Object|null>} - Provider, or null if nothing recognises the page
+ */
+export async function resolveProvider(artist, http) {
+  if (artist.source) {
+    const provider = getProvider(artist.source);
+    if (!provider) {
+      throw new Error(`Unknown source "${artist.source}" for ${artist.url}, known sources: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+  }
+
+  const matched = matchProvider(artist.url, artist);
+  if (matched) {
+    return matched;
+  }
+
+  if (detectedSources.has(artist.url)) {
+    return getProvider(detectedSources.get(artist.url));
+  }
+
+  const detectors = getProviders().filter(provider => provider.detect);
+  if (detectors.length === 0) {
+    return null;
+  }
+
+  log.debug(`No provider recognises ${artist.url}, checking the page markup`);
+  const { data } = await http.get(artist.url);
+  const html = typeof data === 'string' ? data : '';
+  const page = { url: artist.url, html, data, $: cheerio.load(html) };
+
+  for (const provider of detectors) {
+    if (await provider.detect(page)) {
+      log.info(`${artist.url} looks like a ${provider.label} page, set "source": "${provider.name}" to skip this check`);
+      detectedSources.set(artist.url, provider.name);
+      return provider;
+    }
+  }
+
+  detectedSources.set(artist.url, null);
+  return null;
+}
+
+/**
+ * Import the provider modules in a directory and register their default exports
+ * A missing directory is fine, it just means there are no extra providers.
+ * @param {string} providersDir - Directory with .js/.mjs provider modules
+ * @returns {Promise<Array<Object>>} - Providers registered from the directory
+ */
+export async function loadProviders(providersDir) {
+  if (!providersDir || !(await fs.pathExists(providersDir))) {
+    return [];
+  }
+
+  const files = (await fs.readdir(providersDir))
+    .filter(file => /\.m?js$/.test(file))
+    .sort()
+    .map(file => path.join(providersDir, file))
+    .filter(file => !loadedFiles.has(file));
+
+  const registered = [];
+  for (const file of files) {
+    const module = await import(pathToFileURL(file).href);
+    if (!module.default) {
+      throw new Error(`Provider module ${file} has no default export`);
+    }
+
+    for (const provider of [].concat(module.default)) {
+      registered.push(registerProvider(provider));
+    }
+    loadedFiles.add(file);
+    log.debug(`Loaded provider(s) from ${file}`);
+  }
+
+  return registered;
+}
+
+/**
+ * Get the hostname of a URL, or an empty string if it isn't one
+ * @param {string} url - URL
+ * @returns {string} - Lowercase hostname
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the path of a URL, or an empty string if it isn't one
+ * @param {string} url - URL
+ * @returns {string} - Path
+ */
+function safePathname(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Built-in providers
+
+// First, so selectors work on any site, even one another provider would claim
+registerProvider({
+  name: 'html',
+  label: 'Web page',
+  matches: (url, artist) => !!(artist && artist.selectors),
+  scrape: (artist, context) => scrapeWithSelectors(artist.url, context.maxReleases, {
+    selectors: artist.selectors,
+    dateFormat: artist.dateFormat,
+    includeUpcoming: context.includeUpcoming,
+    http: context.http
+  })
+});
+
+// Before "bandcamp", which would otherwise claim bandcamp.com/<fan> and bandcamp.com/tag/<tag> as well
+registerProvider({
+  name: 'bandcamp-fan',
+  label: 'Bandcamp fan',
+  matches: url => getFanPage(url) !== null,
+  scrape: (artist, context) => scrapeBandcampFan(artist.url, context.maxReleases, {
+    // scrapeArtist() names artists after their URL when no name is given, the fan's own name reads better
+    name: artist.name !== artist.url ? artist.name : undefined,
+    albumCache: context.albumCache,
+    http: context.http
+  })
+});
+
+registerProvider({
+  name: 'bandcamp-discover',
+  label: 'Bandcamp Discover',
+  matches: url => getDiscoverQuery(url) !== null,
+  scrape: (artist, context) => scrapeBandcampDiscover(artist.url, context.maxReleases, {
+    query: artist.query,
+    albumCache: context.albumCache,
+    includeUpcoming: context.includeUpcoming,
+    http: context.http
+  })
+});
+
+registerProvider({
+  name: 'bandcamp',
+  label: 'Bandcamp',
+  matches: url => /(^|\.)bandcamp\.com$/.test(getHostname(url)),
+  // Labels on their own domain still serve Bandcamp's markup: the tralbum/band data
+  // attributes, the weekly show player and assets from bcbits.com
+  detect: ({ html }) => /data-tralbum|data-band=|bcweekly|bcbits\.com/.test(html),
+  scrape: (artist, context) => scrapeBandcamp(artist.url, context.maxReleases, {
+    albumCache: context.albumCache,
+    includeUpcoming: context.includeUpcoming,
+    http: context.http
+  })
+});
+
+registerProvider({
+  name: 'soundcloud',
+  label: 'SoundCloud',
+  matches: url => ['soundcloud.com', 'www.soundcloud.com', 'm.soundcloud.com'].includes(getHostname(url)),
+  scrape: (artist, context) => scrapeSoundcloud(artist.url, context.maxReleases, {
+    include: artist.include,
+    includeUpcoming: context.includeUpcoming,
+    http: context.http
+  })
+});
+
+registerProvider({
+  name: 'spotify',
+  label: 'Spotify',
+  matches: url => getHostname(url) === 'open.spotify.com',
+  scrape: (artist, context) => scrapeSpotify(artist.url, context.maxReleases, {
+    market: artist.market,
+    includeUpcoming: context.includeUpcoming,
+    http: context.http
+  })
+});
+
+// Last, so a page with its own provider isn't read through its feed instead
+registerProvider({
+  name: 'feed',
+  label: 'Feed',
+  matches: url => /(^|\.)youtube\.com$/.test(getHostname(url)) ||
+                  /(\.(rss|atom|xml)|\/(feed|rss|atom)\/?|feed\.json)$/i.test(safePathname(url)),
+  detect: ({ data }) => looksLikeFeed(data),
+  scrape: (artist, context) => scrapeFeed(artist.url, context.maxReleases, {
+    includeUpcoming: context.includeUpcoming,
+    http: context.http
+  })
+});
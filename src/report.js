@@ -0,0 +1,166 @@
+/*
+ * Scrape results and the run report
+ *
+ * Scrapers return { releases, errors, warnings } instead of throwing or making up
+ * releases, so a page that couldn't be read shows up as a failed artist rather than as
+ * a fake "Error Reading Bandcamp" item or a feed that is quietly missing someone.
+ * Each problem is { type, message, url, status }, where type is one of:
+ *
+ *   http     the server answered with an error status (status is set)
+ *   network  no answer: timeouts, DNS failures, refused connections
+ *   parse    the page or API answer didn't have what we looked for
+ *   source   no provider could be found for the URL
+ *   config   the run isn't set up for the source (e.g. missing API credentials)
+ *
+ * After a build the per-artist results are collected into dist/report.json, and the
+ * fail-on policy turns them into the exit code.
+ */
+
+// Exit code for a build that finished but had problems the fail-on policy counts
+export const REPORT_EXIT_CODE = 3;
+
+// How bad a run has to be before it fails, from never to the slightest warning
+export const FAIL_ON_LEVELS = ['never', 'feed', 'artist', 'warning'];
+
+// Network error codes from Node and axios that mean the server never answered
+const NETWORK_ERROR_CODES = new Set(['ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'ERR_NETWORK']);
+
+/**
+ * Create an empty scrape result
+ * @param {Array} [releases] - Releases to start with
+ * @returns {Object} - { releases, errors, warnings }
+ */
+export function createScrapeResult(releases = []) {
+  return { releases, errors: [], warnings: [] };
+}
+
+/**
+ * Turn a thrown error into a report problem
+ * @param {Error} error - Error from a request or a parser
+ * @param {string} [url] - URL that was being read
+ * @param {string} [type] - Problem type, worked out from the error when not given
+ * @returns {Object} - { type, message, url, status }
+ */
+export function describeError(error, url, type) {
+  const status = error && error.response ? error.response.status : undefined;
+  const isNetworkError = !!error && (NETWORK_ERROR_CODES.has(error.code) || (!!error.request && !error.response));
+
+  return {
+    type: type || (status ? 'http' : isNetworkError ? 'network' : 'parse'),
+    message: (error && error.message) || String(error),
+    url: url || (error && error.config && error.config.url) || undefined,
+    status
+  };
+}
+
+/**
+ * Accept what a provider's scrape() returned: a scrape result, or a plain array of releases
+ * @param {*} value - Return value of scrape()
+ * @returns {Object} - { releases, errors, warnings }
+ */
+export function toScrapeResult(value) {
+  if (Array.isArray(value)) {
+    return createScrapeResult(value);
+  }
+
+  const result = value && typeof value === 'object' ? value : {};
+  return {
+    ...result,
+    releases: Array.isArray(result.releases) ? result.releases : [],
+    errors: Array.isArray(result.errors) ? result.errors : [],
+    warnings: Array.isArray(result.warnings) ? result.warnings : []
+  };
+}
+
+/**
+ * Sum up a scrape result as a status
+ * @param {Object} result - { errors, warnings }
+ * @returns {string} - 'error', 'warning' or 'ok'
+ */
+export function getStatus(result) {
+  if (result.errors.length > 0) {
+    return 'error';
+  }
+  return result.warnings.length > 0 ? 'warning' : 'ok';
+}
+
+/**
+ * Work out a feed's status from its artists
+ * A feed fails when it couldn't be built or every artist that was scraped failed.
+ * @param {Array<Object>} artists - Artist reports
+ * @param {boolean} scraped - Whether the feed was scraped this run
+ * @returns {string} - 'error', 'warning', 'ok', or 'skipped' if it was built from the history only
+ */
+export function getFeedStatus(artists, scraped) {
+  if (!scraped) {
+    return 'skipped';
+  }
+  if (artists.length > 0 && artists.every(artist => artist.status === 'error')) {
+    return 'error';
+  }
+  return artists.some(artist => artist.status !== 'ok') ? 'warning' : 'ok';
+}
+
+/**
+ * Put together the report of a build
+ * @param {Array<Object>} builtFeeds - Feeds from buildFeed() and buildAggregateFeed(), each with a report
+ * @param {Object} run - Run details
+ * @param {Date} run.started - When the build started
+ * @param {Object} [run.http] - Request scheduler, for the request counts
+ * @param {Object} [run.albumCache] - Album cache, for the cache counts
+ * @param {string} [run.failOn] - Fail-on level the exit code follows
+ * @param {Array<Object>} [run.failedFeeds] - Reports of feeds that couldn't be built at all
+ * @returns {Object} - Report, as written to report.json
+ */
+export function createRunReport(builtFeeds, run) {
+  const finished = new Date();
+  const feeds = [...builtFeeds.map(builtFeed => builtFeed.report).filter(Boolean), ...(run.failedFeeds || [])];
+  const artists = feeds.flatMap(feed => feed.artists || []);
+  const count = status => artists.filter(artist => artist.status === status).length;
+
+  const report = {
+    version: 1,
+    started: run.started.toISOString(),
+    finished: finished.toISOString(),
+    durationMs: finished - run.started,
+    status: 'ok',
+    failOn: run.failOn || 'never',
+    totals: {
+      feeds: feeds.length,
+      failedFeeds: feeds.filter(feed => feed.status === 'error').length,
+      artists: artists.length,
+      failedArtists: count('error'),
+      artistsWithWarnings: count('warning'),
+      // The aggregate repeats the other feeds' items
+      items: feeds.filter(feed => !feed.aggregateOf).reduce((total, feed) => total + (feed.items || 0), 0),
+      errors: artists.reduce((total, artist) => total + artist.errors.length, 0) + feeds.filter(feed => feed.error).length,
+      warnings: artists.reduce((total, artist) => total + artist.warnings.length, 0)
+    },
+    http: run.http ? {
+      requests: run.http.stats.requests,
+      retries: run.http.stats.retries,
+      failures: run.http.stats.failures
+    } : undefined,
+    albumCache: run.albumCache ? { ...run.albumCache.stats } : undefined,
+    feeds
+  };
+
+  report.status = report.totals.failedFeeds > 0 || report.totals.failedArtists > 0 ? 'error' :
+                  report.totals.artistsWithWarnings > 0 ? 'warning' :
+                  'ok';
+  return report;
+}
+
+/**
+ * Get the exit code a run report calls for under a fail-on level
+ * @param {Object} report - Report from createRunReport()
+ * @param {string} failOn - 'never', 'feed' (a whole feed failed), 'artist' (any artist failed) or 'warning' (anything went wrong)
+ * @returns {number} - 0, or REPORT_EXIT_CODE
+ */
+export function getReportExitCode(report, failOn) {
+  const { failedFeeds, failedArtists, artistsWithWarnings } = report.totals;
+  const failed = (failOn === 'feed' && failedFeeds > 0) ||
+                 (failOn === 'artist' && (failedFeeds > 0 || failedArtists > 0)) ||
+                 (failOn === 'warning' && (failedFeeds > 0 || failedArtists > 0 || artistsWithWarnings > 0));
+  return failed ? REPORT_EXIT_CODE : 0;
+}
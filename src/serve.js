@@ -0,0 +1,351 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildSite, resolveSettings } from './build.js';
+import { findConfigFiles, findFeedFile } from './config-files.js';
+import { parseCron, getNextRun } from './cron.js';
+import { log } from './log.js';
+
+// Same schedule as the GitHub Actions workflow: once a day at midnight UTC
+const DEFAULT_SCHEDULE = '0 0 * * *';
+
+// Content types for the pages and feeds a build writes, keyed by extension. JSON files
+// are only served when they are JSON Feeds, the build's own data (state.json,
+// album-cache.json, report.json) stays private.
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.xml': 'application/rss+xml; charset=utf-8',
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.opml': 'text/x-opml; charset=utf-8'
+};
+
+// JSON Feed documents are written as <feed>-feed.json
+const JSON_FEED_SUFFIX = '-feed.json';
+
+// Only reachable from this machine, anything else needs REFRESH_TOKEN to allow refreshes
+const DEFAULT_HOST = '127.0.0.1';
+
+// Longest delay setTimeout accepts, later runs are re-armed when it fires
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Get the content type a site file is served with
+ * @param {string} filePath - File path
+ * @returns {string|null} - Content type, or null for files that aren't served
+ */
+function getContentType(filePath) {
+  if (filePath.endsWith(JSON_FEED_SUFFIX)) {
+    return 'application/feed+json; charset=utf-8';
+  }
+  return CONTENT_TYPES[path.extname(filePath)] || null;
+}
+
+/**
+ * Check whether an address only accepts connections from this machine
+ * @param {string} host - Address the server listens on
+ * @returns {boolean}
+ */
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * Decode a percent-encoded URL path
+ * @param {string} text - Encoded path
+ * @returns {string|null} - Decoded path, or null if the encoding is malformed
+ */
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compute a strong ETag for file contents
+ * @param {Buffer} content - File contents
+ * @returns {string} - Quoted ETag
+ */
+function computeEtag(content) {
+  return `"${crypto.createHash('sha1').update(content).digest('base64url')}"`;
+}
+
+/**
+ * Check an Authorization header against the refresh token without leaking how much of it matched
+ * Both sides are hashed first, timingSafeEqual needs buffers of the same length.
+ * @param {string|undefined} header - Authorization header sent by the client
+ * @param {string} token - Refresh token
+ * @returns {boolean} - True if the header is "Bearer <token>"
+ */
+function isAuthorized(header, token) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(header || ''), digest(`Bearer ${token}`));
+}
+
+/**
+ * Check whether a conditional GET can be answered with 304 Not Modified
+ * If-None-Match wins over If-Modified-Since when both are sent.
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} etag - Current ETag
+ * @param {Date} lastModified - Current modification time
+ * @returns {boolean} - True if the client's copy is current
+ */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  // HTTP dates only have second precision
+  return !Number.isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Send a small JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+/**
+ * Serve the generated site over HTTP and rebuild it on a schedule
+ * The site is the same set of files a normal build writes to the output directory,
+ * served with ETag/Last-Modified so feed readers can poll with conditional GETs.
+ * @param {Object} options - Run options (see resolveSettings()) plus server options
+ * @param {number} [options.port] - Port to listen on (default PORT or 8080)
+ * @param {string} [options.host] - Address to listen on (default HOST or 127.0.0.1, "0.0.0.0" for all interfaces)
+ * @param {string} [options.schedule] - Cron expression for rebuilds, in UTC (default daily at midnight)
+ * @param {string} [options.refreshToken] - Require "Authorization: Bearer <token>" on /refresh (default REFRESH_TOKEN),
+ *                                          without one refreshing only works when listening on localhost
+ * @returns {Promise<Object>} - { server, close() }
+ */
+export async function serve(options = {}) {
+  const settings = resolveSettings(options);
+  const port = Number(options.port || process.env.PORT || 8080);
+  const host = options.host || process.env.HOST || DEFAULT_HOST;
+  const schedule = parseCron(options.schedule || process.env.SCHEDULE || DEFAULT_SCHEDULE);
+  const refreshToken = options.refreshToken || process.env.REFRESH_TOKEN || null;
+
+  // Build status, reported by /healthz
+  const status = {
+    started: new Date(),
+    building: false,
+    lastBuild: null,      // { feed, started, finished, ok, error }
+    lastSuccess: null,
+    nextRun: null
+  };
+
+  // Builds share the state file and output directory, so they run one at a time
+  let buildQueue = Promise.resolve();
+  const pendingFeeds = new Set();
+
+  /**
+   * Queue a rebuild of one feed, or of every feed when feed is null
+   * Asking for a feed that is already waiting doesn't queue it twice.
+   * @param {string|null} feed - Feed id to rebuild
+   * @param {string} reason - Why the build runs, for the log
+   * @returns {Promise<void>}
+   */
+  const queueBuild = (feed, reason) => {
+    const key = feed || '*';
+    if (pendingFeeds.has(key)) {
+      return buildQueue;
+    }
+    pendingFeeds.add(key);
+
+    buildQueue = buildQueue.then(async () => {
+      pendingFeeds.delete(key);
+      const build = { feed, reason, started: new Date(), finished: null, ok: false, error: null };
+      status.building = true;
+      log.info(`Starting ${feed ? `rebuild of ${feed}` : 'full build'} (${reason})`);
+
+      try {
+        await buildSite({ ...options, feed: feed || undefined, dryRun: false, previewFormat: null });
+        build.ok = true;
+        status.lastSuccess = new Date();
+      } catch (error) {
+        build.error = error.message;
+        log.error(`Build failed: ${error.message}`);
+      } finally {
+        build.finished = new Date();
+        status.building = false;
+        status.lastBuild = build;
+        log.info(`Build finished in ${((build.finished - build.started) / 1000).toFixed(1)}s`);
+      }
+    });
+
+    return buildQueue;
+  };
+
+  // Cron timer, re-armed after every run
+  let timer = null;
+  const scheduleNextRun = () => {
+    status.nextRun = getNextRun(schedule);
+    const delay = status.nextRun.getTime() - Date.now();
+
+    timer = setTimeout(() => {
+      if (Date.now() >= status.nextRun.getTime()) {
+        queueBuild(null, `schedule ${schedule.expression}`);
+      }
+      scheduleNextRun();
+    }, Math.min(delay, MAX_TIMER_MS));
+  };
+
+  // ETags are cached per file and recomputed when the file changes on disk
+  const etags = new Map();
+
+  const serveFile = async (req, res, urlPath) => {
+    let relativePath = decodePath(urlPath);
+    if (relativePath === null) {
+      return sendJson(res, 400, { error: 'Malformed URL' });
+    }
+    if (relativePath.endsWith('/')) {
+      relativePath += 'index.html';
+    }
+
+    const filePath = path.resolve(settings.outputDir, `.${relativePath}`);
+    const contentType = getContentType(filePath);
+
+    // Only serve what a build produces, and nothing outside the output directory
+    if (!contentType || !filePath.startsWith(settings.outputDir + path.sep)) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (!status.lastSuccess && status.building) {
+        return sendJson(res, 503, { error: 'The site is still being built, try again shortly' }, { 'Retry-After': '30' });
+      }
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (!stats.isFile()) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    let cached = etags.get(filePath);
+    let content = null;
+    if (!cached || cached.mtimeMs !== stats.mtimeMs || cached.size !== stats.size) {
+      content = await fs.readFile(filePath);
+      cached = { mtimeMs: stats.mtimeMs, size: stats.size, etag: computeEtag(content) };
+      etags.set(filePath, cached);
+    }
+
+    const headers = {
+      'Content-Type': contentType,
+      'ETag': cached.etag,
+      'Last-Modified': stats.mtime.toUTCString(),
+      'Cache-Control': 'no-cache'
+    };
+
+    if (isNotModified(req, cached.etag, stats.mtime)) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    content = content || await fs.readFile(filePath);
+    res.writeHead(200, { ...headers, 'Content-Length': content.length });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  };
+
+  const handleRefresh = (req, res, feedId) => {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Use POST to trigger a refresh' }, { 'Allow': 'POST' });
+    }
+
+    // Anyone who can reach the server could start scrapes otherwise
+    if (!refreshToken && !isLoopback(host)) {
+      return sendJson(res, 403, { error: `Refreshing is disabled on ${host}, set REFRESH_TOKEN to allow it` });
+    }
+    if (refreshToken && !isAuthorized(req.headers['authorization'], refreshToken)) {
+      return sendJson(res, 401, { error: 'Missing or wrong refresh token' }, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    let feed = null;
+    if (feedId) {
+      const feedName = decodePath(feedId);
+      if (feedName === null) {
+        return sendJson(res, 400, { error: 'Malformed URL' });
+      }
+      const jsonFile = findFeedFile(findConfigFiles(settings.artistsDir), feedName);
+      if (!jsonFile) {
+        return sendJson(res, 404, { error: `No feed named "${feedId}"` });
+      }
+      feed = jsonFile.replace(/\.json$/, '');
+    }
+
+    queueBuild(feed, 'refresh request');
+    sendJson(res, 202, { status: 'queued', feed: feed || 'all' });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    log.debug(`${req.method} ${pathname}`);
+
+    try {
+      if (pathname === '/healthz') {
+        const healthy = !!status.lastSuccess || status.building;
+        return sendJson(res, healthy ? 200 : 503, {
+          status: healthy ? 'ok' : 'unavailable',
+          ...status,
+          schedule: schedule.expression
+        });
+      }
+
+      const refresh = pathname.match(/^\/refresh(?:\/(.+?))?\/?$/);
+      if (refresh) {
+        return handleRefresh(req, res, refresh[1]);
+      }
+
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendJson(res, 405, { error: 'Method not allowed' }, { 'Allow': 'GET, HEAD' });
+      }
+
+      await serveFile(req, res, pathname);
+    } catch (error) {
+      log.error(`Error handling ${req.method} ${pathname}: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  log.info(`Serving ${settings.outputDir} on http://${host.includes(':') ? `[${host}]` : host}:${address.port}/`);
+  if (!refreshToken && !isLoopback(host)) {
+    log.warn(`/refresh is disabled because the server listens on ${host}, set REFRESH_TOKEN to allow it`);
+  }
+
+  // Build right away so the site is fresh, then follow the schedule
+  queueBuild(null, 'startup');
+  scheduleNextRun();
+  log.info(`Next scheduled build: ${status.nextRun.toISOString()} (${schedule.expression})`);
+
+  const close = async () => {
+    clearTimeout(timer);
+    await new Promise(resolve => server.close(resolve));
+    // Let a running build finish so the state file isn't left half written
+    await buildQueue;
+  };
+
+  return { server, close };
+}
@@ -0,0 +1,159 @@
+import fs from 'fs-extra';
+import { THEMES } from './templates.js';
+
+/*
+ * Site settings: where the site is published and how it presents itself
+ *
+ * Read from site.json next to artists/ (or --site-config <file>):
+ *
+ *   {
+ *     "baseUrl": "https://feeds.example.com/",
+ *     "title": "Our Release Feeds",
+ *     "author": "The Team",
+ *     "language": "en",
+ *     "theme": "auto"
+ *   }
+ *
+ * Every setting is optional. Without a base URL, SITE_URL is used, and in GitHub Actions
+ * the GitHub Pages address of the repository (from GITHUB_REPOSITORY).
+ */
+
+// Defaults for the settings site.json leaves out
+const DEFAULT_SITE = {
+  title: 'Artist RSS Feed Generator',
+  author: null,
+  language: 'en',
+  theme: null
+};
+
+// Channel link of feeds built without a base URL, so they still point somewhere real
+export const PROJECT_URL = 'https://github.com/blstrManx/bandcamp-rss';
+
+// Settings site.json can have
+const SITE_KEYS = ['baseUrl', 'title', 'author', 'language', 'theme'];
+
+/**
+ * Work out the GitHub Pages address of a repository
+ * @param {string} repository - "owner/name", as in GITHUB_REPOSITORY
+ * @returns {string|null} - e.g. https://owner.github.io/name/, or null if it isn't owner/name
+ */
+export function getGitHubPagesUrl(repository) {
+  const match = /^([^/\s]+)\/([^/\s]+)$/.exec(repository || '');
+  if (!match) {
+    return null;
+  }
+
+  const owner = match[1].toLowerCase();
+  // A repository named <owner>.github.io is served from the root of that domain
+  return match[2].toLowerCase() === `${owner}.github.io` ?
+         `https://${owner}.github.io/` :
+         `https://${owner}.github.io/${match[2]}/`;
+}
+
+/**
+ * Check a base URL and give it the trailing slash relative links need
+ * @param {string} baseUrl - Site address
+ * @param {string} from - Where it was set, for the error message
+ * @returns {string} - Normalized base URL
+ */
+function normalizeBaseUrl(baseUrl, from) {
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (e) {
+    parsed = null;
+  }
+
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`${from} must be an http:// or https:// URL, got "${baseUrl}"`);
+  }
+
+  parsed.search = '';
+  parsed.hash = '';
+  return parsed.toString().replace(/\/?$/, '/');
+}
+
+/**
+ * Resolve the site settings
+ * A base URL passed in wins over site.json, then SITE_URL, then GITHUB_REPOSITORY.
+ * @param {Object} [config] - Contents of site.json
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.baseUrl] - Base URL from the command line
+ * @param {string} [options.file] - Where the config came from, for error messages
+ * @param {Object} [options.env] - Environment variables (default process.env)
+ * @returns {Object} - { baseUrl (null if unknown), title, author, language, theme }
+ */
+export function resolveSiteConfig(config = {}, options = {}) {
+  const env = options.env || process.env;
+  const where = options.file || 'the site config';
+
+  for (const key of Object.keys(config)) {
+    if (!SITE_KEYS.includes(key)) {
+      throw new Error(`Unknown setting "${key}" in ${where}, known settings: ${SITE_KEYS.join(', ')}`);
+    }
+  }
+  for (const key of ['title', 'author', 'language']) {
+    if (config[key] !== undefined && config[key] !== null && (typeof config[key] !== 'string' || !config[key].trim())) {
+      throw new Error(`"${key}" in ${where} must be a non-empty string`);
+    }
+  }
+  if (config.theme !== undefined && !THEMES.includes(config.theme)) {
+    throw new Error(`"theme" in ${where} must be one of: ${THEMES.join(', ')}`);
+  }
+
+  let baseUrl = null;
+  if (options.baseUrl) {
+    baseUrl = normalizeBaseUrl(options.baseUrl, '--base-url');
+  } else if (config.baseUrl) {
+    baseUrl = normalizeBaseUrl(config.baseUrl, `"baseUrl" in ${where}`);
+  } else if (env.SITE_URL) {
+    baseUrl = normalizeBaseUrl(env.SITE_URL, 'SITE_URL');
+  } else if (env.GITHUB_REPOSITORY) {
+    baseUrl = getGitHubPagesUrl(env.GITHUB_REPOSITORY);
+  }
+
+  return {
+    baseUrl,
+    title: config.title || DEFAULT_SITE.title,
+    author: config.author || DEFAULT_SITE.author,
+    language: config.language || DEFAULT_SITE.language,
+    theme: config.theme || DEFAULT_SITE.theme
+  };
+}
+
+/**
+ * Load the site settings from a file
+ * A missing file is fine, everything has a default.
+ * @param {string} siteConfigFile - Path to site.json
+ * @param {Object} [options] - Overrides, see resolveSiteConfig()
+ * @returns {Promise<Object>} - Site settings from resolveSiteConfig()
+ */
+export async function loadSiteConfig(siteConfigFile, options = {}) {
+  let config = {};
+  if (siteConfigFile && (await fs.pathExists(siteConfigFile))) {
+    try {
+      config = await fs.readJson(siteConfigFile);
+    } catch (error) {
+      throw new Error(`Couldn't read ${siteConfigFile}: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`${siteConfigFile} must contain a JSON object`);
+    }
+  }
+
+  return resolveSiteConfig(config, { ...options, file: siteConfigFile });
+}
+
+/**
+ * Get the absolute URL of a file on the site
+ * @param {Object} site - Site settings from resolveSiteConfig()
+ * @param {string} filePath - Path relative to the site root, with forward slashes
+ * @returns {string|null} - Absolute URL, or null without a base URL
+ */
+export function getSiteUrl(site, filePath) {
+  if (!site || !site.baseUrl) {
+    return null;
+  }
+  // Feed ids can have characters that need escaping in a URL, the slashes between folders stay
+  return site.baseUrl + filePath.split('/').map(encodeURIComponent).join('/');
+}
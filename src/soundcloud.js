@@ -0,0 +1,305 @@
+import * as cheerio from 'cheerio';
+import { pickDate } from './dates.js';
+import { log } from './log.js';
+import { createScrapeResult, describeError } from './report.js';
+
+const API_BASE = 'https://api-v2.soundcloud.com';
+
+// What an artist's "include" setting can ask for, and the API collection each one comes from
+const COLLECTIONS = {
+  tracks: 'tracks',
+  albums: 'albums',                       // Albums, EPs, singles and compilations
+  playlists: 'playlists_without_albums'   // Plain playlists, often other people's tracks
+};
+
+const DEFAULT_INCLUDE = ['tracks', 'albums'];
+
+// Stop paging after this many pages per collection, even if we haven't found enough releases
+const MAX_PAGES = 5;
+
+// The client id is the same for every page, so it only needs finding once per process
+let cachedClientId = null;
+
+/**
+ * Pull the window.__sc_hydration payload out of a SoundCloud page
+ * @param {string} html - Page HTML
+ * @returns {Array} - Hydration entries ({ hydratable, data }), empty if there are none
+ */
+export function parseHydration(html) {
+  const $ = cheerio.load(html);
+  let entries = [];
+
+  $('script').each((i, el) => {
+    const text = $(el).html() || '';
+    const start = text.indexOf('window.__sc_hydration');
+    if (start === -1) {
+      return;
+    }
+
+    const json = text.slice(text.indexOf('[', start), text.lastIndexOf(']') + 1);
+    try {
+      entries = JSON.parse(json);
+    } catch (error) {
+      log.debug(`Couldn't parse SoundCloud hydration data: ${error.message}`);
+    }
+    return false;
+  });
+
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Find the API client id for the public v2 endpoints
+ * Checks SOUNDCLOUD_CLIENT_ID, then the hydration data, then the page's script bundles.
+ * @param {string} html - Profile page HTML
+ * @param {Array} hydration - Entries from parseHydration()
+ * @param {Object} http - Request scheduler
+ * @returns {Promise<string>} - Client id
+ */
+async function findClientId(html, hydration, http) {
+  if (process.env.SOUNDCLOUD_CLIENT_ID) {
+    return process.env.SOUNDCLOUD_CLIENT_ID;
+  }
+
+  if (cachedClientId) {
+    return cachedClientId;
+  }
+
+  const apiClient = hydration.find(entry => entry.hydratable === 'apiClient');
+  if (apiClient && apiClient.data && apiClient.data.id) {
+    cachedClientId = apiClient.data.id;
+    return cachedClientId;
+  }
+
+  // Older pages only have it inside one of the app bundles, usually one of the last ones
+  const $ = cheerio.load(html);
+  const scripts = $('script[src]')
+    .map((i, el) => $(el).attr('src'))
+    .get()
+    .filter(src => /sndcdn\.com\/assets\/.+\.js$/.test(src))
+    .reverse();
+
+  for (const src of scripts) {
+    const { data } = await http.get(src);
+    const match = String(data).match(/client_id\s*[:=]\s*"([0-9a-zA-Z]{32})"/) || String(data).match(/client_id=([0-9a-zA-Z]{32})/);
+    if (match) {
+      cachedClientId = match[1];
+      return cachedClientId;
+    }
+  }
+
+  throw new Error('Could not find a SoundCloud client id, set SOUNDCLOUD_CLIENT_ID to provide one');
+}
+
+/**
+ * Add the client id to an API URL (next_href links come without it)
+ * @param {string} url - API URL
+ * @param {string} clientId - Client id
+ * @returns {string} - URL with client_id set
+ */
+function withClientId(url, clientId) {
+  const parsed = new URL(url);
+  parsed.searchParams.set('client_id', clientId);
+  return parsed.toString();
+}
+
+/**
+ * Page through an API collection until enough items were found
+ * @param {Object} http - Request scheduler
+ * @param {string} url - First page URL
+ * @param {string} clientId - Client id
+ * @param {number} wanted - Number of items needed
+ * @returns {Promise<Array>} - Collection items
+ */
+async function fetchCollection(http, url, clientId, wanted) {
+  const items = [];
+  let next = url;
+  let pages = 0;
+
+  while (next && items.length < wanted && pages < MAX_PAGES) {
+    const { data } = await http.get(withClientId(next, clientId));
+    items.push(...(data.collection || []));
+    next = data.next_href || null;
+    pages++;
+  }
+
+  return items;
+}
+
+/**
+ * Split a SoundCloud tag list, where multi-word tags are quoted
+ * e.g. '"deep house" techno' becomes ['deep house', 'techno'].
+ * @param {string} tagList - tag_list field
+ * @returns {Array<string>} - Tags
+ */
+function parseTagList(tagList) {
+  const tags = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(tagList || '')) !== null) {
+    tags.push((match[1] || match[2]).trim());
+  }
+
+  return tags;
+}
+
+/**
+ * Get a bigger version of a SoundCloud artwork URL
+ * @param {string} artworkUrl - Artwork URL, usually the 100x100 "-large" size
+ * @returns {string} - 500x500 artwork URL, or an empty string
+ */
+function getArtworkUrl(artworkUrl) {
+  return artworkUrl ? artworkUrl.replace(/-large(\.\w+)$/, '-t500x500$1') : '';
+}
+
+/**
+ * Turn a track or playlist from the API into a release
+ * @param {Object} item - API track or playlist object
+ * @param {string} collection - Which include it came from: 'tracks', 'albums' or 'playlists'
+ * @returns {Object} - Release object
+ */
+export function toRelease(item, collection) {
+  // set_type is "album", "ep", "single" or "compilation" for albums, empty for playlists
+  const type = collection === 'tracks' ? 'track' : (item.set_type || (item.is_album ? 'album' : 'playlist'));
+  // The release date labels set, then when it was made public, then when it was uploaded
+  const { date, datePrecision, dateSource } = pickDate([
+    ['soundcloud:release_date', item.release_date],
+    ['soundcloud:display_date', item.display_date],
+    ['soundcloud:created_at', item.created_at]
+  ]);
+
+  // Playlists only include full details for the first few tracks, skip the list if any are missing
+  const setTracks = Array.isArray(item.tracks) ? item.tracks : [];
+  const tracks = setTracks.length > 0 && setTracks.every(track => track.title) ?
+                 setTracks.map((track, index) => ({
+                   number: index + 1,
+                   title: track.title,
+                   duration: track.duration ? Math.round(track.duration / 1000) : null
+                 })) :
+                 [];
+
+  const tags = [];
+  for (const tag of [item.genre, ...parseTagList(item.tag_list)]) {
+    if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+
+  const publisher = item.publisher_metadata || {};
+  const notes = (item.description || '').trim();
+
+  return {
+    title: item.title,
+    url: item.permalink_url,
+    sourceId: item.id ? `soundcloud:${item.kind || (collection === 'tracks' ? 'track' : 'playlist')}:${item.id}` : undefined,
+    date,
+    datePrecision,
+    dateSource,
+    image: getArtworkUrl(item.artwork_url || (item.user && item.user.avatar_url)),
+    description: notes ?
+                 (notes.length > 300 ? notes.substring(0, 297) + '...' : notes) :
+                 `New ${type} on SoundCloud`,
+    metadata: {
+      type,
+      artist: publisher.artist || (item.user && item.user.username) || null,
+      tracks,
+      runtime: item.duration ? Math.round(item.duration / 1000) : null,
+      tags,
+      label: item.label_name || null,
+      catalogNumber: null,
+      price: null,
+      currency: null,
+      nameYourPrice: false,
+      credits: null
+    }
+  };
+}
+
+/**
+ * Scrape releases from a SoundCloud artist page
+ * The profile page's hydration data gives the user id (and usually the client id),
+ * then tracks and albums are paged through with the public api-v2 endpoints.
+ * @param {string} url - SoundCloud artist URL, e.g. https://soundcloud.com/artist
+ * @param {number} maxReleases - Maximum number of releases to return
+ * @param {Object} options - Scrape options
+ * @param {Object} options.http - Request scheduler
+ * @param {Array<string>} [options.include] - Any of 'tracks', 'albums' and 'playlists' (default tracks and albums)
+ * @param {boolean} [options.includeUpcoming] - Keep future releases (flagged as upcoming) instead of skipping them
+ * @returns {Promise<Object>} - Scrape result: { releases (newest first), errors, warnings }, see src/report.js
+ */
+export async function scrapeSoundcloud(url, maxReleases = 2, options = {}) {
+  const { http, includeUpcoming = false } = options;
+  const include = (options.include || DEFAULT_INCLUDE).filter(name => COLLECTIONS[name]);
+
+  try {
+    // Tracks, sets etc. all live under the profile, so go to the profile page itself
+    const permalink = new URL(url).pathname.split('/').filter(Boolean)[0];
+    if (!permalink) {
+      throw new Error(`${url} is not a SoundCloud artist page`);
+    }
+
+    const { data: html } = await http.get(`https://soundcloud.com/${permalink}`);
+    const hydration = parseHydration(html);
+    const userEntry = hydration.find(entry => entry.hydratable === 'user');
+
+    if (!userEntry || !userEntry.data || !userEntry.data.id) {
+      throw new Error(`No user data found on ${url}`);
+    }
+
+    const userId = userEntry.data.id;
+    const clientId = await findClientId(html, hydration, http);
+    log.debug(`SoundCloud user ${userEntry.data.username} has id ${userId}`);
+
+    // Each collection is sorted newest first, so enough from each covers the newest overall
+    const limit = Math.min(Math.max(maxReleases, 10), 50);
+    const now = new Date();
+    const releases = [];
+
+    for (const name of include) {
+      let items;
+      try {
+        items = await fetchCollection(http, `${API_BASE}/users/${userId}/${COLLECTIONS[name]}?limit=${limit}&linked_partitioning=1`, clientId, maxReleases);
+      } catch (error) {
+        // An expired client id shows up as 401/403, find a new one next time
+        if (error.response && [401, 403].includes(error.response.status)) {
+          cachedClientId = null;
+        }
+        throw error;
+      }
+
+      for (const item of items) {
+        const release = toRelease(item, name);
+
+        if (!release.url) {
+          continue;
+        }
+
+        if (release.date && release.date > now) {
+          if (!includeUpcoming) {
+            log.debug(`Skipping future release: ${release.title} (Release date: ${release.date.toISOString()})`);
+            continue;
+          }
+          release.upcoming = true;
+        }
+
+        releases.push(release);
+      }
+    }
+
+    log.info(`Found ${releases.length} SoundCloud releases for ${permalink} (${include.join(', ')}), keeping up to ${maxReleases}`);
+
+    // Sort the releases by date, newest first, undated ones (dated when first seen) on top
+    releases.sort((a, b) => (b.date || now) - (a.date || now));
+    const result = createScrapeResult(releases.slice(0, maxReleases));
+    if (releases.length === 0) {
+      result.warnings.push({ type: 'parse', message: `No ${include.join(' or ')} found`, url });
+    }
+    return result;
+  } catch (error) {
+    log.error(`Error scraping SoundCloud: ${error.message}`);
+    const result = createScrapeResult();
+    result.errors.push(describeError(error, url));
+    return result;
+  }
+}
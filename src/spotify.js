@@ -0,0 +1,269 @@
+import { log } from './log.js';
+import { createScrapeResult, describeError } from './report.js';
+import { pickDate } from './dates.js';
+
+// Overridable so the scraper can be pointed at a local mock server
+const DEFAULT_API_URL = 'https://api.spotify.com/v1';
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.spotify.com';
+
+// Release groups to follow, fetched separately because the API lists all albums before any singles
+const INCLUDE_GROUPS = ['album', 'single'];
+
+// GET /albums takes at most this many ids per request
+const ALBUM_BATCH_SIZE = 20;
+
+// Access tokens last an hour, keep one per client id for the whole run
+const tokens = new Map();
+
+/**
+ * Read the Spotify settings from the environment
+ * @returns {Object} - { clientId, clientSecret, market, apiUrl, accountsUrl }
+ */
+function getSpotifySettings() {
+  return {
+    clientId: process.env.SPOTIFY_CLIENT_ID || null,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET || null,
+    market: process.env.SPOTIFY_MARKET || null,
+    apiUrl: (process.env.SPOTIFY_API_URL || DEFAULT_API_URL).replace(/\/$/, ''),
+    accountsUrl: (process.env.SPOTIFY_ACCOUNTS_URL || DEFAULT_ACCOUNTS_URL).replace(/\/$/, '')
+  };
+}
+
+/**
+ * Get the artist id from a Spotify artist URL
+ * Accepts https://open.spotify.com/artist/<id> and localized /intl-xx/artist/<id> links.
+ * @param {string} url - Spotify artist URL
+ * @returns {string|null} - Artist id, or null if the URL isn't an artist link
+ */
+export function getSpotifyArtistId(url) {
+  const match = url.match(/spotify\.com\/(?:intl-[a-z-]+\/)?artist\/([0-9A-Za-z]{22})/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get an access token with the client credentials flow
+ * @param {Object} http - Request scheduler
+ * @param {Object} settings - Settings from getSpotifySettings()
+ * @returns {Promise<string>} - Access token
+ */
+async function getAccessToken(http, settings) {
+  const cached = tokens.get(settings.clientId);
+  // Renew a minute early so a token can't expire halfway through a run
+  if (cached && cached.expires > Date.now() + 60000) {
+    return cached.token;
+  }
+
+  const credentials = Buffer.from(`${settings.clientId}:${settings.clientSecret}`).toString('base64');
+  const { data } = await http.post(`${settings.accountsUrl}/api/token`, 'grant_type=client_credentials', {
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+
+  if (!data || !data.access_token) {
+    throw new Error('Spotify did not return an access token');
+  }
+
+  tokens.set(settings.clientId, {
+    token: data.access_token,
+    expires: Date.now() + (data.expires_in || 3600) * 1000
+  });
+  return data.access_token;
+}
+
+/**
+ * GET a Web API endpoint, getting a new token once if the current one was rejected
+ * @param {Object} http - Request scheduler
+ * @param {Object} settings - Settings from getSpotifySettings()
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<Object>} - Response body
+ */
+async function apiGet(http, settings, url) {
+  for (let attempt = 0; ; attempt++) {
+    const token = await getAccessToken(http, settings);
+    try {
+      const { data } = await http.get(url, { headers: { 'Authorization': `Bearer ${token}` } });
+      return data;
+    } catch (error) {
+      if (attempt === 0 && error.response && error.response.status === 401) {
+        tokens.delete(settings.clientId);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Read a Spotify release date
+ * Older releases often only have a year ("1997") or a month ("1997-03"), those are
+ * placed at the start of that year or month (UTC), see parseDateText() in src/dates.js.
+ * @param {Object} album - Album with a release_date field
+ * @returns {Object} - { date (Date or null), datePrecision, dateSource }
+ */
+export function readReleaseDate(album) {
+  return pickDate([['spotify:release_date', album.release_date]]);
+}
+
+/**
+ * Turn a Spotify album into a release
+ * @param {Object} album - Simplified album from the artist's albums
+ * @param {Object} [details] - Full album from GET /albums, for tracks, label and genres
+ * @returns {Object} - Release object
+ */
+export function toRelease(album, details = null) {
+  // Images are sorted largest first
+  const image = album.images && album.images.length > 0 ? album.images[0].url : '';
+  const artist = (album.artists || []).map(artist => artist.name).join(', ') || null;
+
+  const tracks = details && details.tracks && Array.isArray(details.tracks.items) ?
+                 details.tracks.items.map(track => ({
+                   number: track.track_number || null,
+                   title: track.name,
+                   duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : null
+                 })) :
+                 [];
+  const runtime = tracks.length > 0 && tracks.every(track => track.duration) ?
+                  tracks.reduce((total, track) => total + track.duration, 0) :
+                  null;
+
+  const trackCount = album.total_tracks ? ` (${album.total_tracks} track${album.total_tracks === 1 ? '' : 's'})` : '';
+
+  return {
+    title: album.name,
+    url: (album.external_urls && album.external_urls.spotify) || `https://open.spotify.com/album/${album.id}`,
+    sourceId: `spotify:album:${album.id}`,
+    ...readReleaseDate(album),
+    image,
+    description: `New ${album.album_type || 'release'} on Spotify${trackCount}`,
+    metadata: {
+      type: album.album_type || null,
+      artist,
+      tracks,
+      runtime,
+      tags: (details && details.genres) || [],
+      label: (details && details.label) || null,
+      catalogNumber: null,
+      price: null,
+      currency: null,
+      nameYourPrice: false,
+      credits: null
+    }
+  };
+}
+
+/**
+ * Scrape releases from a Spotify artist through the Web API
+ * Needs SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET (client credentials flow, no user login).
+ * Requests go through the shared scheduler, and SPOTIFY_API_URL / SPOTIFY_ACCOUNTS_URL
+ * can point them at a mock server.
+ * @param {string} url - Spotify artist URL, e.g. https://open.spotify.com/artist/<id>
+ * @param {number} maxReleases - Maximum number of releases to return
+ * @param {Object} options - Scrape options
+ * @param {Object} options.http - Request scheduler
+ * @param {string} [options.market] - Only list releases available in this country (ISO 3166-1 alpha-2), defaults to SPOTIFY_MARKET
+ * @param {boolean} [options.includeUpcoming] - Keep future releases (flagged as upcoming) instead of skipping them
+ * @returns {Promise<Object>} - Scrape result: { releases (newest first), errors, warnings }, see src/report.js
+ */
+export async function scrapeSpotify(url, maxReleases = 2, options = {}) {
+  const { http, includeUpcoming = false } = options;
+  const settings = getSpotifySettings();
+  const market = options.market || settings.market;
+  const result = createScrapeResult();
+
+  try {
+    if (!settings.clientId || !settings.clientSecret) {
+      throw new Error('SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET must be set to follow Spotify artists');
+    }
+
+    const artistId = getSpotifyArtistId(url);
+    if (!artistId) {
+      throw new Error(`${url} is not a Spotify artist link`);
+    }
+
+    // Each group comes back newest first, so maxReleases from each covers the newest overall
+    const albums = [];
+    for (const group of INCLUDE_GROUPS) {
+      const params = new URLSearchParams({ include_groups: group, limit: String(Math.min(maxReleases, 50)) });
+      if (market) {
+        params.set('market', market);
+      }
+
+      // A page has at most 50 albums, follow "next" for bigger maxReleases
+      let next = `${settings.apiUrl}/artists/${artistId}/albums?${params}`;
+      let found = 0;
+      while (next && found < maxReleases) {
+        const data = await apiGet(http, settings, next);
+        const items = data.items || [];
+        albums.push(...items);
+        found += items.length;
+        next = items.length > 0 ? data.next : null;
+      }
+    }
+
+    // With a market the API already leaves out unavailable albums, but not every response is filtered
+    const available = albums.filter(album => !market || !Array.isArray(album.available_markets) || album.available_markets.includes(market));
+    log.info(`Found ${albums.length} Spotify releases for ${artistId}${market ? `, ${available.length} available in ${market}` : ''}, processing up to ${maxReleases}`);
+
+    const now = new Date();
+    const candidates = available
+      .map(album => ({ album, date: readReleaseDate(album).date }))
+      .filter(({ album, date }) => {
+        if (!date) {
+          log.warn(`Skipping Spotify release with an unreadable date: ${album.name} (${album.release_date})`);
+          result.warnings.push({ type: 'parse', message: `Unreadable release date "${album.release_date}" for ${album.name}`, url });
+          return false;
+        }
+        if (date > now && !includeUpcoming) {
+          log.debug(`Skipping future release: ${album.name} (Release date: ${album.release_date})`);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => b.date - a.date)
+      .slice(0, maxReleases)
+      .map(({ album }) => album);
+
+    // Track lists, label and genres are only on the full album objects
+    const details = new Map();
+    for (let i = 0; i < candidates.length; i += ALBUM_BATCH_SIZE) {
+      const ids = candidates.slice(i, i + ALBUM_BATCH_SIZE).map(album => album.id);
+      const params = new URLSearchParams({ ids: ids.join(',') });
+      if (market) {
+        params.set('market', market);
+      }
+
+      try {
+        const data = await apiGet(http, settings, `${settings.apiUrl}/albums?${params}`);
+        for (const album of data.albums || []) {
+          if (album) {
+            details.set(album.id, album);
+          }
+        }
+      } catch (error) {
+        log.warn(`Couldn't get Spotify album details, continuing without track lists: ${error.message}`);
+        result.warnings.push(describeError(error, `${settings.apiUrl}/albums?${params}`));
+      }
+    }
+
+    result.releases = candidates.map(album => {
+      const release = toRelease(album, details.get(album.id));
+      if (release.date > now) {
+        release.upcoming = true;
+      }
+      return release;
+    });
+
+    if (albums.length === 0) {
+      result.warnings.push({ type: 'parse', message: 'No releases found for the artist', url });
+    }
+    return result;
+  } catch (error) {
+    log.error(`Error scraping Spotify: ${error.message}`);
+    // Missing credentials are a setup problem, not something wrong with the artist's page
+    result.errors.push(describeError(error, url, settings.clientId && settings.clientSecret ? undefined : 'config'));
+    result.releases = [];
+    return result;
+  }
+}
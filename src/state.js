@@ -0,0 +1,320 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { log } from './log.js';
+import { getReleaseKeys, getReleaseGuid, mergeListedBy, mergeCurators, combineReleases } from './dedupe.js';
+
+// Bump this if the shape of the state file changes in an incompatible way
+const STATE_VERSION = 1;
+
+// Defaults used when a feed config doesn't specify a retention block
+const DEFAULT_RETENTION = {
+  maxItems: 100,   // Keep at most this many releases per feed
+  maxAgeDays: 0    // 0 means releases never expire by age
+};
+
+/**
+ * Create an empty state object
+ * @returns {Object} - Fresh state with no feeds
+ */
+export function createEmptyState() {
+  return {
+    version: STATE_VERSION,
+    updated: null,
+    feeds: {}
+  };
+}
+
+/**
+ * Load the persisted release state from disk
+ * Missing or unreadable files result in an empty state so a first run still works.
+ * @param {string} stateFile - Path to the JSON state file
+ * @returns {Promise<Object>} - State object
+ */
+export async function loadState(stateFile) {
+  if (!(await fs.pathExists(stateFile))) {
+    log.info(`No release state found at ${stateFile}, starting fresh`);
+    return createEmptyState();
+  }
+
+  let state;
+  try {
+    state = await fs.readJson(stateFile);
+  } catch (error) {
+    log.error(`Error reading release state from ${stateFile}: ${error.message}`);
+    await setStateAside(stateFile);
+    return createEmptyState();
+  }
+
+  if (!state || state.version !== STATE_VERSION || !state.feeds || typeof state.feeds !== 'object') {
+    log.error(`Release state at ${stateFile} has an unknown format`);
+    await setStateAside(stateFile);
+    return createEmptyState();
+  }
+
+  const feedCount = Object.keys(state.feeds).length;
+  log.info(`Loaded release state for ${feedCount} feed(s) from ${stateFile}`);
+  return state;
+}
+
+/**
+ * Move a state file that can't be read out of the way, so saving the fresh state doesn't
+ * overwrite the release history it holds
+ * @param {string} stateFile - Path to the JSON state file
+ * @returns {Promise<void>}
+ */
+async function setStateAside(stateFile) {
+  const corruptFile = `${stateFile}.corrupt`;
+  await fs.move(stateFile, corruptFile, { overwrite: true });
+  log.error(`Moved it to ${corruptFile} and started fresh, fix or remove that file to get the history back`);
+}
+
+/**
+ * Write the release state back to disk
+ * @param {string} stateFile - Path to the JSON state file
+ * @param {Object} state - State object to persist
+ * @returns {Promise<void>}
+ */
+export async function saveState(stateFile, state) {
+  state.updated = new Date().toISOString();
+  await fs.ensureDir(path.dirname(stateFile));
+  // Write next to the file and move it into place, so an interrupted run can't leave half a state
+  const tempFile = `${stateFile}.tmp`;
+  await fs.writeJson(tempFile, state, { spaces: 2 });
+  await fs.move(tempFile, stateFile, { overwrite: true });
+  log.info(`Release state written to ${stateFile}`);
+}
+
+/**
+ * Resolve the retention settings for a feed config
+ * @param {Object} artistsData - Parsed feed config (contents of an artists/*.json file)
+ * @returns {Object} - Retention settings with maxItems and maxAgeDays
+ */
+export function getRetention(artistsData) {
+  const retention = (artistsData && artistsData.retention) || {};
+  return {
+    maxItems: Number.isInteger(retention.maxItems) && retention.maxItems > 0 ?
+              retention.maxItems : DEFAULT_RETENTION.maxItems,
+    maxAgeDays: Number.isFinite(retention.maxAgeDays) && retention.maxAgeDays > 0 ?
+                retention.maxAgeDays : DEFAULT_RETENTION.maxAgeDays
+  };
+}
+
+/**
+ * Get (and create if needed) the stored entry for a feed
+ * @param {Object} state - State object
+ * @param {string} feedKey - Feed identifier (JSON file path without extension)
+ * @returns {Object} - Feed entry with a releases map keyed by release URL
+ */
+function getFeedEntry(state, feedKey) {
+  if (!state.feeds[feedKey]) {
+    state.feeds[feedKey] = { releases: {} };
+  }
+  return state.feeds[feedKey];
+}
+
+/**
+ * Merge newly scraped releases into the stored history of a feed
+ * Known releases (matched by source id or canonical URL, see src/dedupe.js) keep their
+ * firstSeen date and feed item id ("guid") and have their details refreshed, new ones
+ * are added, and the history is then pruned to the retention settings.
+ * Releases that were ever seen as upcoming stay marked as announced once they are out.
+ * @param {Object} state - State object
+ * @param {string} feedKey - Feed identifier
+ * @param {Array} releases - Scraped releases, each with artistName and artistUrl attached
+ * @param {Object} retention - Retention settings from getRetention()
+ * @returns {Object} - Counts of added, updated and pruned releases
+ */
+export function mergeReleases(state, feedKey, releases, retention) {
+  const entry = getFeedEntry(state, feedKey);
+  const now = new Date().toISOString();
+  let added = 0;
+  let updated = 0;
+
+  // Stored releases by each of their keys, so an album found under another URL is still recognised
+  const known = new Map();
+  for (const record of Object.values(entry.releases)) {
+    for (const key of getReleaseKeys(record)) {
+      if (!known.has(key)) {
+        known.set(key, record);
+      }
+    }
+  }
+
+  for (const release of releases) {
+    const keys = getReleaseKeys(release);
+    const existing = keys.map(key => known.get(key)).find(Boolean);
+    const date = release.date instanceof Date ? release.date.toISOString() : release.date;
+    let record;
+
+    if (existing) {
+      // A collected release stays dated when a fan first picked it up
+      const keepDate = !!(existing.curators && existing.date) || !date;
+      record = {
+        ...existing,
+        // Worked out before the new details can change it, for histories from before guids were stored
+        guid: getReleaseGuid(existing),
+        title: release.title,
+        date: keepDate ? existing.date : date,
+        datePrecision: keepDate ? existing.datePrecision : release.datePrecision,
+        dateSource: keepDate ? existing.dateSource : release.dateSource,
+        image: release.image || existing.image,
+        description: release.description || existing.description,
+        metadata: release.metadata || existing.metadata || null,
+        sourceId: release.sourceId || existing.sourceId,
+        artist: release.artist || existing.artist,
+        artistName: release.artistName,
+        artistUrl: release.artistUrl,
+        listedBy: mergeListedBy(existing.listedBy, release.listedBy),
+        curators: mergeCurators(existing.curators, release.curators),
+        upcoming: !!release.upcoming,
+        announced: !!(existing.announced || release.upcoming),
+        lastSeen: now
+      };
+      // Stays under the URL it was first stored with
+      entry.releases[existing.url] = record;
+      updated++;
+    } else {
+      record = {
+        guid: getReleaseGuid(release),
+        title: release.title,
+        url: release.url,
+        date,
+        datePrecision: release.datePrecision,
+        dateSource: release.dateSource,
+        image: release.image || '',
+        description: release.description || '',
+        metadata: release.metadata || null,
+        sourceId: release.sourceId,
+        artist: release.artist,
+        artistName: release.artistName,
+        artistUrl: release.artistUrl,
+        listedBy: release.listedBy,
+        curators: release.curators,
+        upcoming: !!release.upcoming,
+        announced: !!release.upcoming,
+        firstSeen: now,
+        lastSeen: now
+      };
+      entry.releases[release.url] = record;
+      added++;
+    }
+
+    for (const key of keys.concat(getReleaseKeys(record))) {
+      known.set(key, record);
+    }
+  }
+
+  // Releases that weren't seen this time keep the id they would have been published under so far
+  for (const record of Object.values(entry.releases)) {
+    record.guid = getReleaseGuid(record);
+  }
+
+  const pruned = pruneReleases(entry, retention);
+  return { added, updated, pruned };
+}
+
+/**
+ * Drop releases that fall outside the retention window or over the item cap
+ * @param {Object} entry - Feed entry from the state
+ * @param {Object} retention - Retention settings
+ * @returns {number} - Number of releases removed
+ */
+function pruneReleases(entry, retention) {
+  let records = Object.values(entry.releases);
+  const before = records.length;
+
+  if (retention.maxAgeDays > 0) {
+    const cutoff = Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000;
+    records = records.filter(record => new Date(record.date || record.firstSeen).getTime() >= cutoff);
+  }
+
+  // Undated releases go by when they were first seen
+  records.sort((a, b) => new Date(b.date || b.firstSeen) - new Date(a.date || a.firstSeen));
+  records = records.slice(0, retention.maxItems);
+
+  entry.releases = {};
+  for (const record of records) {
+    entry.releases[record.url] = record;
+  }
+
+  return before - records.length;
+}
+
+/**
+ * Get the stored releases for a feed, newest first, with dates as Date objects
+ * Releases without a date of their own are dated when first seen, with dateSource "first-seen".
+ * @param {Object} state - State object
+ * @param {string} feedKey - Feed identifier
+ * @returns {Array} - Array of release records
+ */
+export function getFeedReleases(state, feedKey) {
+  const entry = state.feeds[feedKey];
+  if (!entry) {
+    return [];
+  }
+
+  // Histories from before releases were matched across URLs can hold the same album twice
+  return combineReleases(Object.values(entry.releases))
+    .map(record => ({
+      ...record,
+      date: new Date(record.date || record.firstSeen),
+      dateSource: record.date ? record.dateSource : 'first-seen',
+      firstSeen: new Date(record.firstSeen),
+      lastSeen: new Date(record.lastSeen)
+    }))
+    .sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Record how scraping the artists of a feed went
+ * The last successful scrape is kept across runs, so an artist that keeps failing shows
+ * since when. Artists that are no longer in the feed are forgotten.
+ * @param {Object} state - State object
+ * @param {string} feedKey - Feed identifier
+ * @param {Array<Object>} artistReports - Artist reports of this run, see scrapeFeedArtists()
+ * @param {Array<Object>} artists - Artists in the feed config
+ */
+export function recordArtistScrapes(state, feedKey, artistReports, artists) {
+  const entry = getFeedEntry(state, feedKey);
+  const now = new Date().toISOString();
+  const previous = entry.artists || {};
+  const configured = new Set(artists.map(artist => artist.url));
+
+  entry.artists = {};
+  for (const [url, record] of Object.entries(previous)) {
+    if (configured.has(url)) {
+      entry.artists[url] = record;
+    }
+  }
+
+  for (const report of artistReports) {
+    const failed = report.status === 'error';
+    const problem = report.errors[0] || report.warnings[0];
+    entry.artists[report.url] = {
+      status: report.status,
+      lastScraped: now,
+      lastSuccess: failed ? (previous[report.url] && previous[report.url].lastSuccess) || null : now,
+      message: problem ? problem.message : null
+    };
+  }
+}
+
+/**
+ * Get the last scrape of each artist in a feed, with times as Date objects
+ * @param {Object} state - State object
+ * @param {string} feedKey - Feed identifier
+ * @returns {Object} - Artist URL -> { status, lastScraped, lastSuccess, message }
+ */
+export function getArtistScrapes(state, feedKey) {
+  const entry = state.feeds[feedKey];
+  const scrapes = {};
+
+  for (const [url, record] of Object.entries((entry && entry.artists) || {})) {
+    scrapes[url] = {
+      ...record,
+      lastScraped: record.lastScraped ? new Date(record.lastScraped) : null,
+      lastSuccess: record.lastSuccess ? new Date(record.lastSuccess) : null
+    };
+  }
+  return scrapes;
+}
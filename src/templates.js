@@ -0,0 +1,281 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/*
+ * Templates for the HTML pages
+ *
+ * The pages are rendered from small mustache-style templates. The default theme lives
+ * in src/templates/, and a templates directory (templates/ next to artists/, or
+ * --templates <dir>) can replace any of its files:
+ *
+ *   layout.html  the page around every other template, gets the page in {{{ content }}}
+ *   index.html   the main page listing every feed
+ *   feed.html    the info page of one feed
+ *   style.css    the stylesheet shared by all pages, written to the site as style.css
+ *
+ * Template tags:
+ *
+ *   {{ name }}                      value, HTML-escaped. Dotted paths (feed.title) work
+ *   {{{ name }}}                    value as is, for HTML that was built safely already
+ *   {{#if name}} ... {{else}} ... {{/if}}
+ *   {{#unless name}} ... {{/unless}}
+ *   {{#each list}} ... {{else}} ... {{/each}}
+ *                                   inside the loop the item's fields are in scope, the
+ *                                   item itself is {{ this }} and its position {{ @index }}
+ */
+
+// Default theme, also the fallback for any file a templates directory leaves out
+const defaultTemplatesDir = path.join(__dirname, 'templates');
+
+// Files a theme is made of
+export const TEMPLATE_FILES = ['layout.html', 'index.html', 'feed.html', 'style.css'];
+
+// Color schemes of the default stylesheet. auto follows the reader's system setting
+export const THEMES = ['dark', 'light', 'auto'];
+
+// {{{ raw }}}, or {{ value }} / {{#block path}} / {{else}} / {{/block}}
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each)?\s*([\w.@]*)\s*\}\}/g;
+
+// Default theme, read on first use
+let defaultTemplates = null;
+
+/**
+ * Escape text for use inside HTML markup
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse a template into a tree of text, value and block nodes
+ * @param {string} source - Template text
+ * @param {string} name - Template file name, for error messages
+ * @returns {Array<Object>} - Nodes
+ */
+export function compileTemplate(source, name) {
+  const root = { type: 'root', body: [] };
+  const stack = [{ node: root, target: root.body }];
+  let last = 0;
+
+  const lineAt = offset => source.slice(0, offset).split('\n').length;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, rawPath, keyword, valuePath] = match;
+    const current = stack[stack.length - 1];
+    let start = match.index;
+    let end = match.index + tag.length;
+
+    // A block tag on a line of its own takes the line with it, so blocks don't leave blank lines
+    if (keyword) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = source.indexOf('\n', end);
+      const after = lineEnd === -1 ? source.slice(end) : source.slice(end, lineEnd);
+      if (lineStart >= last && !source.slice(lineStart, start).trim() && !after.trim()) {
+        start = lineStart;
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    if (start > last) {
+      current.target.push({ type: 'text', text: source.slice(last, start) });
+    }
+    last = end;
+
+    if (rawPath) {
+      current.target.push({ type: 'value', path: rawPath, raw: true });
+    } else if (!keyword) {
+      if (!valuePath) {
+        throw new Error(`${name}:${lineAt(match.index)}: empty tag`);
+      }
+      current.target.push({ type: 'value', path: valuePath, raw: false });
+    } else if (keyword.startsWith('#')) {
+      if (!valuePath) {
+        throw new Error(`${name}:${lineAt(match.index)}: {{${keyword}}} needs a value to test`);
+      }
+      const block = { type: keyword.slice(1), path: valuePath, body: [], otherwise: [], line: lineAt(match.index) };
+      current.target.push(block);
+      stack.push({ node: block, target: block.body });
+    } else if (keyword === 'else') {
+      if (current.node === root || current.target === current.node.otherwise) {
+        throw new Error(`${name}:${lineAt(match.index)}: {{else}} outside an if, unless or each block`);
+      }
+      current.target = current.node.otherwise;
+    } else {
+      const type = keyword.slice(1);
+      if (current.node.type !== type) {
+        const open = current.node === root ? 'no open block' : `{{#${current.node.type}}} from line ${current.node.line} still open`;
+        throw new Error(`${name}:${lineAt(match.index)}: unexpected {{/${type}}}, ${open}`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    const { node } = stack[stack.length - 1];
+    throw new Error(`${name}:${node.line}: {{#${node.type} ${node.path}}} is never closed`);
+  }
+
+  if (last < source.length) {
+    root.body.push({ type: 'text', text: source.slice(last) });
+  }
+  return root.body;
+}
+
+/**
+ * Look a dotted path up in the scopes, innermost first
+ * @param {Array<Object>} scopes - Data for the template, then each loop item
+ * @param {string} valuePath - Path such as "feed.title", "this" or "@index"
+ * @returns {*} - Value, undefined if it isn't there
+ */
+function lookup(scopes, valuePath) {
+  const [first, ...rest] = valuePath.split('.');
+  const scope = first === 'this' ?
+                scopes[scopes.length - 1] :
+                [...scopes].reverse().find(candidate => candidate !== null && typeof candidate === 'object' && first in candidate);
+
+  let value = first === 'this' ? scope : scope && scope[first];
+  for (const key of rest) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+  return value;
+}
+
+/**
+ * Whether a value counts as set for if/unless, empty lists don't
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Render parsed template nodes
+ * @param {Array<Object>} nodes - Nodes from compileTemplate()
+ * @param {Array<Object>} scopes - Data, innermost last
+ * @returns {string} - Output
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'value') {
+      const value = lookup(scopes, node.path);
+      const text = value === null || value === undefined ? '' : String(value);
+      output += node.raw ? text : escapeHtml(text);
+    } else if (node.type === 'each') {
+      const list = lookup(scopes, node.path);
+      if (!isTruthy(list)) {
+        output += renderNodes(node.otherwise, scopes);
+        continue;
+      }
+      [].concat(list).forEach((item, index) => {
+        output += renderNodes(node.body, [...scopes, { '@index': index }, item]);
+      });
+    } else {
+      const test = isTruthy(lookup(scopes, node.path));
+      output += renderNodes((node.type === 'if' ? test : !test) ? node.body : node.otherwise, scopes);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Compile the page templates among a theme's files
+ * @param {Object} sources - File name -> file text
+ * @param {string} dir - Directory they came from, for error messages
+ * @returns {Object} - Template name -> nodes
+ */
+function compileTemplates(sources, dir) {
+  const templates = {};
+  for (const [name, source] of Object.entries(sources)) {
+    if (name.endsWith('.html')) {
+      templates[name] = compileTemplate(source, path.join(dir, name));
+    }
+  }
+  return templates;
+}
+
+/**
+ * Get the default theme
+ * @returns {Object} - Template set, see loadTemplates()
+ */
+export function getDefaultTemplates() {
+  if (!defaultTemplates) {
+    const sources = Object.fromEntries(TEMPLATE_FILES.map(file => [file, fs.readFileSync(path.join(defaultTemplatesDir, file), 'utf8')]));
+    defaultTemplates = { dir: defaultTemplatesDir, templates: compileTemplates(sources, defaultTemplatesDir), stylesheet: sources['style.css'] };
+  }
+  return defaultTemplates;
+}
+
+/**
+ * Load a templates directory on top of the default theme
+ * Files the directory doesn't have come from the default theme, so overriding only
+ * style.css rebrands the site without touching the page templates. Every template is
+ * compiled here, so a mistake fails the build before anything is scraped.
+ * @param {string} [templatesDir] - Directory with any of TEMPLATE_FILES, the default theme alone if missing
+ * @returns {Promise<Object>} - Template set: { dir, templates, stylesheet }
+ */
+export async function loadTemplates(templatesDir) {
+  if (!templatesDir || !(await fs.pathExists(templatesDir))) {
+    return getDefaultTemplates();
+  }
+
+  const files = await fs.readdir(templatesDir);
+  for (const file of files.filter(file => !TEMPLATE_FILES.includes(file))) {
+    log.warn(`Ignoring ${path.join(templatesDir, file)}, templates are ${TEMPLATE_FILES.join(', ')}`);
+  }
+
+  const sources = {};
+  for (const file of TEMPLATE_FILES.filter(file => files.includes(file))) {
+    sources[file] = await fs.readFile(path.join(templatesDir, file), 'utf8');
+    log.debug(`Using ${path.join(templatesDir, file)}`);
+  }
+
+  const defaults = getDefaultTemplates();
+  return {
+    dir: templatesDir,
+    templates: { ...defaults.templates, ...compileTemplates(sources, templatesDir) },
+    stylesheet: sources['style.css'] !== undefined ? sources['style.css'] : defaults.stylesheet
+  };
+}
+
+/**
+ * Render one template of a set
+ * @param {Object} templateSet - From loadTemplates() or getDefaultTemplates()
+ * @param {string} name - Template file name, e.g. "feed.html"
+ * @param {Object} data - Values for the template
+ * @returns {string} - Output
+ */
+export function renderTemplate(templateSet, name, data) {
+  const nodes = templateSet.templates[name];
+  if (!nodes) {
+    throw new Error(`No template named ${name}`);
+  }
+  return renderNodes(nodes, [data]);
+}
+
+/**
+ * Render a page template inside the layout
+ * @param {Object} templateSet - From loadTemplates() or getDefaultTemplates()
+ * @param {string} name - Page template file name
+ * @param {Object} data - Values for the page, also passed to the layout along with content
+ * @returns {string} - HTML page
+ */
+export function renderPage(templateSet, name, data) {
+  return renderTemplate(templateSet, 'layout.html', { ...data, content: renderTemplate(templateSet, name, data) });
+}
@@ -0,0 +1,282 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { parseTree, findNodeAtLocation, getNodeValue, printParseErrorCode } from 'jsonc-parser';
+import { log } from './log.js';
+import { getSpotifyArtistId } from './spotify.js';
+import { getFanPage } from './bandcamp-fan.js';
+import { getDiscoverQuery } from './bandcamp-discover.js';
+import { compileFilters } from './filters.js';
+import { getProvider, getProviders, matchProvider } from './providers.js';
+import { normalizeArtistUrl } from './config-files.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// JSON Schema describing the artists/*.json feed config format
+const schemaPath = path.join(__dirname, '..', 'schema', 'artists.schema.json');
+
+// Readable descriptions for the jsonc-parser error codes people actually run into
+const SYNTAX_ERROR_MESSAGES = {
+  PropertyNameExpected: 'expected a property name in double quotes (is there a trailing comma?)',
+  ValueExpected: 'expected a value (is there a trailing comma?)',
+  CommaExpected: 'expected a comma between entries',
+  ColonExpected: 'expected a colon after the property name',
+  CloseBraceExpected: 'expected a closing }',
+  CloseBracketExpected: 'expected a closing ]',
+  EndOfFileExpected: 'unexpected content after the end of the JSON document',
+  InvalidCommentToken: 'comments are not allowed in JSON',
+  UnexpectedEndOfString: 'unterminated string',
+  InvalidSymbol: 'unexpected character'
+};
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} text - File contents
+ * @param {number} offset - Character offset
+ * @returns {Object} - { line, column }
+ */
+function offsetToPosition(text, offset) {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+}
+
+/**
+ * Turn an Ajv instance path like "/artists/1/url" into a jsonc-parser path
+ * @param {string} instancePath - JSON Pointer from Ajv
+ * @returns {Array} - Path segments, with array indexes as numbers
+ */
+function pointerToPath(instancePath) {
+  if (!instancePath) {
+    return [];
+  }
+
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Check the shape of an artist URL for the sources we know about
+ * @param {string} url - Artist URL
+ * @returns {Object|null} - { severity, message } or null if the URL looks fine
+ */
+export function checkArtistUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { severity: 'error', message: `"${url}" is not a valid URL` };
+  }
+
+  if (/(^|\.)bandcamp\.com$/.test(parsed.hostname)) {
+    const match = parsed.pathname.match(/^\/(album|track)\//);
+    if (match) {
+      return {
+        severity: 'error',
+        message: `"${url}" points at a Bandcamp ${match[1]} page, use the artist or label page (e.g. ${parsed.origin}/music) instead`
+      };
+    }
+
+    if (parsed.hostname === 'bandcamp.com' || parsed.hostname === 'www.bandcamp.com') {
+      // Fan collections, wishlists, tags and Discover live on bandcamp.com itself
+      if (getFanPage(url) || getDiscoverQuery(url)) {
+        return null;
+      }
+      return {
+        severity: 'warning',
+        message: `"${url}" is not an artist, fan, tag or Discover page, Bandcamp artist pages look like https://<artist>.bandcamp.com/music`
+      };
+    }
+
+    if (!['', '/', '/music', '/music/', '/releases', '/releases/'].includes(parsed.pathname)) {
+      return {
+        severity: 'warning',
+        message: `"${url}" has an unexpected path for a Bandcamp artist page, expected ${parsed.origin}/music`
+      };
+    }
+  }
+
+  if (/(^|\.)spotify\.com$/.test(parsed.hostname) && !getSpotifyArtistId(url)) {
+    return {
+      severity: 'error',
+      message: `"${url}" is not a Spotify artist link, use one like https://open.spotify.com/artist/<id>`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate feed config files against the schema and each other
+ * Reports JSON syntax errors, schema violations, suspicious URLs and duplicate
+ * artist URLs, each with the file, line and column it was found at.
+ * @param {string} artistsDir - Directory containing the config files
+ * @param {Array<string>} jsonFiles - Config file paths relative to artistsDir
+ * @returns {Promise<Array>} - Problems: { file, line, column, severity, message }
+ */
+export async function validateConfigFiles(artistsDir, jsonFiles) {
+  const schema = await fs.readJson(schemaPath);
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  const validateSchema = ajv.compile(schema);
+
+  const problems = [];
+  const seenUrls = new Map(); // normalized URL -> { file, line, column } of its first listing
+
+  for (const jsonFile of jsonFiles) {
+    const text = await fs.readFile(path.join(artistsDir, jsonFile), 'utf8');
+
+    const report = (offset, severity, message) => {
+      const { line, column } = offsetToPosition(text, offset);
+      problems.push({ file: jsonFile, line, column, severity, message });
+    };
+
+    // Parse with positions so every problem can point at the right spot
+    const parseErrors = [];
+    const tree = parseTree(text, parseErrors, { disallowComments: true, allowTrailingComma: false });
+
+    // A single mistake often produces several errors at the same spot, only report the first
+    const reportedOffsets = new Set();
+    for (const parseError of parseErrors) {
+      if (reportedOffsets.has(parseError.offset)) {
+        continue;
+      }
+      reportedOffsets.add(parseError.offset);
+
+      const code = printParseErrorCode(parseError.error);
+      report(parseError.offset, 'error', `JSON syntax error: ${SYNTAX_ERROR_MESSAGES[code] || code}`);
+    }
+
+    if (!tree) {
+      continue;
+    }
+
+    // The parser recovers from most syntax errors, so keep going and report everything at once
+    const config = getNodeValue(tree);
+
+    if (!validateSchema(config)) {
+      for (const schemaError of validateSchema.errors) {
+        // if/then failures come with the error from the "then" part, which says what's actually wrong
+        if (schemaError.keyword === 'if') {
+          continue;
+        }
+
+        const location = pointerToPath(schemaError.instancePath);
+        let node = findNodeAtLocation(tree, location) || tree;
+        const where = schemaError.instancePath ? schemaError.instancePath.slice(1).replace(/\//g, '.') : 'config';
+
+        let message = `${where} ${schemaError.message}`;
+        if (schemaError.keyword === 'additionalProperties') {
+          // Point at the unknown key itself rather than the object containing it
+          const property = schemaError.params.additionalProperty;
+          const valueNode = findNodeAtLocation(tree, [...location, property]);
+          node = (valueNode && valueNode.parent) || node;
+          message = `${where} has unknown property "${property}"`;
+        } else if (schemaError.keyword === 'pattern' && location[location.length - 1] === 'url') {
+          message = `${where} must be an http:// or https:// URL`;
+        } else if (schemaError.keyword === 'required' && schemaError.schemaPath.includes('/then/')) {
+          message = `${where} needs "${schemaError.params.missingProperty}" with the "${config.artists[location[1]].source}" source`;
+        } else if (schemaError.keyword === 'dependencies') {
+          message = `${where} has "${schemaError.params.property}" but no "${schemaError.params.missingProperty}"`;
+        } else if (schemaError.keyword === 'enum') {
+          message = `${where} must be one of ${schemaError.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+        }
+
+        report(node.offset, 'error', message);
+      }
+    }
+
+    const checkFilters = (filters, location) => {
+      try {
+        compileFilters(filters);
+      } catch (error) {
+        const node = findNodeAtLocation(tree, location) || tree;
+        report(node.offset, 'error', `${location.join('.')}: ${error.message}`);
+      }
+    };
+    if (config && config.filters && typeof config.filters === 'object') {
+      checkFilters(config.filters, ['filters']);
+    }
+
+    const artists = Array.isArray(config && config.artists) ? config.artists : [];
+    const fileUrls = new Map(); // normalized URL -> line, for duplicates within this file
+
+    if (config && Array.isArray(config.artists) && artists.length === 0) {
+      report(findNodeAtLocation(tree, ['artists']).offset, 'warning', 'artists is empty, this feed will have no releases');
+    }
+
+    artists.forEach((artist, index) => {
+      if (!artist || typeof artist.url !== 'string') {
+        return;
+      }
+
+      const urlNode = findNodeAtLocation(tree, ['artists', index, 'url']);
+      const urlProblem = checkArtistUrl(artist.url);
+      if (urlProblem) {
+        report(urlNode.offset, urlProblem.severity, urlProblem.message);
+      }
+
+      // The schema only checks the shape of "source", the registry knows which ones exist
+      const sourceNode = findNodeAtLocation(tree, ['artists', index, 'source']);
+      const sourceNames = getProviders().map(provider => provider.name).join(', ');
+      if (typeof artist.source === 'string' && !getProvider(artist.source)) {
+        report(sourceNode.offset, 'error', `Unknown source "${artist.source}", known sources: ${sourceNames}`);
+      } else if (!artist.source && !urlProblem && !matchProvider(artist.url, artist)) {
+        report(urlNode.offset, 'warning', `"${artist.url}" isn't from a known source, its page will be checked for a match when building. Set "source" (${sourceNames}) to skip the check`);
+      }
+
+      // The schema can't tell whether a regex compiles
+      if (artist.filters) {
+        checkFilters(artist.filters, ['artists', index, 'filters']);
+      }
+
+      const provider = artist.source ? getProvider(artist.source) : matchProvider(artist.url, artist);
+      if (artist.query && provider && provider.name !== 'bandcamp-discover') {
+        const queryNode = findNodeAtLocation(tree, ['artists', index, 'query']);
+        report(queryNode.offset, 'warning', `"query" only applies to Bandcamp tag and Discover pages, it is ignored for ${provider.label} pages`);
+      }
+
+      // Duplicates inside one feed are a mistake, across feeds they might be on purpose
+      const key = normalizeArtistUrl(artist.url, artist.query);
+      const { line, column } = offsetToPosition(text, urlNode.offset);
+      const previous = seenUrls.get(key);
+
+      if (fileUrls.has(key)) {
+        report(urlNode.offset, 'error', `Duplicate artist URL "${artist.url}", already listed at line ${fileUrls.get(key)}`);
+      } else if (previous) {
+        report(urlNode.offset, 'warning', `Artist URL "${artist.url}" is also listed in ${previous.file}:${previous.line}:${previous.column}`);
+      } else {
+        seenUrls.set(key, { file: jsonFile, line, column });
+      }
+
+      if (!fileUrls.has(key)) {
+        fileUrls.set(key, line);
+      }
+    });
+  }
+
+  return problems.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Print validation problems in a file:line:column format editors can jump to
+ * @param {Array} problems - Problems from validateConfigFiles()
+ * @param {string} artistsDir - Directory the file paths are relative to
+ */
+export function printProblems(problems, artistsDir) {
+  for (const problem of problems) {
+    const location = `${path.join(artistsDir, problem.file)}:${problem.line}:${problem.column}`;
+    const write = problem.severity === 'error' ? log.error : log.warn;
+    write(`${location} ${problem.severity}: ${problem.message}`);
+  }
+
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  const warnings = problems.length - errors;
+  log.info(`Validation finished: ${errors} error(s), ${warnings} warning(s)`);
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadAlbumCache, saveAlbumCache, lookupAlbum } from '../src/album-cache.js';
+import { createEmptyState } from '../src/state.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+
+test('albums that left the release history are dropped when the cache is saved', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'artist-rss-cache-'));
+  const cacheFile = path.join(dir, 'album-cache.json');
+  try {
+    await fs.writeJson(cacheFile, {
+      version: 2,
+      albums: {
+        'https://artist.bandcamp.com/album/kept': { date: '2024-01-01T00:00:00.000Z', fetchedAt: '2024-01-02T00:00:00.000Z' },
+        'https://artist.bandcamp.com/album/gone': { date: '2020-01-01T00:00:00.000Z', fetchedAt: '2020-01-02T00:00:00.000Z' },
+        'https://artist.bandcamp.com/album/looked-up': { date: '2023-01-01T00:00:00.000Z', fetchedAt: '2024-01-02T00:00:00.000Z' }
+      }
+    });
+
+    const cache = await loadAlbumCache(cacheFile);
+    // Looked up this run without making it into the history, e.g. skipped as upcoming
+    lookupAlbum(cache, 'https://artist.bandcamp.com/album/looked-up');
+
+    const state = createEmptyState();
+    state.feeds.feed = { releases: { kept: { url: 'https://artist.bandcamp.com/album/kept' } } };
+    await saveAlbumCache(cacheFile, cache, state);
+
+    assert.deepEqual(Object.keys((await fs.readJson(cacheFile)).albums).sort(), [
+      'https://artist.bandcamp.com/album/kept',
+      'https://artist.bandcamp.com/album/looked-up'
+    ]);
+  } finally {
+    await fs.remove(dir);
+  }
+});
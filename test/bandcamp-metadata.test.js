@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { extractReleaseMetadata, formatDuration } from '../src/bandcamp-metadata.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'bandcamp-metadata');
+
+/**
+ * Extract the metadata of a recorded album page
+ * @param {string} name - File name in fixtures/bandcamp-metadata
+ * @returns {Promise<Object>} - Release metadata
+ */
+async function readMetadata(name) {
+  return extractReleaseMetadata(cheerio.load(await fs.readFile(path.join(fixtures, name), 'utf8')));
+}
+
+test('an album page combines the ld+json block and the tralbum data', async () => {
+  assert.deepEqual(await readMetadata('album.html'), {
+    type: 'ep',
+    artist: 'Example Artist',
+    // Durations come from the tralbum data, which has them in seconds
+    tracks: [{ number: 1, title: 'Concrete', duration: 245 }, { number: 2, title: 'Steel', duration: 310 }],
+    runtime: 555,
+    tags: ['Techno', 'Electronic', 'Berlin', 'Dub'],
+    label: 'Example Records',
+    catalogNumber: 'EX001',
+    price: 7,
+    currency: 'EUR',
+    nameYourPrice: false,
+    credits: 'Mastered by Someone'
+  });
+});
+
+test('a release without a price isn\'t free', async () => {
+  const metadata = await readMetadata('no-price.html');
+  assert.equal(metadata.price, null);
+  assert.equal(metadata.currency, 'USD');
+  assert.equal(metadata.label, 'Example Records');
+  assert.equal(metadata.credits, 'Written by Someone');
+  assert.deepEqual(metadata.tracks, []);
+  assert.equal(metadata.runtime, null);
+});
+
+test('a track page describes itself', async () => {
+  const metadata = await readMetadata('track.html');
+  assert.equal(metadata.type, 'track');
+  assert.deepEqual(metadata.tracks, [{ number: 1, title: 'Night Drive', duration: 201 }]);
+  assert.equal(metadata.price, 1.5);
+  assert.equal(metadata.nameYourPrice, true);
+});
+
+test('durations are formatted as m:ss or h:mm:ss', () => {
+  assert.equal(formatDuration(201), '3:21');
+  assert.equal(formatDuration(3725), '1:02:05');
+  assert.equal(formatDuration(null), '');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scrapeBandcamp, getAlbumDetails } from '../src/bandcamp.js';
+import { createHttpScheduler } from '../src/http.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const ARTIST_URL = 'https://artist.bandcamp.com/music';
+
+// A music grid with an item that has no link, between two albums
+const musicPage = `<html><body><ol id="music-grid">
+  <li class="music-grid-item" data-item-id="album-1"><a href="/album/one"><p class="title">One</p></a></li>
+  <li class="music-grid-item" data-item-id="album-2"><p class="title">No link</p></li>
+  <li class="music-grid-item" data-item-id="album-3"><a href="/album/two"><p class="title">Two</p></a></li>
+  <li class="music-grid-item" data-item-id="album-4"><a href="/album/three"><p class="title">Three</p></a></li>
+</ol></body></html>`;
+
+/**
+ * Create a request scheduler that answers the artist page and album pages
+ * @param {string[]} failing - Album pages that answer 500
+ * @returns {Promise<Object>} - Request scheduler
+ */
+async function createPageHttp(failing = []) {
+  const albumPage = await fs.readFile(path.join(fixtures, 'bandcamp-dates', 'ld-json.html'), 'utf8');
+
+  const request = async ({ url }) => {
+    if (failing.includes(url)) {
+      throw Object.assign(new Error('Request failed with status code 500'), { response: { status: 500, headers: {} } });
+    }
+    return { status: 200, headers: {}, data: url === ARTIST_URL ? musicPage : albumPage };
+  };
+
+  return createHttpScheduler({ request, requestsPerSecond: 1000, burst: 1000, retries: 0 });
+}
+
+test('grid items without a link are skipped', async () => {
+  const result = await scrapeBandcamp(ARTIST_URL, 10, { http: await createPageHttp() });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.releases.map(release => release.url), [
+    'https://artist.bandcamp.com/album/one',
+    'https://artist.bandcamp.com/album/two',
+    'https://artist.bandcamp.com/album/three'
+  ]);
+});
+
+test('an album page that can\'t be fetched is left out and the next album takes its place', async () => {
+  const result = await scrapeBandcamp(ARTIST_URL, 2, { http: await createPageHttp(['https://artist.bandcamp.com/album/one']) });
+
+  assert.deepEqual(result.releases.map(release => release.url), [
+    'https://artist.bandcamp.com/album/two',
+    'https://artist.bandcamp.com/album/three'
+  ]);
+  assert.ok(result.releases.every(release => release.date));
+  assert.equal(result.warnings.length, 1);
+  assert.equal(result.warnings[0].url, 'https://artist.bandcamp.com/album/one');
+});
+
+/**
+ * Read a pre-order fixture through getAlbumDetails()
+ * @param {string} name - File name in fixtures/bandcamp-preorder
+ * @returns {Promise<Object>} - Album details
+ */
+async function readAlbumFixture(name) {
+  const page = await fs.readFile(path.join(fixtures, 'bandcamp-preorder', name), 'utf8');
+  const request = async () => ({ status: 200, headers: {}, data: page });
+  return getAlbumDetails(`https://artist.bandcamp.com/album/${name}`, null, createHttpScheduler({ request, requestsPerSecond: 1000, burst: 1000, retries: 0 }));
+}
+
+test('pre-orders are read from the tralbum data', async () => {
+  assert.equal((await readAlbumFixture('preorder.html')).isPreOrder, true);
+  // The notes and the discography mention other pre-orders
+  assert.equal((await readAlbumFixture('released.html')).isPreOrder, false);
+});
+
+test('without tralbum data only the album header tells a pre-order', async () => {
+  assert.equal((await readAlbumFixture('preorder-without-data.html')).isPreOrder, true);
+  assert.equal((await readAlbumFixture('released-without-data.html')).isPreOrder, false);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextRun } from '../src/cron.js';
+
+const next = (expression, from) => getNextRun(parseCron(expression), new Date(from)).toISOString();
+
+test('fields are read as lists, ranges and steps', () => {
+  const schedule = parseCron('*/15 9-17 1,15 * 1-5');
+  assert.deepEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...schedule.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...schedule.days], [1, 15]);
+  assert.equal(schedule.months.size, 12);
+  assert.deepEqual([...schedule.weekdays], [1, 2, 3, 4, 5]);
+});
+
+test('aliases and Sunday as 7 are understood', () => {
+  assert.equal(next('@daily', '2024-03-12T10:30:00Z'), '2024-03-13T00:00:00.000Z');
+  assert.equal(next('@hourly', '2024-03-12T10:30:00Z'), '2024-03-12T11:00:00.000Z');
+  assert.equal(next('0 12 * * 7', '2024-03-12T10:30:00Z'), '2024-03-17T12:00:00.000Z');
+});
+
+test('the next run is strictly after the given time, in UTC', () => {
+  assert.equal(next('30 10 * * *', '2024-03-12T10:30:00Z'), '2024-03-13T10:30:00.000Z');
+  assert.equal(next('30 10 * * *', '2024-03-12T10:29:59Z'), '2024-03-12T10:30:00.000Z');
+  assert.equal(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('with both day fields set either one matching is enough', () => {
+  // The 20th, or any Monday
+  assert.equal(next('0 0 20 * 1', '2024-03-12T00:00:00Z'), '2024-03-18T00:00:00.000Z');
+});
+
+test('invalid expressions are rejected', () => {
+  assert.throws(() => parseCron('0 0 * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute "60" is out of range/);
+  assert.throws(() => parseCron('a * * * *'), /Invalid minute "a"/);
+  assert.throws(() => getNextRun(parseCron('0 0 31 2 *')), /never fires/);
+});
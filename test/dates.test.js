@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { parseDateText, parseDate, getMonthNumber, extractBandcampDate } from '../src/dates.js';
+import { readReleaseDate } from '../src/spotify.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Load a Bandcamp album page fixture
+ * @param {string} name - File name in fixtures/bandcamp-dates
+ * @returns {Promise<Function>} - Cheerio document
+ */
+async function loadPage(name) {
+  return cheerio.load(await fs.readFile(path.join(fixtures, 'bandcamp-dates', name), 'utf8'));
+}
+
+// Expected values are "<ISO date> <precision>", or null for text without a date
+const cases = await fs.readJson(path.join(fixtures, 'dates.json'));
+
+for (const [group, texts] of Object.entries(cases)) {
+  test(`parseDateText: ${group}`, () => {
+    for (const [text, expected] of Object.entries(texts)) {
+      const parsed = parseDateText(text);
+      assert.equal(parsed ? `${parsed.date.toISOString()} ${parsed.precision}` : null, expected, JSON.stringify(text));
+    }
+  });
+}
+
+test('dates without a zone are UTC whatever the machine\'s time zone', () => {
+  const timeZone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  try {
+    assert.equal(parseDateText('March 12, 2024 10:00').date.toISOString(), '2024-03-12T10:00:00.000Z');
+    assert.equal(parseDateText('2024-03-12T10:00:00').date.toISOString(), '2024-03-12T10:00:00.000Z');
+  } finally {
+    if (timeZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = timeZone;
+    }
+  }
+});
+
+test('month names are recognised in every language, ambiguous abbreviations aren\'t', () => {
+  assert.equal(getMonthNumber('März'), 3);
+  assert.equal(getMonthNumber('févr.'), 2);
+  assert.equal(getMonthNumber('Sept.'), 9);
+  assert.equal(getMonthNumber('mrt'), 3);
+  // French "juin" and "juillet"
+  assert.equal(getMonthNumber('jui'), null);
+  assert.equal(getMonthNumber('date'), null);
+});
+
+test('parseDate reads an explicit format', () => {
+  assert.equal(parseDate('12.03.2024', 'DD.MM.YYYY').toISOString(), '2024-03-12T00:00:00.000Z');
+  assert.equal(parseDate('released 12 März 2024', 'D MMMM YYYY').toISOString(), '2024-03-12T00:00:00.000Z');
+  assert.equal(parseDate('Mar 5, 24', 'MMM D, YY').toISOString(), '2024-03-05T00:00:00.000Z');
+  assert.equal(parseDate('31.02.2024', 'DD.MM.YYYY'), null);
+  assert.equal(parseDate('no date here', 'DD.MM.YYYY'), null);
+});
+
+test('Bandcamp pages are dated from the most reliable place that has a date', async () => {
+  assert.deepEqual(extractBandcampDate(await loadPage('ld-json.html')), { date: '2023-01-05T00:00:00.000Z', datePrecision: 'day', dateSource: 'bandcamp:ld+json' });
+  assert.deepEqual(extractBandcampDate(await loadPage('credits.html')), { date: '2023-01-05T00:00:00.000Z', datePrecision: 'day', dateSource: 'bandcamp:credits' });
+  assert.deepEqual(extractBandcampDate(await loadPage('about.html')), { date: '2023-01-05T00:00:00.000Z', datePrecision: 'day', dateSource: 'bandcamp:about' });
+  assert.deepEqual(extractBandcampDate(await loadPage('page-text.html')), { date: '2023-01-05T00:00:00.000Z', datePrecision: 'day', dateSource: 'bandcamp:page-text' });
+  assert.deepEqual(extractBandcampDate(await loadPage('credits.html'), { current: { release_date: '01 Feb 2023 00:00:00 GMT' } }), { date: '2023-02-01T00:00:00.000Z', datePrecision: 'day', dateSource: 'bandcamp:tralbum' });
+});
+
+test('a Bandcamp page without a date is never dated now', async () => {
+  assert.deepEqual(extractBandcampDate(await loadPage('undated.html')), { date: null, datePrecision: undefined, dateSource: undefined });
+});
+
+test('Spotify release dates go through the same parser, with their precision', () => {
+  assert.deepEqual(readReleaseDate({ release_date: '1997' }), { date: new Date('1997-01-01T00:00:00Z'), datePrecision: 'year', dateSource: 'spotify:release_date' });
+  assert.deepEqual(readReleaseDate({ release_date: '1997-03' }), { date: new Date('1997-03-01T00:00:00Z'), datePrecision: 'month', dateSource: 'spotify:release_date' });
+  assert.deepEqual(readReleaseDate({ release_date: '1997-03-12' }), { date: new Date('1997-03-12T00:00:00Z'), datePrecision: 'day', dateSource: 'spotify:release_date' });
+  assert.equal(readReleaseDate({ release_date: '0000' }).date, null);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { buildFeed, renderFeed, setLogLevel } from '../index.js';
+import { createEmptyState, mergeReleases, getRetention } from '../src/state.js';
+import { resolveSiteConfig } from '../src/site.js';
+
+setLogLevel('quiet');
+
+// Everything an XML document has to escape, in every field that ends up in a feed
+const TRICKY = `Drum & Bass <Live> "Quoted" 'Single'`;
+const TRICKY_TAGS = ['drum & bass', 'r&b', '<noise>', `"quoted" 'tag'`];
+const TRICKY_IMAGE = 'https://f4.bcbits.com/img/a1_10.jpg?size=10&crop="1"';
+
+const site = resolveSiteConfig({ title: 'Feeds & More', author: 'Tom "T" <Jones>' }, { baseUrl: 'https://feeds.example.com/' });
+
+/**
+ * Build a feed from a stored history of releases, without scraping
+ * @param {Array<Object>} releases - Scraped releases, artistName and artistUrl are filled in
+ * @returns {Promise<Object>} - Built feed from buildFeed()
+ */
+async function buildFromHistory(releases) {
+  const state = createEmptyState();
+  const artistUrl = 'https://artist.bandcamp.com';
+  mergeReleases(state, 'tricky', releases.map(release => ({ artistName: TRICKY, artistUrl, ...release })), getRetention({}));
+  const config = { title: TRICKY, description: TRICKY, artists: [{ name: TRICKY, url: artistUrl }], formats: ['rss', 'atom', 'json'] };
+  return buildFeed(config, { id: 'tricky', state, scrape: false, site });
+}
+
+const trickyRelease = {
+  title: TRICKY,
+  url: 'https://artist.bandcamp.com/album/drum-bass?from=a&b=c',
+  date: new Date('2024-01-02T10:00:00Z'),
+  image: TRICKY_IMAGE,
+  description: TRICKY,
+  sourceId: 'bandcamp:album-1',
+  metadata: { type: 'album', tags: TRICKY_TAGS }
+};
+
+test('RSS keeps titles, tags and image URLs intact', async () => {
+  const builtFeed = await buildFromHistory([trickyRelease]);
+  const $ = cheerio.load(renderFeed(builtFeed, 'rss'), { xmlMode: true });
+
+  assert.equal($('channel > title').text(), TRICKY);
+  assert.equal($('channel > description').text(), TRICKY);
+  const item = $('item');
+  assert.equal(item.length, 1);
+  assert.equal(item.children('title').text(), `${TRICKY} - ${TRICKY}`);
+  assert.equal(item.children('link').text(), trickyRelease.url);
+  assert.deepEqual(item.children('category').toArray().map(category => $(category).text()), ['album', ...TRICKY_TAGS]);
+  assert.equal(item.children('enclosure').attr('url'), TRICKY_IMAGE);
+  assert.equal(item.children('enclosure').attr('type'), 'image/jpeg');
+  assert.match(item.children('description').text(), /^<p><img src="https:\/\/f4\.bcbits\.com\/img\/a1_10\.jpg\?size=10&amp;crop=&quot;1&quot;"/);
+});
+
+test('RSS guids that aren\'t links are marked as such', async () => {
+  const builtFeed = await buildFromHistory([trickyRelease]);
+  const $ = cheerio.load(renderFeed(builtFeed, 'rss'), { xmlMode: true });
+
+  assert.equal($('item > guid').text(), 'urn:artist-rss:id:bandcamp:album-1');
+  assert.equal($('item > guid').attr('isPermaLink'), 'false');
+});
+
+test('Atom keeps titles, tags and image URLs intact', async () => {
+  const builtFeed = await buildFromHistory([trickyRelease]);
+  const $ = cheerio.load(renderFeed(builtFeed, 'atom'), { xmlMode: true });
+
+  assert.equal($('feed > title').text(), TRICKY);
+  assert.equal($('feed > author > name').text(), 'Tom "T" <Jones>');
+  const entry = $('entry');
+  assert.equal(entry.children('title').text(), `${TRICKY} - ${TRICKY}`);
+  assert.equal(entry.children('title').attr('type'), 'text');
+  assert.equal(entry.children('id').text(), 'urn:artist-rss:id:bandcamp:album-1');
+  assert.equal(entry.children('link[rel="alternate"]').attr('href'), trickyRelease.url);
+  assert.equal(entry.children('link[rel="enclosure"]').attr('href'), TRICKY_IMAGE);
+  // Every category needs a term, RFC 4287 4.2.2
+  const categories = entry.children('category').toArray();
+  assert.deepEqual(categories.map(category => category.attribs.term), ['album', ...TRICKY_TAGS]);
+  assert.deepEqual(categories.map(category => category.attribs.label), ['album', ...TRICKY_TAGS]);
+});
+
+test('JSON Feed keeps titles, tags and image URLs intact', async () => {
+  const builtFeed = await buildFromHistory([trickyRelease]);
+  const feed = JSON.parse(renderFeed(builtFeed, 'json'));
+
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(feed.title, TRICKY);
+  assert.equal(feed.feed_url, 'https://feeds.example.com/tricky-feed.json');
+  assert.equal(feed.items.length, 1);
+  assert.equal(feed.items[0].id, 'urn:artist-rss:id:bandcamp:album-1');
+  assert.equal(feed.items[0].title, `${TRICKY} - ${TRICKY}`);
+  assert.equal(feed.items[0].image, TRICKY_IMAGE);
+  assert.deepEqual(feed.items[0].tags, ['album', ...TRICKY_TAGS]);
+  assert.equal(feed.items[0].date_published, '2024-01-02T10:00:00.000Z');
+});
+
+test('every format gives an item the same id', async () => {
+  const builtFeed = await buildFromHistory([trickyRelease, { title: 'No Id', url: 'https://artist.bandcamp.com/album/no-id', date: new Date('2024-01-01T00:00:00Z') }]);
+  const rss = cheerio.load(renderFeed(builtFeed, 'rss'), { xmlMode: true });
+  const atom = cheerio.load(renderFeed(builtFeed, 'atom'), { xmlMode: true });
+  const json = JSON.parse(renderFeed(builtFeed, 'json'));
+
+  const ids = json.items.map(item => item.id);
+  assert.deepEqual(ids, ['urn:artist-rss:id:bandcamp:album-1', 'urn:artist-rss:url:artist.bandcamp.com/album/no-id']);
+  assert.deepEqual(rss('item > guid').toArray().map(guid => rss(guid).text()), ids);
+  assert.deepEqual(atom('entry > id').toArray().map(id => atom(id).text()), ids);
+});
+
+test('an empty feed is still a valid document in every format', async () => {
+  const builtFeed = await buildFromHistory([]);
+  for (const format of ['rss', 'atom', 'json']) {
+    assert.doesNotThrow(() => renderFeed(builtFeed, format), format);
+  }
+});
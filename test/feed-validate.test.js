@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFeedDocument, checkXmlWellFormed } from '../src/feed-validate.js';
+
+const rss = items => `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+    <channel>
+        <title>Feed</title>
+        <link>https://example.com/</link>
+        <description>Releases</description>
+${items}
+    </channel>
+</rss>
+`;
+
+const atom = entries => `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <id>https://example.com/</id>
+    <title>Feed</title>
+    <updated>2024-01-02T10:00:00.000Z</updated>
+    <author><name>Someone</name></author>
+${entries}
+</feed>
+`;
+
+test('a valid RSS document has no problems', () => {
+  const item = '<item><title>A &amp; B</title><link>https://example.com/a</link><guid isPermaLink="false">urn:x:1</guid><pubDate>Tue, 02 Jan 2024 10:00:00 GMT</pubDate></item>';
+  assert.deepEqual(validateFeedDocument(rss(item), 'rss'), []);
+});
+
+test('unescaped characters are reported with their line', () => {
+  assert.deepEqual(checkXmlWellFormed('<a>\n<b x="r&b"/>\n</a>'), ['line 2: unescaped "&" in an attribute of <b>']);
+  assert.deepEqual(checkXmlWellFormed('<a>\n<b>R&B</b>\n</a>'), ['line 2: unescaped "&" in text']);
+  assert.deepEqual(checkXmlWellFormed('<a>\n\n1 < 2</a>'), ['line 3: "<" that doesn\'t start a tag, it should be escaped']);
+  assert.deepEqual(checkXmlWellFormed('<a><b></a>'), ['line 1: </a> doesn\'t close <b>']);
+});
+
+test('RSS guids that aren\'t URLs need isPermaLink="false"', () => {
+  const problems = validateFeedDocument(rss('<item><title>A</title><guid>urn:x:1</guid></item>'), 'rss');
+  assert.deepEqual(problems, ['item 1: <guid> "urn:x:1" isn\'t a URL, it needs isPermaLink="false"']);
+});
+
+test('RSS item ids must be unique', () => {
+  const item = '<item><title>A</title><guid isPermaLink="false">urn:x:1</guid></item>';
+  assert.deepEqual(validateFeedDocument(rss(item + item), 'rss'), ['item 2: <guid> "urn:x:1" is used by another item']);
+});
+
+test('Atom categories need a term', () => {
+  const entry = term => `<entry><id>urn:x:1</id><title>A</title><updated>2024-01-02T10:00:00Z</updated><category ${term}label="drum &amp; bass"/></entry>`;
+  assert.deepEqual(validateFeedDocument(atom(entry('term="drum &amp; bass" ')), 'atom'), []);
+  assert.deepEqual(validateFeedDocument(atom(entry('')), 'atom'), ['entry 1: <category> must have a term']);
+});
+
+test('JSON Feed items need an id and content', () => {
+  const feed = { version: 'https://jsonfeed.org/version/1.1', title: 'Feed', items: [{ id: '1', content_html: '' }, { title: 'No id' }] };
+  assert.deepEqual(validateFeedDocument(JSON.stringify(feed), 'json'), [
+    'item 2: "id" must be a non-empty string',
+    'item 2 needs "content_html" or "content_text"'
+  ]);
+});
+
+test('big documents are checked in linear time', () => {
+  const item = '<item><title>A &amp; B</title><link>https://example.com/a</link></item>\n';
+  const started = Date.now();
+  assert.deepEqual(checkXmlWellFormed(rss(item.repeat(5000))), []);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFilters, compileFilters, applyFilters, getFilterReason, describeDropped } from '../src/filters.js';
+
+const release = (title, metadata = {}, date = '2024-03-01T00:00:00.000Z') => ({ title, date, metadata });
+const reasons = (releases, filters, now = new Date('2024-03-12T00:00:00Z')) =>
+  releases.map(item => getFilterReason(item, compileFilters(filters), now));
+
+test('titles must match an include pattern and no exclude pattern, ignoring case', () => {
+  const releases = [release('Concrete (Remix)'), release('Concrete'), release('Concrete (Live Remix)'), release('Steel REMIX edit')];
+  assert.deepEqual(reasons(releases, { includeTitle: 'remix', excludeTitle: ['live', 'edit$'] }), [null, 'includeTitle', 'excludeTitle', 'excludeTitle']);
+});
+
+test('types and tags are matched when the release has them', () => {
+  const filters = { types: ['album', 'EP'], excludeTags: ['ambient'], tags: ['techno', 'electro'] };
+  assert.deepEqual(reasons([
+    release('A', { type: 'ep', tags: ['Techno'] }),
+    release('B', { type: 'single', tags: ['techno'] }),
+    release('C', { type: 'album', tags: ['house'] }),
+    release('D', { type: 'album', tags: ['electro', 'Ambient'] }),
+    // A plain feed item doesn't say, so it's kept
+    release('E')
+  ], filters), [null, 'types', 'tags', 'excludeTags', null]);
+});
+
+test('track count, runtime, age and reissues', () => {
+  assert.deepEqual(reasons([
+    release('Short', { tracks: [{}, {}] }),
+    release('Brief', { runtime: 600 }),
+    release('Old', {}, '2023-01-01T00:00:00.000Z'),
+    release('Concrete (2024 Remaster)'),
+    release('Repressed Memories')
+  ], { minTracks: 3, minRuntime: 20, maxAgeDays: 90, excludeReissues: true }), ['minTracks', 'minRuntime', 'maxAgeDays', 'excludeReissues', null]);
+});
+
+test('an invalid regex is reported with the setting it is in', () => {
+  assert.throws(() => compileFilters({ includeTitle: ['ok', '(unclosed'] }), /"includeTitle" has an invalid regex "\(unclosed"/);
+  assert.throws(() => compileFilters({ excludeTitle: '[a-' }), /"excludeTitle" has an invalid regex/);
+});
+
+test('an artist\'s settings replace the feed\'s', () => {
+  assert.equal(resolveFilters(undefined, undefined), null);
+
+  const filters = resolveFilters({ types: ['album'], excludeTitle: 'live' }, { types: ['single'] });
+  assert.deepEqual(filters, { types: ['single'], excludeTitle: 'live' });
+  assert.deepEqual(reasons([release('A', { type: 'album' }), release('B', { type: 'single' }), release('B live', { type: 'single' })], filters), ['types', null, 'excludeTitle']);
+});
+
+test('dropped releases are counted per filter', () => {
+  const { kept, dropped } = applyFilters([release('A live'), release('B'), release('C live')], compileFilters({ excludeTitle: 'live' }));
+  assert.deepEqual(kept.map(item => item.title), ['B']);
+  assert.equal(describeDropped(dropped), '2 by excludeTitle');
+  assert.deepEqual(applyFilters([release('A')], null), { kept: [release('A')], dropped: {} });
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeFeed } from '../src/generic.js';
+import { createHttpScheduler } from '../src/http.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+
+const jsonFeed = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Label',
+  items: [{ id: '1', title: 'Concrete EP', url: 'https://label.example/releases/concrete', date_published: '2024-03-01T00:00:00Z', content_text: 'Out now' }]
+});
+
+/**
+ * Create a request scheduler that answers every URL with a text body
+ * @param {Object} pages - URL -> body, all served as text
+ * @returns {Object} - Request scheduler
+ */
+function createPageHttp(pages) {
+  const request = async ({ url }) => {
+    if (!(url in pages)) {
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+    }
+    return { status: 200, headers: { 'content-type': 'text/plain' }, data: pages[url] };
+  };
+  return createHttpScheduler({ request, requestsPerSecond: 1000, burst: 1000, retries: 0 });
+}
+
+test('a JSON Feed served as text is read as JSON', async () => {
+  const result = await scrapeFeed('https://label.example/feed.json', 5, { http: createPageHttp({ 'https://label.example/feed.json': jsonFeed }) });
+  assert.deepEqual(result.releases.map(release => release.title), ['Concrete EP']);
+});
+
+test('a JSON Feed linked from a page is read as JSON when served as text', async () => {
+  const http = createPageHttp({
+    'https://label.example/': '<html><head><link rel="alternate" type="application/feed+json" href="/feed.json"></head></html>',
+    'https://label.example/feed.json': `\n${jsonFeed}`
+  });
+  const result = await scrapeFeed('https://label.example/', 5, { http });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.releases.map(release => [release.title, release.url]), [['Concrete EP', 'https://label.example/releases/concrete']]);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHttpScheduler, getSiteKey } from '../src/http.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+
+/**
+ * Make an error the way axios throws them
+ * @param {number|null} status - Response status, or null for a request that got no response
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} - Error
+ */
+function createError(status, headers = {}) {
+  return status ?
+         Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } }) :
+         Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', request: {} });
+}
+
+/**
+ * Create a scheduler whose transport answers from a list, one entry per attempt
+ * @param {Array} answers - Errors to throw or responses to return, in order
+ * @param {Object} [options] - Scheduler options
+ * @returns {Object} - { http, calls (config of every attempt) }
+ */
+function createStubHttp(answers, options = {}) {
+  const calls = [];
+  const request = async config => {
+    calls.push({ ...config, at: Date.now() });
+    const answer = answers[Math.min(calls.length - 1, answers.length - 1)];
+    if (answer instanceof Error) {
+      throw answer;
+    }
+    return { status: 200, headers: {}, data: answer };
+  };
+  const http = createHttpScheduler({ request, requestsPerSecond: 1000, burst: 1000, retries: 3, retryDelayMs: 10, ...options });
+  return { http, calls };
+}
+
+test('hosts have their own rate limit, Bandcamp subdomains share one', () => {
+  assert.equal(getSiteKey('https://artist.bandcamp.com/music'), 'bandcamp.com');
+  assert.equal(getSiteKey('https://bandcamp.com/discover'), 'bandcamp.com');
+  assert.equal(getSiteKey('https://www.bbc.co.uk/music'), 'bbc.co.uk');
+  assert.equal(getSiteKey('https://shop.example.co.uk/'), 'shop.example.co.uk');
+  assert.equal(getSiteKey('https://records.com.au/'), 'records.com.au');
+  assert.equal(getSiteKey('https://notbandcamp.com/'), 'notbandcamp.com');
+  assert.equal(getSiteKey('http://127.0.0.1:8080/feed.xml'), '127.0.0.1');
+});
+
+test('5xx responses and network errors are retried until one succeeds', async () => {
+  const { http, calls } = createStubHttp([createError(503), createError(null), 'ok']);
+  const response = await http.get('https://example.com/');
+
+  assert.equal(response.data, 'ok');
+  assert.equal(calls.length, 3);
+  assert.equal(http.stats.retries, 2);
+  assert.equal(http.stats.failures, 0);
+  assert.ok(calls.every(call => call.headers['User-Agent'] && call.method === 'get'));
+});
+
+test('a 404 is not retried', async () => {
+  const { http, calls } = createStubHttp([createError(404), 'ok']);
+  await assert.rejects(http.get('https://example.com/missing'), /status code 404/);
+  assert.equal(calls.length, 1);
+  assert.equal(http.stats.failures, 1);
+});
+
+test('retries stop after the configured number', async () => {
+  const { http, calls } = createStubHttp([createError(500)], { retries: 2 });
+  await assert.rejects(http.get('https://example.com/'), /status code 500/);
+  assert.equal(calls.length, 3);
+  assert.equal(http.stats.retries, 2);
+});
+
+test('the backoff grows with each attempt', async () => {
+  const { http, calls } = createStubHttp([createError(500)], { retries: 3, retryDelayMs: 40 });
+  await assert.rejects(http.get('https://example.com/'));
+
+  const gaps = calls.slice(1).map((call, index) => call.at - calls[index].at);
+  // Half the delay plus jitter: 20-40ms, 40-80ms, 80-160ms
+  assert.ok(gaps[0] >= 15, `gaps ${gaps}`);
+  assert.ok(gaps[2] >= 75, `gaps ${gaps}`);
+});
+
+test('Retry-After is waited for, and a 429 holds back the rest of the site', async () => {
+  const { http, calls } = createStubHttp([createError(429, { 'retry-after': '1' }), 'first', 'second'], { maxRetryDelayMs: 5000 });
+  const started = Date.now();
+  const first = http.get('https://artist.bandcamp.com/a');
+  // Sent while the site is paused, on another subdomain of the same site
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const second = http.get('https://label.bandcamp.com/b');
+
+  assert.deepEqual([(await first).data, (await second).data].sort(), ['first', 'second']);
+  assert.ok(calls[1].at - started >= 950, 'the retry waited for Retry-After');
+  assert.ok(calls[2].at - started >= 950, 'the other request waited for the pause');
+});
+
+test('a Retry-After longer than the longest wait gives up', async () => {
+  const { http, calls } = createStubHttp([createError(429, { 'retry-after': '3600' }), 'ok'], { maxRetryDelayMs: 1000 });
+  await assert.rejects(http.get('https://example.com/'), /asked to retry in 3600s, giving up/);
+  assert.equal(calls.length, 1);
+});
+
+test('requests to one host run no more than hostConcurrency at a time', async () => {
+  let running = 0;
+  let mostRunning = 0;
+  const request = async () => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    running--;
+    return { status: 200, headers: {}, data: 'ok' };
+  };
+  const http = createHttpScheduler({ request, requestsPerSecond: 1000, burst: 1000, hostConcurrency: 2, concurrency: 10 });
+
+  await Promise.all(Array.from({ length: 6 }, (_, index) => http.get(`https://example.com/${index}`)));
+  assert.equal(mostRunning, 2);
+
+  mostRunning = 0;
+  await Promise.all(['https://a.example.org/', 'https://b.example.net/', 'https://c.example.co.uk/'].map(url => http.get(url)));
+  assert.equal(mostRunning, 3);
+});
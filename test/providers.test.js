@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchProvider } from '../src/providers.js';
+import { checkArtistUrl } from '../src/validate.js';
+
+const providerName = url => (matchProvider(url) || {}).name || null;
+
+test('Bandcamp is matched on bandcamp.com and its subdomains only', () => {
+  assert.equal(providerName('https://artist.bandcamp.com/music'), 'bandcamp');
+  assert.equal(providerName('https://bandcamp.com/artist-name'), 'bandcamp-fan');
+  assert.equal(providerName('https://notbandcamp.com/music'), null);
+  assert.equal(providerName('https://artist.notbandcamp.com/music'), null);
+});
+
+test('URL checks only apply to the real hosts', () => {
+  assert.equal(checkArtistUrl('https://artist.bandcamp.com/album/a').severity, 'error');
+  assert.equal(checkArtistUrl('https://notbandcamp.com/album/a'), null);
+  assert.equal(checkArtistUrl('https://open.spotify.com/album/abc').severity, 'error');
+  assert.equal(checkArtistUrl('https://notspotify.com/album/abc'), null);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getReleaseGuid, combineReleases } from '../src/dedupe.js';
+import { createEmptyState, mergeReleases, getFeedReleases, getRetention } from '../src/state.js';
+
+const retention = getRetention({});
+const artist = { artistName: 'Artist', artistUrl: 'https://artist.bandcamp.com' };
+
+test('a release is published under its source id, or its canonical URL without one', () => {
+  assert.equal(getReleaseGuid({ url: 'https://artist.bandcamp.com/album/a', sourceId: 'bandcamp:album-1' }), 'urn:artist-rss:id:bandcamp:album-1');
+  assert.equal(getReleaseGuid({ url: 'https://www.artist.bandcamp.com/album/a/?utm_source=x' }), 'urn:artist-rss:url:artist.bandcamp.com/album/a');
+  // Nothing in the id needs escaping in any format
+  assert.match(getReleaseGuid({ url: 'https://example.com/a b?q=<x>&y="1"' }), /^urn:artist-rss:url:example\.com\/[\w.%/-]+$/);
+  assert.equal(getReleaseGuid({ title: 'Nothing to go on' }), null);
+});
+
+test('a stored guid wins over the keys', () => {
+  assert.equal(getReleaseGuid({ guid: 'urn:artist-rss:url:old', sourceId: 'bandcamp:album-1' }), 'urn:artist-rss:url:old');
+});
+
+test('the guid stays the same when a source id turns up later', () => {
+  const state = createEmptyState();
+  const url = 'https://artist.bandcamp.com/album/a';
+
+  mergeReleases(state, 'feed', [{ ...artist, title: 'A', url, date: '2024-01-01T00:00:00.000Z' }], retention);
+  const [first] = getFeedReleases(state, 'feed');
+  assert.equal(first.guid, 'urn:artist-rss:url:artist.bandcamp.com/album/a');
+
+  mergeReleases(state, 'feed', [{ ...artist, title: 'A', url, date: '2024-01-01T00:00:00.000Z', sourceId: 'bandcamp:album-1' }], retention);
+  const [second] = getFeedReleases(state, 'feed');
+  assert.equal(second.sourceId, 'bandcamp:album-1');
+  assert.equal(second.guid, first.guid);
+  assert.equal(getReleaseGuid(second), first.guid);
+});
+
+test('the guid stays the same when the release is seen under another URL', () => {
+  const state = createEmptyState();
+  const release = { ...artist, title: 'A', date: '2024-01-01T00:00:00.000Z', sourceId: 'bandcamp:album-1' };
+
+  mergeReleases(state, 'feed', [{ ...release, url: 'https://artist.bandcamp.com/album/a' }], retention);
+  mergeReleases(state, 'feed', [{ ...release, url: 'https://label.bandcamp.com/album/a' }], retention);
+
+  const releases = getFeedReleases(state, 'feed');
+  assert.equal(releases.length, 1);
+  assert.equal(releases[0].guid, 'urn:artist-rss:id:bandcamp:album-1');
+});
+
+test('histories from before guids were stored keep the id they were published under', () => {
+  const state = createEmptyState();
+  const url = 'https://artist.bandcamp.com/album/a';
+  state.feeds.feed = {
+    releases: {
+      [url]: { ...artist, title: 'A', url, date: '2024-01-01T00:00:00.000Z', firstSeen: '2024-01-01T00:00:00.000Z', lastSeen: '2024-01-01T00:00:00.000Z' },
+      'https://artist.bandcamp.com/album/b': { ...artist, title: 'B', url: 'https://artist.bandcamp.com/album/b', date: '2024-01-01T00:00:00.000Z', firstSeen: '2024-01-01T00:00:00.000Z', lastSeen: '2024-01-01T00:00:00.000Z' }
+    }
+  };
+
+  // B isn't seen this time, and still gets the id it had
+  mergeReleases(state, 'feed', [{ ...artist, title: 'A', url, date: '2024-01-01T00:00:00.000Z', sourceId: 'bandcamp:album-1' }], retention);
+  assert.equal(state.feeds.feed.releases[url].guid, 'urn:artist-rss:url:artist.bandcamp.com/album/a');
+  assert.equal(state.feeds.feed.releases['https://artist.bandcamp.com/album/b'].guid, 'urn:artist-rss:url:artist.bandcamp.com/album/b');
+});
+
+test('combined duplicates keep the first release\'s guid', () => {
+  const [combined] = combineReleases([
+    { title: 'A', url: 'https://artist.bandcamp.com/album/a', guid: 'urn:artist-rss:url:artist.bandcamp.com/album/a' },
+    { title: 'A', url: 'https://artist.bandcamp.com/album/a', sourceId: 'bandcamp:album-1', guid: 'urn:artist-rss:id:bandcamp:album-1' }
+  ]);
+  assert.equal(combined.sourceId, 'bandcamp:album-1');
+  assert.equal(getReleaseGuid(combined), 'urn:artist-rss:url:artist.bandcamp.com/album/a');
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRunReport, getReportExitCode, REPORT_EXIT_CODE } from '../src/report.js';
+
+const builtFeed = { report: { id: 'labels', title: 'Labels', status: 'ok', scraped: true, items: 3, upcomingItems: 0, artists: [], durationMs: 5 } };
+const failedFeed = { id: 'broken', title: 'Broken', status: 'error', scraped: true, built: false, items: 0, upcomingItems: 0, artists: [], error: 'Template failed', durationMs: 0 };
+
+test('a feed that couldn\'t be built at all is in the report as failed', () => {
+  const report = createRunReport([builtFeed], { started: new Date(), failOn: 'feed', failedFeeds: [failedFeed] });
+
+  assert.deepEqual(report.feeds.map(feed => [feed.id, feed.status]), [['labels', 'ok'], ['broken', 'error']]);
+  assert.equal(report.status, 'error');
+  assert.equal(report.totals.failedFeeds, 1);
+  assert.equal(report.totals.errors, 1);
+  assert.equal(getReportExitCode(report, 'feed'), REPORT_EXIT_CODE);
+  assert.equal(getReportExitCode(report, 'never'), 0);
+});
+
+test('a run without failures passes every fail-on level', () => {
+  const report = createRunReport([builtFeed], { started: new Date() });
+  assert.equal(report.status, 'ok');
+  assert.equal(getReportExitCode(report, 'warning'), 0);
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { serve } from '../src/serve.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+delete process.env.STATE_FILE;
+delete process.env.ALBUM_CACHE_FILE;
+
+const TOKEN = 'correct-horse-battery-staple';
+
+let dir;
+let source;
+let site;
+let baseUrl;
+
+/**
+ * Start a server on 127.0.0.1 with a free port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<http.Server>} - Listening server
+ */
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/**
+ * Wait until the server finished a build
+ * @returns {Promise<Object>} - Health status
+ */
+async function waitForBuild() {
+  for (;;) {
+    const health = await (await fetch(`${baseUrl}/healthz`)).json();
+    if (health.lastBuild && !health.building) {
+      return health;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'artist-rss-serve-'));
+
+  // The feed the site is built from
+  source = await listen((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+    res.end(`<?xml version="1.0"?><rss version="2.0"><channel><title>Source</title><link>https://example.com/</link>
+<item><title>Release</title><link>https://example.com/release</link><pubDate>Tue, 02 Jan 2024 10:00:00 GMT</pubDate></item>
+</channel></rss>`);
+  });
+  await fs.outputJson(path.join(dir, 'artists', 'music.json'), {
+    title: 'Music',
+    artists: [{ name: 'Source', url: `http://127.0.0.1:${source.address().port}/feed.xml` }]
+  });
+
+  site = await serve({
+    artistsDir: path.join(dir, 'artists'),
+    outputDir: path.join(dir, 'dist'),
+    // As it comes from the command line, any free port
+    port: '0',
+    host: '127.0.0.1',
+    refreshToken: TOKEN,
+    schedule: '0 0 1 1 *',
+    http: { retries: 0 }
+  });
+  baseUrl = `http://127.0.0.1:${site.server.address().port}`;
+  await waitForBuild();
+});
+
+after(async () => {
+  await site.close();
+  await new Promise(resolve => source.close(resolve));
+  await fs.remove(dir);
+});
+
+const refresh = (pathname, headers = {}) => fetch(`${baseUrl}${pathname}`, { method: 'POST', headers });
+
+test('refreshing needs the token', async () => {
+  assert.equal((await refresh('/refresh')).status, 401);
+  assert.equal((await refresh('/refresh', { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await refresh('/refresh', { Authorization: `Bearer ${TOKEN}x` })).status, 401);
+  assert.equal((await refresh('/refresh', { Authorization: TOKEN })).status, 401);
+
+  const response = await refresh('/refresh', { Authorization: `Bearer ${TOKEN}` });
+  assert.equal(response.status, 202);
+  assert.deepEqual(await response.json(), { status: 'queued', feed: 'all' });
+  await waitForBuild();
+});
+
+test('refresh paths may end with a slash', async () => {
+  const headers = { Authorization: `Bearer ${TOKEN}` };
+  assert.deepEqual(await (await refresh('/refresh/', headers)).json(), { status: 'queued', feed: 'all' });
+  assert.deepEqual(await (await refresh('/refresh/music/', headers)).json(), { status: 'queued', feed: 'music' });
+  assert.equal((await refresh('/refresh/nothing', headers)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/refresh/`)).status, 405);
+  await waitForBuild();
+});
+
+test('feeds are served with validators for conditional GETs', async () => {
+  const first = await fetch(`${baseUrl}/music-feed.xml`);
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get('content-type'), /^application\/rss\+xml/);
+  assert.match(await first.text(), /<link>https:\/\/example.com\/release<\/link>/);
+
+  const etag = first.headers.get('etag');
+  assert.equal((await fetch(`${baseUrl}/music-feed.xml`, { headers: { 'If-None-Match': etag } })).status, 304);
+  assert.equal((await fetch(`${baseUrl}/music-feed.xml`, { headers: { 'If-Modified-Since': first.headers.get('last-modified') } })).status, 304);
+  assert.equal((await fetch(`${baseUrl}/music-feed.xml`, { headers: { 'If-None-Match': '"other"' } })).status, 200);
+});
+
+test('the build\'s own data files aren\'t served', async () => {
+  assert.equal((await fetch(`${baseUrl}/state.json`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/report.json`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/%E0%A4%A`)).status, 400);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scrapeSoundcloud, parseHydration, toRelease } from '../src/soundcloud.js';
+import { createHttpScheduler } from '../src/http.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+// The client id has to come from the recorded pages
+delete process.env.SOUNDCLOUD_CLIENT_ID;
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'soundcloud');
+const readFixture = name => fs.readFile(path.join(fixtures, name), 'utf8');
+
+/**
+ * Create a request scheduler that answers from the recorded responses
+ * @param {Object} [options] - Test settings
+ * @param {string} [options.profile] - Profile page fixture (default profile.html)
+ * @param {number} [options.apiStatus] - Fail every API request with this status
+ * @returns {Object} - { http, urls (every URL requested) }
+ */
+function createFixtureHttp({ profile = 'profile.html', apiStatus = null } = {}) {
+  const urls = [];
+
+  const request = async ({ url }) => {
+    urls.push(url);
+    const parsed = new URL(url);
+    let fixture = null;
+
+    if (url === 'https://soundcloud.com/example-artist') {
+      fixture = profile;
+    } else if (url === 'https://a-v2.sndcdn.com/assets/49-5e6f7a8b.js') {
+      // Not a .js file, or the test runner would run it
+      fixture = '49-5e6f7a8b.js.txt';
+    } else if (parsed.hostname === 'api-v2.soundcloud.com' && apiStatus) {
+      throw Object.assign(new Error(`Request failed with status code ${apiStatus}`), { response: { status: apiStatus, headers: {} } });
+    } else if (parsed.hostname === 'api-v2.soundcloud.com') {
+      const collection = parsed.pathname.replace('/users/123456/', '');
+      fixture = parsed.searchParams.has('offset') ? `${collection}-page-2.json` : `${collection}.json`;
+    }
+
+    if (!fixture || !(await fs.pathExists(path.join(fixtures, fixture)))) {
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+    }
+    const text = await readFixture(fixture);
+    return { status: 200, headers: {}, data: fixture.endsWith('.json') ? JSON.parse(text) : text };
+  };
+
+  return { http: createHttpScheduler({ request, requestsPerSecond: 1000, burst: 1000, retries: 0 }), urls };
+}
+
+test('the hydration data has the user and the client id', async () => {
+  const hydration = parseHydration(await readFixture('profile.html'));
+  const user = hydration.find(entry => entry.hydratable === 'user');
+  const apiClient = hydration.find(entry => entry.hydratable === 'apiClient');
+
+  assert.equal(user.data.id, 123456);
+  assert.equal(user.data.username, 'Example Artist');
+  assert.equal(apiClient.data.id, 'Hydr4t3dCl13nt1dHydr4t3dCl13nt1d');
+  assert.deepEqual(parseHydration('<html><script>window.__sc_version="1"</script></html>'), []);
+});
+
+test('an expired client id is reported', async () => {
+  const { http } = createFixtureHttp({ apiStatus: 401 });
+  const result = await scrapeSoundcloud('https://soundcloud.com/example-artist', 3, { http });
+
+  assert.deepEqual(result.releases, []);
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].status, 401);
+});
+
+test('the client id is found in the script bundles when the page doesn\'t have it', async () => {
+  const { http, urls } = createFixtureHttp({ profile: 'profile-without-client-id.html' });
+  const result = await scrapeSoundcloud('https://soundcloud.com/example-artist/sets/warehouse-ep', 3, { http });
+
+  assert.deepEqual(result.errors, []);
+  const apiUrls = urls.filter(url => url.startsWith('https://api-v2.soundcloud.com/'));
+  assert.ok(apiUrls.length > 0);
+  assert.ok(apiUrls.every(url => new URL(url).searchParams.get('client_id') === 'Bund13dCl13nt1dBund13dCl13nt1d12'));
+});
+
+test('tracks and albums are paged through until there are enough', async () => {
+  const { http, urls } = createFixtureHttp();
+  const result = await scrapeSoundcloud('https://soundcloud.com/example-artist', 3, { http });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.releases.map(release => [release.title, release.date.toISOString(), release.dateSource, release.metadata.type]), [
+    ['Night Drive', '2024-03-12T00:00:00.000Z', 'soundcloud:display_date', 'track'],
+    ['Warehouse EP', '2024-02-02T00:00:00.000Z', 'soundcloud:release_date', 'ep'],
+    ['Old Demo', '2019-06-01T12:00:00.000Z', 'soundcloud:display_date', 'track']
+  ]);
+  // The second page of tracks comes from next_href, with the client id added again
+  assert.ok(urls.some(url => url.includes('/tracks?offset=') && url.includes('client_id=')));
+  assert.ok(!urls.some(url => url.includes('playlists_without_albums')));
+});
+
+test('maxReleases limits what is returned', async () => {
+  const { http } = createFixtureHttp();
+  const result = await scrapeSoundcloud('https://soundcloud.com/example-artist', 1, { http });
+  assert.deepEqual(result.releases.map(release => release.title), ['Night Drive']);
+});
+
+test('future releases are skipped, or flagged as upcoming when asked for', async () => {
+  const skipped = await scrapeSoundcloud('https://soundcloud.com/example-artist', 10, { http: createFixtureHttp().http });
+  assert.ok(!skipped.releases.some(release => release.title === 'Future Track'));
+
+  const kept = await scrapeSoundcloud('https://soundcloud.com/example-artist', 10, { http: createFixtureHttp().http, includeUpcoming: true });
+  const future = kept.releases.find(release => release.title === 'Future Track');
+  assert.equal(future.upcoming, true);
+  assert.equal(future.date.toISOString(), '2099-01-01T00:00:00.000Z');
+});
+
+test('playlists are only included when asked for', async () => {
+  const { http } = createFixtureHttp();
+  const result = await scrapeSoundcloud('https://soundcloud.com/example-artist', 10, { http, include: ['albums', 'playlists'] });
+  assert.deepEqual(result.releases.map(release => [release.title, release.metadata.type]), [['Warehouse EP', 'ep'], ['Favourites', 'playlist']]);
+});
+
+test('tracks, albums and playlists become releases with their details', async () => {
+  const tracks = JSON.parse(await readFixture('tracks.json')).collection;
+  const albums = JSON.parse(await readFixture('albums.json')).collection;
+  const playlists = JSON.parse(await readFixture('playlists_without_albums.json')).collection;
+
+  const track = toRelease(tracks[1], 'tracks');
+  assert.equal(track.url, 'https://soundcloud.com/example-artist/night-drive');
+  assert.equal(track.sourceId, 'soundcloud:track:1002');
+  assert.equal(track.image, 'https://i1.sndcdn.com/artworks-000000002-abc2-t500x500.jpg');
+  assert.equal(track.description, 'Out now. Mastered by Someone.');
+  assert.equal(track.metadata.artist, 'Example Artist feat. Guest');
+  assert.deepEqual(track.metadata.tags, ['Techno', 'deep house', 'Berlin']);
+  assert.equal(track.metadata.runtime, 245);
+
+  const album = toRelease(albums[0], 'albums');
+  assert.equal(album.sourceId, 'soundcloud:playlist:555');
+  assert.equal(album.metadata.label, 'Example Records');
+  assert.equal(album.metadata.artist, 'Example Artist');
+  assert.deepEqual(album.metadata.tracks.map(item => [item.number, item.title, item.duration]), [[1, 'Night Drive', 245], [2, 'Concrete', 250], [3, 'Steel', 240]]);
+
+  // Playlists only have the full details of their first tracks, so no track list
+  const playlist = toRelease(playlists[0], 'playlists');
+  assert.equal(playlist.metadata.type, 'playlist');
+  assert.deepEqual(playlist.metadata.tracks, []);
+  assert.equal(playlist.image, 'https://i1.sndcdn.com/avatars-000123456789-abcdef-t500x500.jpg');
+  assert.equal(playlist.description, 'New playlist on SoundCloud');
+
+  // Without artwork the uploader's avatar is used
+  assert.equal(toRelease(JSON.parse(await readFixture('tracks-page-2.json')).collection[0], 'tracks').image, 'https://i1.sndcdn.com/avatars-000123456789-abcdef-t500x500.jpg');
+});
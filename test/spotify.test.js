@@ -0,0 +1,217 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { scrapeSpotify, getSpotifyArtistId } from '../src/spotify.js';
+import { createHttpScheduler } from '../src/http.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+
+const ARTIST_ID = '0OdUWJ0sBjDrqHygGUXeCF';
+const ARTIST_URL = `https://open.spotify.com/artist/${ARTIST_ID}`;
+
+// Requests the mock server got, and how it answers the next ones
+let requests = [];
+let respond = null;
+let server;
+let baseUrl;
+
+/**
+ * Make a simplified album as GET /artists/{id}/albums lists them
+ * @param {number} index - Album number, newer albums have lower numbers
+ * @param {string} [group] - 'album' or 'single'
+ * @returns {Object} - Album
+ */
+function createAlbum(index, group = 'album') {
+  const day = String(28 - (index % 28)).padStart(2, '0');
+  return {
+    id: `${group}${index}`,
+    name: `${group === 'album' ? 'Album' : 'Single'} ${index}`,
+    album_type: group,
+    album_group: group,
+    release_date: `${2024 - Math.floor(index / 28)}-01-${day}`,
+    release_date_precision: 'day',
+    total_tracks: group === 'album' ? 10 : 1,
+    images: [{ url: `https://i.scdn.co/image/${group}${index}-640`, width: 640, height: 640 }],
+    external_urls: { spotify: `https://open.spotify.com/album/${group}${index}` },
+    artists: [{ id: ARTIST_ID, name: 'Example Artist' }]
+  };
+}
+
+/**
+ * Answer the Spotify endpoints the scraper uses, from a list of albums per group
+ * @param {Object} albumsByGroup - Group -> albums
+ * @returns {Function} - Responder for the mock server
+ */
+function createCatalog(albumsByGroup) {
+  return request => {
+    const url = new URL(request.url, baseUrl);
+    if (request.method === 'POST' && url.pathname === '/api/token') {
+      return { status: 200, body: { access_token: `token-${requests.filter(item => item.path === '/api/token').length}`, token_type: 'Bearer', expires_in: 3600 } };
+    }
+    if (url.pathname === `/v1/artists/${ARTIST_ID}/albums`) {
+      const albums = albumsByGroup[url.searchParams.get('include_groups')] || [];
+      const offset = Number(url.searchParams.get('offset') || 0);
+      const limit = Number(url.searchParams.get('limit'));
+      const next = new URL(url);
+      next.searchParams.set('offset', String(offset + limit));
+      return {
+        status: 200,
+        body: {
+          items: albums.slice(offset, offset + limit),
+          offset,
+          limit,
+          total: albums.length,
+          next: offset + limit < albums.length ? next.toString() : null
+        }
+      };
+    }
+    if (url.pathname === '/v1/albums') {
+      const all = Object.values(albumsByGroup).flat();
+      const ids = url.searchParams.get('ids').split(',');
+      return {
+        status: 200,
+        body: {
+          albums: ids.map(id => {
+            const album = all.find(candidate => candidate.id === id);
+            return album && { ...album, label: 'Example Records', genres: ['techno'], tracks: { items: [{ track_number: 1, name: 'Track 1', duration_ms: 181000 }] } };
+          })
+        }
+      };
+    }
+    return { status: 404, body: { error: { status: 404, message: 'Not found' } } };
+  };
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => (body += chunk));
+    request.on('end', () => {
+      const path = new URL(request.url, baseUrl).pathname;
+      requests.push({ method: request.method, path, url: request.url, headers: request.headers, body });
+      const { status, headers = {}, body: responseBody } = respond(request, body);
+      response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      response.end(JSON.stringify(responseBody));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.SPOTIFY_API_URL = `${baseUrl}/v1`;
+  process.env.SPOTIFY_ACCOUNTS_URL = baseUrl;
+  process.env.SPOTIFY_CLIENT_SECRET = 'secret';
+  delete process.env.SPOTIFY_MARKET;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+let clientNumber = 0;
+beforeEach(() => {
+  requests = [];
+  respond = createCatalog({ album: [createAlbum(1), createAlbum(3)], single: [createAlbum(2, 'single')] });
+  // Tokens are kept per client id for the whole run, a new id makes each test fetch its own
+  process.env.SPOTIFY_CLIENT_ID = `client-${++clientNumber}`;
+});
+
+/**
+ * Create a request scheduler that doesn't keep the tests waiting
+ * @returns {Object} - Request scheduler
+ */
+function createTestHttp() {
+  return createHttpScheduler({ requestsPerSecond: 1000, burst: 1000, retryDelayMs: 10, timeoutMs: 5000 });
+}
+
+test('artist ids are read from artist links', () => {
+  assert.equal(getSpotifyArtistId(ARTIST_URL), ARTIST_ID);
+  assert.equal(getSpotifyArtistId(`https://open.spotify.com/intl-de/artist/${ARTIST_ID}?si=abc`), ARTIST_ID);
+  assert.equal(getSpotifyArtistId(`https://open.spotify.com/album/${ARTIST_ID}`), null);
+});
+
+test('a token is fetched with the client credentials and reused', async () => {
+  const httpScheduler = createTestHttp();
+  const first = await scrapeSpotify(ARTIST_URL, 5, { http: httpScheduler });
+  await scrapeSpotify(ARTIST_URL, 5, { http: httpScheduler });
+
+  assert.deepEqual(first.errors, []);
+  const tokenRequests = requests.filter(request => request.path === '/api/token');
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(tokenRequests[0].method, 'POST');
+  assert.equal(tokenRequests[0].body, 'grant_type=client_credentials');
+  assert.equal(tokenRequests[0].headers.authorization, `Basic ${Buffer.from(`client-${clientNumber}:secret`).toString('base64')}`);
+
+  const apiRequests = requests.filter(request => request.path.startsWith('/v1/'));
+  assert.ok(apiRequests.length > 0);
+  assert.ok(apiRequests.every(request => request.headers.authorization === 'Bearer token-1'));
+});
+
+test('albums and singles become releases, newest first', async () => {
+  const result = await scrapeSpotify(ARTIST_URL, 5, { http: createTestHttp() });
+
+  assert.deepEqual(result.releases.map(release => [release.title, release.date.toISOString(), release.datePrecision, release.metadata.type]), [
+    ['Album 1', '2024-01-27T00:00:00.000Z', 'day', 'album'],
+    ['Single 2', '2024-01-26T00:00:00.000Z', 'day', 'single'],
+    ['Album 3', '2024-01-25T00:00:00.000Z', 'day', 'album']
+  ]);
+  assert.equal(result.releases[0].sourceId, 'spotify:album:album1');
+  assert.equal(result.releases[0].image, 'https://i.scdn.co/image/album1-640');
+  assert.equal(result.releases[0].metadata.label, 'Example Records');
+  assert.deepEqual(result.releases[0].metadata.tags, ['techno']);
+});
+
+test('albums are paged through until there are enough', async () => {
+  respond = createCatalog({ album: Array.from({ length: 70 }, (_, index) => createAlbum(index + 1)) });
+  const result = await scrapeSpotify(ARTIST_URL, 60, { http: createTestHttp() });
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.releases.length, 60);
+  const pages = requests.filter(request => request.path.endsWith('/albums') && request.url.includes('include_groups=album'));
+  assert.deepEqual(pages.map(request => new URL(request.url, baseUrl).searchParams.get('offset')), [null, '50']);
+  // Album details are fetched 20 ids at a time
+  assert.equal(requests.filter(request => request.path === '/v1/albums').length, 3);
+});
+
+test('a 429 is retried after the Retry-After wait', async () => {
+  const catalog = respond;
+  let limited = 0;
+  respond = (request, body) => {
+    if (request.url.includes('/albums?include_groups=album') && limited < 2) {
+      limited++;
+      return { status: 429, headers: { 'Retry-After': '0' }, body: { error: { status: 429, message: 'API rate limit exceeded' } } };
+    }
+    return catalog(request, body);
+  };
+
+  const httpScheduler = createTestHttp();
+  const result = await scrapeSpotify(ARTIST_URL, 5, { http: httpScheduler });
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.releases.length, 3);
+  assert.equal(limited, 2);
+  assert.equal(httpScheduler.stats.retries, 2);
+});
+
+test('a rejected token is renewed once', async () => {
+  const catalog = respond;
+  let rejected = false;
+  respond = (request, body) => {
+    if (request.url.startsWith('/v1/') && !rejected) {
+      rejected = true;
+      return { status: 401, body: { error: { status: 401, message: 'The access token expired' } } };
+    }
+    return catalog(request, body);
+  };
+
+  const result = await scrapeSpotify(ARTIST_URL, 5, { http: createTestHttp() });
+  assert.deepEqual(result.errors, []);
+  assert.equal(requests.filter(request => request.path === '/api/token').length, 2);
+});
+
+test('missing credentials are reported as a config error', async () => {
+  delete process.env.SPOTIFY_CLIENT_ID;
+  const result = await scrapeSpotify(ARTIST_URL, 5, { http: createTestHttp() });
+
+  assert.deepEqual(result.releases, []);
+  assert.equal(result.errors[0].type, 'config');
+  assert.equal(requests.length, 0);
+});
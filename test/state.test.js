@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadState, saveState, createEmptyState } from '../src/state.js';
+import { setLogLevel } from '../src/log.js';
+
+setLogLevel('quiet');
+
+/**
+ * Run a test in a temporary directory that is removed afterwards
+ * @param {Function} fn - Gets the path of the state file
+ * @returns {Promise<void>}
+ */
+async function withStateFile(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'artist-rss-state-'));
+  try {
+    await fn(path.join(dir, 'state.json'));
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('a saved state is loaded back', () => withStateFile(async stateFile => {
+  const state = createEmptyState();
+  state.feeds.feed = { releases: {} };
+  await saveState(stateFile, state);
+
+  assert.deepEqual((await loadState(stateFile)).feeds, { feed: { releases: {} } });
+  assert.ok(!(await fs.pathExists(`${stateFile}.tmp`)));
+}));
+
+test('a corrupt state is moved aside instead of being overwritten', () => withStateFile(async stateFile => {
+  await fs.writeFile(stateFile, '{"version": 1, "feeds": {"feed": {"releases": {');
+
+  const state = await loadState(stateFile);
+  assert.deepEqual(state.feeds, {});
+  assert.equal(await fs.readFile(`${stateFile}.corrupt`, 'utf8'), '{"version": 1, "feeds": {"feed": {"releases": {');
+
+  await saveState(stateFile, state);
+  assert.ok(await fs.pathExists(`${stateFile}.corrupt`));
+}));
+
+test('a state in an unknown format is moved aside too', () => withStateFile(async stateFile => {
+  await fs.writeJson(stateFile, { version: 999, feeds: {} });
+
+  assert.deepEqual((await loadState(stateFile)).feeds, {});
+  assert.deepEqual(await fs.readJson(`${stateFile}.corrupt`), { version: 999, feeds: {} });
+}));
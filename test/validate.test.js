@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { validateConfigFiles } from '../src/validate.js';
+
+/**
+ * Validate a single feed config written to a temporary directory
+ * @param {Array<Object>} artists - Artist entries
+ * @returns {Promise<Array>} - Problems found
+ */
+async function validateArtists(artists) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'artist-rss-validate-'));
+  try {
+    await fs.writeJson(path.join(dir, 'feed.json'), { title: 'Feed', artists }, { spaces: 2 });
+    return await validateConfigFiles(dir, ['feed.json']);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+const errors = problems => problems.filter(problem => problem.severity === 'error').map(problem => problem.message);
+
+test('two Discover queries on the same page aren\'t duplicates', async () => {
+  const problems = await validateArtists([
+    { name: 'New electronic', url: 'https://bandcamp.com/discover?g=electronic&s=new' },
+    { name: 'Rock on vinyl', url: 'https://bandcamp.com/discover?g=rock&f=vinyl' }
+  ]);
+  assert.deepEqual(errors(problems), []);
+});
+
+test('one tag page with different "query" settings isn\'t a duplicate', async () => {
+  const problems = await validateArtists([
+    { name: 'Footwork', url: 'https://bandcamp.com/tag/footwork' },
+    { name: 'Footwork on vinyl', url: 'https://bandcamp.com/tag/footwork', query: { format: 'vinyl' } }
+  ]);
+  assert.deepEqual(errors(problems), []);
+});
+
+test('the same query written two ways is a duplicate', async () => {
+  const problems = await validateArtists([
+    { name: 'Footwork', url: 'https://bandcamp.com/tag/footwork' },
+    { name: 'Footwork again', url: 'https://bandcamp.com/discover/footwork?s=new' }
+  ]);
+  assert.deepEqual(errors(problems), ['Duplicate artist URL "https://bandcamp.com/discover/footwork?s=new", already listed at line 6']);
+});
+
+test('artist pages are still duplicates however they are written', async () => {
+  const problems = await validateArtists([
+    { name: 'Label', url: 'https://label.bandcamp.com/music' },
+    { name: 'Label', url: 'https://Label.bandcamp.com/' }
+  ]);
+  assert.equal(errors(problems).length, 1);
+});
+
+test('an invalid filter regex is an error at the artist it is on', async () => {
+  const problems = await validateArtists([
+    { name: 'Label', url: 'https://label.bandcamp.com/music', filters: { excludeTitle: ['live', '(unclosed'] } }
+  ]);
+  assert.equal(errors(problems).length, 1);
+  assert.match(errors(problems)[0], /^artists\.0\.filters: "excludeTitle" has an invalid regex "\(unclosed"/);
+});